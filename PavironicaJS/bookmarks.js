@@ -0,0 +1,92 @@
+// Bookmark helpers (ES module, DOM-free; shared by the JSON and XML Viewers)
+// - normalizeBookmarks: a slot's bookmarks with every field present; a path
+//   is JSON path segments (as in line._path) or an XML data-path string
+// - bookmarkKey / findBookmark: look a path up in a list of bookmarks
+// - bookmarksToMarkdown: the annotated paths with their labels, comments and
+//   values as a Markdown report
+
+// Longer values are cut in the report
+const VALUE_MAX_CHARS = 4000;
+
+function validPath(path) {
+  if (typeof path === 'string') return true;
+  return Array.isArray(path) && path.every((s) => typeof s === 'string' || (Number.isInteger(s) && s >= 0));
+}
+
+/** Bookmarks as stored with a slot: [{ path, label, comment, created }]; invalid entries are dropped. */
+export function normalizeBookmarks(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter((b) => b && typeof b === 'object' && validPath(b.path))
+    .map((b) => ({
+      path: Array.isArray(b.path) ? b.path.slice() : b.path,
+      label: typeof b.label === 'string' ? b.label : '',
+      comment: typeof b.comment === 'string' ? b.comment : '',
+      created: Number.isFinite(b.created) ? b.created : Date.now()
+    }));
+}
+
+/** Comparable text of a bookmark path (array indices stay distinct from numeric keys). */
+export function bookmarkKey(path) {
+  return typeof path === 'string' ? path : JSON.stringify(path);
+}
+
+/** Index of the bookmark at `path` in `list`, or -1. */
+export function findBookmark(list, path) {
+  const key = bookmarkKey(path);
+  return (list ?? []).findIndex((b) => bookmarkKey(b.path) === key);
+}
+
+function escapeMarkdown(text) {
+  return String(text).replace(/([\\`*_{}[\]<#|])/g, '\\$1');
+}
+
+// Backtick runs inside `text` need a longer delimiter
+function longestTicks(text) {
+  return Math.max(0, ...(String(text).match(/`+/g) ?? []).map((run) => run.length));
+}
+
+function codeSpan(text) {
+  const ticks = '`'.repeat(longestTicks(text) + 1);
+  const pad = /^`|`$/.test(text) ? ' ' : '';
+  return `${ticks}${pad}${text}${pad}${ticks}`;
+}
+
+function codeBlock(text, language) {
+  const fence = '`'.repeat(Math.max(3, longestTicks(text) + 1));
+  return `${fence}${language}\n${text}\n${fence}`;
+}
+
+/**
+ * Markdown report of bookmarked paths. groups: [{ title, items: [{ label,
+ * comment, paths: [[name, text], …], value }] }], value being the text to
+ * quote or null when the path is no longer in the document. opts.language
+ * tags the value blocks (json, xml); opts.exported is the time shown.
+ */
+export function bookmarksToMarkdown(title, groups, opts = {}) {
+  const language = opts.language ?? '';
+  const total = groups.reduce((n, g) => n + g.items.length, 0);
+  const exported = new Date(opts.exported ?? Date.now()).toLocaleString();
+  const out = [`# ${escapeMarkdown(title)}`, '', `Exported ${exported} · ${total} bookmark${total === 1 ? '' : 's'}`];
+  for (const group of groups) {
+    if (!group.items.length) continue;
+    out.push('', `## ${escapeMarkdown(group.title)}`);
+    group.items.forEach((item, i) => {
+      const heading = item.label ? escapeMarkdown(item.label) : codeSpan(item.paths[0]?.[1] ?? '');
+      out.push('', `### ${i + 1}. ${heading}`, '');
+      out.push(item.paths.map(([name, text]) => `${name}: ${codeSpan(text)}`).join(' · '));
+      if (item.comment.trim()) out.push('', ...item.comment.trim().split(/\r?\n/).map((l) => (l ? `> ${l}` : '>')));
+      out.push('');
+      if (item.value == null) {
+        out.push('_Not found in the current document._');
+      } else if (item.value.length > VALUE_MAX_CHARS) {
+        out.push(codeBlock(item.value.slice(0, VALUE_MAX_CHARS), language), '', `_Value cut after ${VALUE_MAX_CHARS} of ${item.value.length} characters._`);
+      } else {
+        out.push(codeBlock(item.value, language));
+      }
+    });
+  }
+  return `${out.join('\n')}\n`;
+}
+
+export default { normalizeBookmarks, bookmarkKey, findBookmark, bookmarksToMarkdown };
@@ -0,0 +1,156 @@
+// Command palette helpers (ES module; shared by the JSON and XML Viewers)
+// - matchCommands: the commands whose group, label and keywords contain every
+//   word of a query, labels starting with it first
+// - attachCommandPalette: drive a palette declared in the page (an overlay
+//   holding a combobox input and a listbox) and open it with Ctrl+K: type to
+//   filter, ↑/↓ to pick, Enter or click to run, Escape to close. The focus
+//   stays in the input while it is open and goes back where it was after.
+
+/**
+ * Filter `commands` ([{ group, label, keywords? }]) by `query`; an empty
+ * query keeps them all in their order.
+ */
+export function matchCommands(commands, query) {
+  const words = String(query ?? '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (!words.length) return commands.slice();
+  return commands
+    .map((cmd, order) => {
+      const label = cmd.label.toLowerCase();
+      const text = `${cmd.group ?? ''} ${cmd.label} ${cmd.keywords ?? ''}`.toLowerCase();
+      if (!words.every((w) => text.includes(w))) return null;
+      const rank = label.startsWith(words[0]) ? 0 : label.includes(words[0]) ? 1 : 2;
+      return { cmd, rank, order };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.rank - b.rank || a.order - b.order)
+    .map((m) => m.cmd);
+}
+
+/**
+ * Wire the palette elements { overlay, input, list } (overlay hidden with the
+ * `hidden` class). getCommands() is read on every open and returns
+ * [{ group, label, shortcut?, keywords?, disabled?, run }]; disabled commands
+ * are listed but cannot be picked. Returns { open, close, isOpen }.
+ */
+export function attachCommandPalette({ overlay, input, list }, getCommands) {
+  let commands = [];
+  let shown = [];
+  let active = -1;
+  let returnFocus = null;
+
+  const isOpen = () => !overlay.classList.contains('hidden');
+
+  function setActive(i) {
+    active = i;
+    Array.from(list.children).forEach((item, j) => {
+      if (item.classList.contains('palette-item')) item.setAttribute('aria-selected', String(j === i));
+    });
+    const item = i >= 0 ? list.children[i] : null;
+    if (!item) { input.removeAttribute('aria-activedescendant'); return; }
+    input.setAttribute('aria-activedescendant', item.id);
+    item.scrollIntoView?.({ block: 'nearest' });
+  }
+
+  function render() {
+    shown = matchCommands(commands, input.value);
+    list.innerHTML = '';
+    shown.forEach((cmd, i) => {
+      const item = document.createElement('li');
+      item.className = 'palette-item';
+      item.id = `${list.id}-${i}`;
+      item.setAttribute('role', 'option');
+      if (cmd.disabled) item.setAttribute('aria-disabled', 'true');
+      const group = document.createElement('span');
+      group.className = 'palette-group';
+      group.textContent = cmd.group ?? '';
+      const label = document.createElement('span');
+      label.className = 'palette-label';
+      label.textContent = cmd.label;
+      item.append(group, label);
+      if (cmd.shortcut) {
+        const key = document.createElement('kbd');
+        key.className = 'palette-key';
+        key.textContent = cmd.shortcut;
+        item.appendChild(key);
+      }
+      // keep the focus in the input
+      item.addEventListener('mousedown', (e) => e.preventDefault());
+      item.addEventListener('click', () => run(i));
+      list.appendChild(item);
+    });
+    if (!shown.length) {
+      const empty = document.createElement('li');
+      empty.className = 'palette-empty';
+      empty.setAttribute('role', 'presentation');
+      empty.textContent = 'No matching command';
+      list.appendChild(empty);
+    }
+    setActive(shown.findIndex((cmd) => !cmd.disabled));
+  }
+
+  // Step to the next enabled command, wrapping around
+  function move(dir) {
+    const n = shown.length;
+    let j = active < 0 ? (dir > 0 ? n - 1 : 0) : active;
+    for (let step = 0; step < n; step++) {
+      j = (j + dir + n) % n;
+      if (!shown[j].disabled) { setActive(j); return; }
+    }
+  }
+
+  function open() {
+    if (isOpen()) return;
+    returnFocus = document.activeElement;
+    commands = getCommands();
+    input.value = '';
+    overlay.classList.remove('hidden');
+    render();
+    input.focus();
+  }
+
+  function close() {
+    if (!isOpen()) return;
+    overlay.classList.add('hidden');
+    list.innerHTML = '';
+    input.removeAttribute('aria-activedescendant');
+    if (returnFocus?.isConnected) returnFocus.focus?.();
+    returnFocus = null;
+  }
+
+  // Close first, so a command that moves the focus keeps it
+  function run(i) {
+    const cmd = shown[i];
+    if (!cmd || cmd.disabled) return;
+    close();
+    cmd.run();
+  }
+
+  input.addEventListener('input', render);
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      move(e.key === 'ArrowDown' ? 1 : -1);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      run(active);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      close();
+    } else if (e.key === 'Tab') {
+      // the input is the only stop in the dialog
+      e.preventDefault();
+    }
+  });
+  overlay.addEventListener('mousedown', (e) => {
+    if (e.target === overlay) close();
+  });
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey || e.key.toLowerCase() !== 'k') return;
+    e.preventDefault();
+    if (isOpen()) close(); else open();
+  });
+
+  return { open, close, isOpen };
+}
+
+export default { matchCommands, attachCommandPalette };
@@ -3,15 +3,32 @@
 //  - exact: raw text compare; returns simple +/- line diffs
 //  - full: structural compare; sorts object keys and arrays (order-insensitive arrays)
 //  - ordered: structural compare; sorts object keys but preserves array order
+// opts.lossless (full/ordered): numbers are compared by their source text
+// (9007199254740993 != 9007199254740992, 1.0 == 1) and duplicate keys are
+// reported through opts.onWarning(message)
+// diffValues: the same full/ordered comparison on parsed values, as
+// added/removed/changed entries with their paths in both documents (used by
+// the JSON Viewer's column comparison)
 
-function sortJson(obj, mode = 'full') {
-  if (obj === null || obj === undefined) return obj;
+import { parseJsonLossless, withLiterals, isLosslessNumber, numberText, canonicalNumber } from './jsonText.js';
+
+// Sort key of a (sorted) value; numbers by canonical text so 1.0 and 1 sort together
+function sortKey(v) {
+  if (isLosslessNumber(v) || typeof v === 'number') return canonicalNumber(numberText(v));
+  if (Array.isArray(v)) return `[${v.map(sortKey).join(',')}]`;
+  if (v && typeof v === 'object') return `{${Object.keys(v).map((k) => `${JSON.stringify(k)}:${sortKey(v[k])}`).join(',')}}`;
+  return JSON.stringify(v);
+}
+
+function sortJson(obj, mode = 'full', lossless = false) {
+  if (obj === null || obj === undefined || isLosslessNumber(obj)) return obj;
   if (Array.isArray(obj)) {
-    const norm = obj.map(x => sortJson(x, mode));
+    const norm = obj.map(x => sortJson(x, mode, lossless));
     if (mode === 'full') {
+      const key = lossless ? sortKey : JSON.stringify;
       return [...norm].sort((a, b) => {
-        const sa = JSON.stringify(a);
-        const sb = JSON.stringify(b);
+        const sa = key(a);
+        const sb = key(b);
         return sa < sb ? -1 : sa > sb ? 1 : 0;
       });
     }
@@ -20,13 +37,23 @@ function sortJson(obj, mode = 'full') {
   if (typeof obj === 'object') {
     const out = {};
     for (const k of Object.keys(obj).sort()) {
-      out[k] = sortJson(obj[k], mode);
+      out[k] = sortJson(obj[k], mode, lossless);
     }
     return out;
   }
   return obj;
 }
 
+const isObj = v => v && typeof v === 'object' && !Array.isArray(v) && !isLosslessNumber(v);
+
+// Primitive compare; exact numbers compare by their text
+function sameScalar(a, b) {
+  const exact = isLosslessNumber(a) || isLosslessNumber(b);
+  const t1 = exact ? numberText(a) : null;
+  const t2 = exact ? numberText(b) : null;
+  return t1 !== null && t2 !== null ? canonicalNumber(t1) === canonicalNumber(t2) : a === b;
+}
+
 function* findDifferences(o1, o2, path = '') {
   const here = (p) => (p ? p : '');
   if (Array.isArray(o1) && Array.isArray(o2)) {
@@ -46,7 +73,6 @@ function* findDifferences(o1, o2, path = '') {
     return;
   }
 
-  const isObj = v => v && typeof v === 'object' && !Array.isArray(v);
   if (isObj(o1) && isObj(o2)) {
     const keys = new Set([...Object.keys(o1), ...Object.keys(o2)]);
     for (const k of [...keys].sort()) {
@@ -62,13 +88,85 @@ function* findDifferences(o1, o2, path = '') {
     return;
   }
 
-  // Primitive compare
-  if (o1 !== o2) {
-    const show = (v) => typeof v === 'string' ? JSON.stringify(v) : String(v);
+  if (!sameScalar(o1, o2)) {
+    const show = (v) => typeof v === 'string' ? JSON.stringify(v) : numberText(v) ?? String(v);
     yield `Diff at '${here(path)}': ${show(o1)} != ${show(o2)}`;
   }
 }
 
+// Original indices of an array's items in the order they are paired: sorted
+// as sortJson sorts them in 'full' mode, as they stand in 'ordered' mode
+function pairingOrder(items, mode, lossless) {
+  const order = items.map((_, i) => i);
+  if (mode !== 'full') return order;
+  const key = lossless ? sortKey : JSON.stringify;
+  const keys = items.map((item) => key(sortJson(item, 'full', lossless)));
+  return order.sort((a, b) => (keys[a] < keys[b] ? -1 : keys[a] > keys[b] ? 1 : a - b));
+}
+
+// Short text of a value for difference listings
+function describeValue(v) {
+  if (Array.isArray(v)) return `[…] (${v.length} item${v.length === 1 ? '' : 's'})`;
+  if (isObj(v)) { const n = Object.keys(v).length; return `{…} (${n} key${n === 1 ? '' : 's'})`; }
+  if (typeof v === 'string') return JSON.stringify(v.length > 80 ? `${v.slice(0, 79)}…` : v);
+  return numberText(v) ?? String(v);
+}
+
+function* walkDifferences(a, b, pathA, pathB, ctx) {
+  ctx.progress?.step();
+  if (Array.isArray(a) && Array.isArray(b)) {
+    const orderA = pairingOrder(a, ctx.mode, ctx.lossless);
+    const orderB = pairingOrder(b, ctx.mode, ctx.lossless);
+    const n = Math.min(a.length, b.length);
+    for (let i = 0; i < n; i++) {
+      yield* walkDifferences(a[orderA[i]], b[orderB[i]], pathA.concat(orderA[i]), pathB.concat(orderB[i]), ctx);
+    }
+    for (let i = n; i < a.length; i++) yield { kind: 'removed', pathA: pathA.concat(orderA[i]), pathB, textA: describeValue(a[orderA[i]]) };
+    for (let i = n; i < b.length; i++) yield { kind: 'added', pathA, pathB: pathB.concat(orderB[i]), textB: describeValue(b[orderB[i]]) };
+    return;
+  }
+  if (isObj(a) && isObj(b)) {
+    // keys in the order of the first document, then those only in the second;
+    // own keys only, so "constructor" or "toString" are keys like any other
+    const has = (o, k) => Object.prototype.hasOwnProperty.call(o, k);
+    for (const k of Object.keys(a)) {
+      if (has(b, k)) yield* walkDifferences(a[k], b[k], pathA.concat(k), pathB.concat(k), ctx);
+      else yield { kind: 'removed', pathA: pathA.concat(k), pathB, textA: describeValue(a[k]) };
+    }
+    for (const k of Object.keys(b)) {
+      if (!has(a, k)) yield { kind: 'added', pathA, pathB: pathB.concat(k), textB: describeValue(b[k]) };
+    }
+    return;
+  }
+  const container = (v) => Array.isArray(v) || isObj(v);
+  if (container(a) || container(b) || !sameScalar(a, b)) {
+    yield { kind: 'changed', pathA, pathB, textA: describeValue(a), textB: describeValue(b) };
+  }
+}
+
+/**
+ * Structural differences between two parsed values:
+ * { differences: [{ kind, pathA, pathB, textA?, textB? }], truncated }.
+ * kind is 'added' (only in b), 'removed' (only in a) or 'changed'; pathA and
+ * pathB are the segments in each document (for an added or removed entry the
+ * other path is the container it is missing from); textA/textB are short
+ * renderings of the values. opts.mode 'full' ignores array order the way
+ * compare() does (items are paired after sorting), 'ordered' pairs them by
+ * index. Numbers may be losslessNumber tokens (jsonText.js; set
+ * opts.lossless). opts.limit caps the list, opts.progress.step() is called
+ * per node.
+ */
+export function diffValues(a, b, opts = {}) {
+  const ctx = { mode: opts.mode === 'ordered' ? 'ordered' : 'full', lossless: !!opts.lossless, progress: opts.progress ?? null };
+  const limit = opts.limit ?? Infinity;
+  const differences = [];
+  for (const d of walkDifferences(a, b, [], [], ctx)) {
+    if (differences.length >= limit) return { differences, truncated: true };
+    differences.push(d);
+  }
+  return { differences, truncated: false };
+}
+
 function lineDiff(aText, bText) {
   const a = (aText || '').split(/\r?\n/);
   const b = (bText || '').split(/\r?\n/);
@@ -91,12 +189,28 @@ export function compare(text1, text2, opts = {}) {
     if (text1 === text2) return [];
     return lineDiff(text1, text2);
   }
-  let j1, j2;
-  try { j1 = JSON.parse(text1); } catch (e) { throw new Error(`File A is not valid JSON: ${e.message}`); }
-  try { j2 = JSON.parse(text2); } catch (e) { throw new Error(`File B is not valid JSON: ${e.message}`); }
-  const s1 = sortJson(j1, mode === 'full' ? 'full' : 'ordered');
-  const s2 = sortJson(j2, mode === 'full' ? 'full' : 'ordered');
+  const lossless = !!opts.lossless;
+  const j1 = parseInput(text1, 'A', lossless, opts.onWarning);
+  const j2 = parseInput(text2, 'B', lossless, opts.onWarning);
+  const s1 = sortJson(j1, mode === 'full' ? 'full' : 'ordered', lossless);
+  const s2 = sortJson(j2, mode === 'full' ? 'full' : 'ordered', lossless);
   return Array.from(findDifferences(s1, s2));
 }
 
-export default { compare };
+function describePath(segments) {
+  return segments.map((s, i) => (typeof s === 'number' ? `[${s}]` : i ? `.${s}` : s)).join('');
+}
+
+function parseInput(text, name, lossless, onWarning) {
+  if (!lossless) {
+    try { return JSON.parse(text); } catch (e) { throw new Error(`File ${name} is not valid JSON: ${e.message}`); }
+  }
+  let parsed;
+  try { parsed = parseJsonLossless(text); } catch (e) { throw new Error(`File ${name} is not valid JSON: ${e.message}`); }
+  for (const d of parsed.duplicates) {
+    onWarning?.(`Duplicate key '${describePath(d.path.concat(d.key))}' in file ${name} at line ${d.line} column ${d.column} (first at line ${d.first.line} column ${d.first.column}); the last value is compared.`);
+  }
+  return withLiterals(parsed.value, parsed.literals);
+}
+
+export default { compare, diffValues };
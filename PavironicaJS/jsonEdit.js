@@ -0,0 +1,169 @@
+// JSON edit helpers (ES module, DOM-free)
+// - applyJsonEdit: apply one tree edit to a document; returns a new document
+//   (branches off the edited path are shared, the input is not modified)
+// - parseEditedValue: text typed in the tree -> JSON value
+// - createEditHistory: undo/redo stack of editor texts
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describeSegments(segments) {
+  return segments.length ? segments.join('>') : 'root';
+}
+
+function getAt(root, segments) {
+  let current = root;
+  for (const seg of segments) {
+    if (Array.isArray(current) && Number.isInteger(seg) && seg >= 0 && seg < current.length) { current = current[seg]; continue; }
+    if (isObject(current) && Object.prototype.hasOwnProperty.call(current, seg)) { current = current[seg]; continue; }
+    throw new Error(`Path ${describeSegments(segments)} no longer exists.`);
+  }
+  return current;
+}
+
+// Copy the containers along `segments` and replace the value at the end with fn(old)
+function updateAt(value, segments, fn) {
+  if (!segments.length) return fn(value);
+  const [head, ...rest] = segments;
+  if (Array.isArray(value)) {
+    const copy = value.slice();
+    copy[head] = updateAt(value[head], rest, fn);
+    return copy;
+  }
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, k === head ? updateAt(v, rest, fn) : v]));
+}
+
+function uniqueKey(obj, base = 'newKey') {
+  if (!Object.prototype.hasOwnProperty.call(obj, base)) return base;
+  let n = 2;
+  while (Object.prototype.hasOwnProperty.call(obj, `${base}${n}`)) n++;
+  return `${base}${n}`;
+}
+
+/**
+ * Apply one edit and return { root, path } — the new document and the path of
+ * the entry the edit produced (for add/rename/move), else the edited path.
+ * change is one of:
+ *   { op: 'set', path, value }            replace a value
+ *   { op: 'rename', path, key }           rename an object key (keeps order)
+ *   { op: 'add', path, key?, value }      add to the object/array at path
+ *                                         (object: key defaults to a free "newKey")
+ *   { op: 'delete', path }                remove a property or array item
+ *   { op: 'move', path, from, to }        reorder items of the array at path
+ * Throws an Error with a readable message when the edit can't be applied.
+ */
+export function applyJsonEdit(root, change) {
+  const path = Array.isArray(change.path) ? change.path : [];
+  getAt(root, path);
+  const parentPath = path.slice(0, -1);
+  const last = path[path.length - 1];
+
+  switch (change.op) {
+    case 'set':
+      return { root: updateAt(root, path, () => change.value), path };
+
+    case 'rename': {
+      if (!path.length || typeof last !== 'string') throw new Error('Only object keys can be renamed.');
+      const key = String(change.key ?? '');
+      if (key === last) return { root, path };
+      const parent = getAt(root, parentPath);
+      if (Object.prototype.hasOwnProperty.call(parent, key)) throw new Error(`Key "${key}" already exists here.`);
+      const next = updateAt(root, parentPath, (obj) => Object.fromEntries(Object.entries(obj).map(([k, v]) => [k === last ? key : k, v])));
+      return { root: next, path: parentPath.concat(key) };
+    }
+
+    case 'add': {
+      const target = getAt(root, path);
+      if (Array.isArray(target)) {
+        const index = Number.isInteger(change.index) ? Math.max(0, Math.min(target.length, change.index)) : target.length;
+        const next = updateAt(root, path, (arr) => [...arr.slice(0, index), change.value ?? null, ...arr.slice(index)]);
+        return { root: next, path: path.concat(index) };
+      }
+      if (!isObject(target)) throw new Error('Values can only be added to objects and arrays.');
+      const key = change.key === undefined ? uniqueKey(target) : String(change.key);
+      if (Object.prototype.hasOwnProperty.call(target, key)) throw new Error(`Key "${key}" already exists here.`);
+      const next = updateAt(root, path, (obj) => Object.fromEntries([...Object.entries(obj), [key, change.value ?? null]]));
+      return { root: next, path: path.concat(key) };
+    }
+
+    case 'delete': {
+      if (!path.length) throw new Error('The root value cannot be deleted.');
+      const next = updateAt(root, parentPath, (container) => (Array.isArray(container)
+        ? container.filter((_, i) => i !== last)
+        : Object.fromEntries(Object.entries(container).filter(([k]) => k !== last))));
+      return { root: next, path: parentPath };
+    }
+
+    case 'move': {
+      const arr = getAt(root, path);
+      if (!Array.isArray(arr)) throw new Error('Only array items can be reordered.');
+      const { from, to } = change;
+      if (!Number.isInteger(from) || from < 0 || from >= arr.length) throw new Error(`Item [${from}] does not exist.`);
+      const dest = Math.max(0, Math.min(arr.length - 1, Number.isInteger(to) ? to : from));
+      const next = updateAt(root, path, (items) => {
+        const copy = items.slice();
+        const [moved] = copy.splice(from, 1);
+        copy.splice(dest, 0, moved);
+        return copy;
+      });
+      return { root: next, path: path.concat(dest) };
+    }
+
+    default:
+      throw new Error(`Unknown edit "${change.op}".`);
+  }
+}
+
+/**
+ * Value typed into the tree: valid JSON is taken as-is (42, true, null,
+ * "quoted", {...}); anything else is kept as a plain string.
+ */
+export function parseEditedValue(text) {
+  const raw = String(text ?? '');
+  try {
+    return JSON.parse(raw);
+  } catch (_) {
+    return raw;
+  }
+}
+
+/**
+ * Undo/redo stack of editor texts. push(before, after) records an edit;
+ * undo(current) / redo(current) return the text to restore, or null when
+ * there is nothing to do or `current` no longer matches the recorded text
+ * (the editor was changed some other way; the history is then dropped).
+ */
+export function createEditHistory(limit = 100) {
+  const undoStack = [];
+  const redoStack = [];
+  const clear = () => { undoStack.length = 0; redoStack.length = 0; };
+  return {
+    push(before, after) {
+      undoStack.push({ before, after });
+      if (undoStack.length > limit) undoStack.shift();
+      redoStack.length = 0;
+    },
+    undo(current) {
+      const entry = undoStack[undoStack.length - 1];
+      if (!entry) return null;
+      if (entry.after !== current) { clear(); return null; }
+      undoStack.pop();
+      redoStack.push(entry);
+      return entry.before;
+    },
+    redo(current) {
+      const entry = redoStack[redoStack.length - 1];
+      if (!entry) return null;
+      if (entry.before !== current) { clear(); return null; }
+      redoStack.pop();
+      undoStack.push(entry);
+      return entry.after;
+    },
+    clear,
+    get canUndo() { return undoStack.length > 0; },
+    get canRedo() { return redoStack.length > 0; }
+  };
+}
+
+export default { applyJsonEdit, parseEditedValue, createEditHistory };
@@ -0,0 +1,118 @@
+// Embedded value helpers (ES module, DOM-free so it also runs inside jsonWorker.js)
+// - decodeEmbedded: what a string value carries, if anything: serialized
+//   JSON, Base64 (of JSON or readable text) or a JWT (header + payload)
+// - collectEmbeddedValues: every decodable string of a document with its
+//   path, for searching and extracting inside the decoded content
+// A decoded value continues the path of its string: a string has no children
+// of its own, so ["token", "payload", "sub"] reads as "sub in the payload of
+// the JWT stored in token".
+
+const EMBED_MAX_LENGTH = 5 * 1024 * 1024;
+const BASE64_MIN_LENGTH = 16;
+const CACHE_MAX_ENTRIES = 500;
+const CACHE_MAX_LENGTH = 100 * 1024;
+
+const JWT = /^[A-Za-z0-9_-]{2,}\.[A-Za-z0-9_-]{2,}\.[A-Za-z0-9_-]*$/;
+const BASE64 = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+const BASE64_URL = /^[A-Za-z0-9_-]+$/;
+const CONTROL_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F\uFFFD]/;
+
+export const EMBEDDED_KINDS = {
+  json:           { label: 'JSON',   title: 'JSON serialized in the string' },
+  'base64-json':  { label: 'Base64', title: 'Base64-encoded JSON' },
+  'base64-text':  { label: 'Base64', title: 'Base64-encoded text' },
+  jwt:            { label: 'JWT',    title: 'JSON Web Token: decoded header and payload (the signature is not verified)' }
+};
+
+const cache = new Map();
+
+// A JSON object or array written as text, else undefined
+function parseContainer(text) {
+  const t = text.trim();
+  if (!((t[0] === '{' && t.endsWith('}')) || (t[0] === '[' && t.endsWith(']')))) return undefined;
+  try {
+    const value = JSON.parse(t);
+    return value !== null && typeof value === 'object' ? value : undefined;
+  } catch (_) {
+    return undefined;
+  }
+}
+
+// UTF-8 text of standard or URL-safe Base64; null when it isn't valid UTF-8
+function base64ToText(b64) {
+  let normalized = b64.replace(/-/g, '+').replace(/_/g, '/');
+  if (normalized.length % 4 === 1) return null;
+  while (normalized.length % 4) normalized += '=';
+  try {
+    const binary = atob(normalized);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch (_) {
+    return null;
+  }
+}
+
+function decodeJwt(text) {
+  const [head, body, signature] = text.split('.');
+  const header = parseContainer(base64ToText(head) ?? '');
+  if (!header || Array.isArray(header) || typeof header.alg !== 'string') return null;
+  const payloadText = base64ToText(body);
+  if (payloadText === null) return null;
+  return { header, payload: parseContainer(payloadText) ?? payloadText, signature };
+}
+
+function decode(text) {
+  const json = parseContainer(text);
+  if (json !== undefined) return { kind: 'json', value: json };
+  if (text.length < BASE64_MIN_LENGTH) return null;
+  if (JWT.test(text)) {
+    const jwt = decodeJwt(text);
+    if (jwt) return { kind: 'jwt', value: jwt };
+  }
+  if (!BASE64.test(text) && !BASE64_URL.test(text)) return null;
+  const decoded = base64ToText(text);
+  // binary data and random-looking ids decode to control characters
+  if (decoded === null || !decoded.trim() || CONTROL_CHARS.test(decoded)) return null;
+  const inner = parseContainer(decoded);
+  return inner !== undefined ? { kind: 'base64-json', value: inner } : { kind: 'base64-text', value: decoded };
+}
+
+/**
+ * What a string value carries: { kind, value } with kind one of
+ * EMBEDDED_KINDS and value the decoded content (a JWT decodes to
+ * { header, payload, signature }), or null for an ordinary string.
+ * Results are cached, so the same decoded object comes back for the same text.
+ */
+export function decodeEmbedded(text) {
+  if (typeof text !== 'string' || text.length < 2 || text.length > EMBED_MAX_LENGTH) return null;
+  if (cache.has(text)) return cache.get(text);
+  const result = decode(text);
+  if (text.length <= CACHE_MAX_LENGTH) {
+    if (cache.size >= CACHE_MAX_ENTRIES) cache.clear();
+    cache.set(text, result);
+  }
+  return result;
+}
+
+/**
+ * [{ path, value }] for every decodable string under `value` (whose path is
+ * pathSegments), in document order; strings inside decoded content count too.
+ */
+export function collectEmbeddedValues(value, pathSegments = [], out = [], progress = null) {
+  progress?.step();
+  if (typeof value === 'string') {
+    const embedded = decodeEmbedded(value);
+    if (embedded) {
+      out.push({ path: pathSegments, value: embedded.value });
+      collectEmbeddedValues(embedded.value, pathSegments, out, progress);
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach((item, idx) => collectEmbeddedValues(item, pathSegments.concat(idx), out, progress));
+  } else if (value !== null && typeof value === 'object') {
+    Object.keys(value).forEach((k) => collectEmbeddedValues(value[k], pathSegments.concat(k), out, progress));
+  }
+  return out;
+}
+
+export default { EMBEDDED_KINDS, decodeEmbedded, collectEmbeddedValues };
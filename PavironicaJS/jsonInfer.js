@@ -0,0 +1,423 @@
+// JSON type inference helpers (ES module, DOM-free so it also runs inside jsonWorker.js)
+// - inferShape: merged shape of one or more sample documents (array items are
+//   merged, keys missing from some objects become optional, null makes nullable)
+// - renderInferred: a shape as JSON Schema, TypeScript, Java records or Kotlin
+//   data classes (INFER_FORMATS lists them)
+
+export const INFER_FORMATS = [
+  { id: 'schema', label: 'JSON Schema', ext: 'schema.json' },
+  { id: 'typescript', label: 'TypeScript interfaces', ext: 'ts' },
+  { id: 'java', label: 'Java records', ext: 'java' },
+  { id: 'kotlin', label: 'Kotlin data classes', ext: 'kt' }
+];
+
+const ENUM_MAX_VALUES = 10;   // more distinct strings than this is free text
+const ENUM_MAX_LENGTH = 40;
+const STRING_FORMATS = {
+  'date-time': /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?([Zz]|[+-]\d{2}:?\d{2})?$/,
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+};
+
+// ---- Shapes ----
+// A shape counts what was seen at one position: how often, how many nulls,
+// and per type a summary (string values/formats, merged array items, object
+// properties). Plain objects, Maps and Sets only, so it can be posted from a worker.
+
+function newShape() {
+  return { seen: 0, nulls: 0, booleans: 0, integers: 0, numbers: 0, strings: null, array: null, object: null };
+}
+
+function addString(shape, value) {
+  const s = shape.strings ?? (shape.strings = { count: 0, values: new Map(), formats: {} });
+  s.count++;
+  if (s.values) {
+    if (value.length > ENUM_MAX_LENGTH) s.values = null;
+    else {
+      s.values.set(value, (s.values.get(value) || 0) + 1);
+      if (s.values.size > ENUM_MAX_VALUES) s.values = null;
+    }
+  }
+  for (const [name, re] of Object.entries(STRING_FORMATS)) {
+    if (re.test(value)) s.formats[name] = (s.formats[name] || 0) + 1;
+  }
+}
+
+function addSample(shape, value, progress) {
+  progress?.step();
+  shape.seen++;
+  if (value === null) { shape.nulls++; return; }
+  if (Array.isArray(value)) {
+    const arr = shape.array ?? (shape.array = { count: 0, item: newShape() });
+    arr.count++;
+    for (const item of value) addSample(arr.item, item, progress);
+    return;
+  }
+  switch (typeof value) {
+    case 'object': {
+      const obj = shape.object ?? (shape.object = { count: 0, props: new Map() });
+      obj.count++;
+      for (const key of Object.keys(value)) {
+        if (!obj.props.has(key)) obj.props.set(key, newShape());
+        addSample(obj.props.get(key), value[key], progress);
+      }
+      return;
+    }
+    case 'string': addString(shape, value); return;
+    case 'number': if (Number.isInteger(value)) shape.integers++; else shape.numbers++; return;
+    case 'boolean': shape.booleans++; return;
+    default: return;
+  }
+}
+
+/** Merged shape of the sample documents (each one is a complete document). */
+export function inferShape(samples, progress = null) {
+  const shape = newShape();
+  for (const sample of samples) addSample(shape, sample, progress);
+  return shape;
+}
+
+// Kinds seen at a position ('integer' only when no fractional number was seen)
+function kindsOf(shape) {
+  const kinds = [];
+  if (shape.object) kinds.push('object');
+  if (shape.array) kinds.push('array');
+  if (shape.strings) kinds.push('string');
+  if (shape.numbers) kinds.push('number');
+  else if (shape.integers) kinds.push('integer');
+  if (shape.booleans) kinds.push('boolean');
+  return kinds;
+}
+
+// Enum values when a few distinct strings repeat; null otherwise
+function enumValues(strings) {
+  if (!strings?.values || strings.values.size < 2) return null;
+  if (strings.count < strings.values.size * 2) return null;
+  return [...strings.values.keys()].sort();
+}
+
+function stringFormat(strings) {
+  if (!strings) return null;
+  return Object.keys(STRING_FORMATS).find((name) => strings.formats[name] === strings.count) || null;
+}
+
+// ---- JSON Schema ----
+
+function schemaForKind(shape, kind) {
+  switch (kind) {
+    case 'object': {
+      const out = { type: 'object' };
+      if (!shape.object.props.size) return out;
+      out.properties = {};
+      const required = [];
+      shape.object.props.forEach((prop, key) => {
+        out.properties[key] = schemaFor(prop);
+        if (prop.seen === shape.object.count) required.push(key);
+      });
+      if (required.length) out.required = required;
+      return out;
+    }
+    case 'array':
+      return shape.array.item.seen ? { type: 'array', items: schemaFor(shape.array.item) } : { type: 'array' };
+    case 'string': {
+      const out = { type: 'string' };
+      const format = stringFormat(shape.strings);
+      const values = format ? null : enumValues(shape.strings);
+      if (format) out.format = format;
+      if (values) out.enum = values;
+      return out;
+    }
+    default:
+      return { type: kind };
+  }
+}
+
+function schemaFor(shape) {
+  const kinds = kindsOf(shape);
+  const nullable = shape.nulls > 0;
+  if (!kinds.length) return nullable ? { type: 'null' } : {};
+  const variants = kinds.map((k) => schemaForKind(shape, k));
+  if (variants.length === 1) {
+    const only = variants[0];
+    if (!nullable) return only;
+    if (only.enum) only.enum = [...only.enum, null];
+    return { ...only, type: [only.type, 'null'] };
+  }
+  if (nullable) variants.push({ type: 'null' });
+  // plain types merge into one type list, anything richer stays an anyOf
+  if (variants.every((v) => Object.keys(v).length === 1)) return { type: variants.map((v) => v.type) };
+  return { anyOf: variants };
+}
+
+function toJsonSchema(shape, rootName) {
+  const schema = { $schema: 'https://json-schema.org/draft/2020-12/schema', title: rootName, ...schemaFor(shape) };
+  return `${JSON.stringify(schema, null, 2)}\n`;
+}
+
+// ---- Type model (TypeScript / Java / Kotlin) ----
+// Objects become named declarations (identical structures share one name),
+// repeating string values become enums. A type reference is
+// { kind, name?, item?, members?, format?, nullable }.
+
+const WORD_SPLIT = /[^A-Za-z0-9]+|(?<=[a-z0-9])(?=[A-Z])/;
+
+function pascalCase(text) {
+  const name = String(text).split(WORD_SPLIT).filter(Boolean).map((w) => w[0].toUpperCase() + w.slice(1)).join('');
+  if (!name) return 'Item';
+  return /^\d/.test(name) ? `T${name}` : name;
+}
+
+function camelCase(text) {
+  const pascal = String(text).split(WORD_SPLIT).filter(Boolean).map((w) => w[0].toUpperCase() + w.slice(1).toLowerCase()).join('');
+  if (!pascal) return 'value';
+  const name = pascal[0].toLowerCase() + pascal.slice(1);
+  return /^\d/.test(name) ? `_${name}` : name;
+}
+
+function singular(name) {
+  if (/ies$/.test(name)) return name.replace(/ies$/, 'y');
+  if (/(ss|us|is)$/.test(name)) return name;
+  if (/s$/.test(name) && name.length > 1) return name.slice(0, -1);
+  return `${name}Item`;
+}
+
+function constantCase(value) {
+  const name = String(value).replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '').toUpperCase();
+  if (!name) return 'EMPTY';
+  return /^\d/.test(name) ? `_${name}` : name;
+}
+
+function buildTypeModel(shape, rootName) {
+  const decls = [];
+  const bySignature = new Map();
+  const usedNames = new Set();
+  const uniqueName = (base) => {
+    let name = base;
+    for (let n = 2; usedNames.has(name); n++) name = `${base}${n}`;
+    usedNames.add(name);
+    return name;
+  };
+  const declare = (kind, hint, body) => {
+    const signature = `${kind}:${JSON.stringify(body)}`;
+    if (bySignature.has(signature)) return bySignature.get(signature);
+    const name = uniqueName(pascalCase(hint));
+    bySignature.set(signature, name);
+    decls.push({ kind, name, ...body });
+    return name;
+  };
+
+  const kindRef = (s, kind, hint) => {
+    switch (kind) {
+      case 'object': {
+        if (!s.object.props.size) return { kind: 'map' };
+        const fields = [];
+        s.object.props.forEach((prop, key) => {
+          fields.push({ key, type: ref(prop, key), optional: prop.seen < s.object.count });
+        });
+        return { kind: 'object', name: declare('object', hint, { fields }) };
+      }
+      case 'array':
+        return { kind: 'array', item: s.array.item.seen ? ref(s.array.item, singular(pascalCase(hint))) : { kind: 'any' } };
+      case 'string': {
+        const format = stringFormat(s.strings);
+        if (format) return { kind: 'string', format };
+        const values = enumValues(s.strings);
+        return values ? { kind: 'enum', name: declare('enum', hint, { values }) } : { kind: 'string' };
+      }
+      default:
+        return { kind };
+    }
+  };
+
+  const ref = (s, hint) => {
+    const kinds = kindsOf(s);
+    const nullable = s.nulls > 0;
+    if (!kinds.length) return { kind: 'any', nullable: true };
+    const members = kinds.map((k) => kindRef(s, k, hint));
+    return members.length === 1 ? { ...members[0], nullable } : { kind: 'union', members, nullable };
+  };
+
+  // a root that isn't a plain object is emitted as an alias under rootName
+  if (kindsOf(shape).join() !== 'object') usedNames.add(pascalCase(rootName));
+  const root = ref(shape, rootName);
+  // children are declared before their parents; list the root first
+  return { root, decls: decls.reverse() };
+}
+
+// ---- TypeScript ----
+
+function tsType(t) {
+  let base;
+  switch (t.kind) {
+    case 'string': base = 'string'; break;
+    case 'integer': case 'number': base = 'number'; break;
+    case 'boolean': base = 'boolean'; break;
+    case 'object': case 'enum': base = t.name; break;
+    case 'map': base = 'Record<string, unknown>'; break;
+    case 'array': {
+      const inner = tsType(t.item);
+      base = /[ |]/.test(inner) ? `(${inner})[]` : `${inner}[]`;
+      break;
+    }
+    case 'union': base = t.members.map(tsType).join(' | '); break;
+    default: return 'unknown';
+  }
+  return t.nullable ? `${base} | null` : base;
+}
+
+function toTypeScript(shape, rootName) {
+  const { root, decls } = buildTypeModel(shape, rootName);
+  const out = [];
+  if (root.kind !== 'object') out.push(`export type ${pascalCase(rootName)} = ${tsType(root)};`);
+  for (const d of decls) {
+    if (d.kind === 'enum') {
+      out.push(`export type ${d.name} = ${d.values.map((v) => JSON.stringify(v)).join(' | ')};`);
+      continue;
+    }
+    const lines = d.fields.map(({ key, type, optional }) => {
+      const name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+      const note = type.format ? ` // ${type.format}` : '';
+      return `  ${name}${optional ? '?' : ''}: ${tsType(type)};${note}`;
+    });
+    out.push(`export interface ${d.name} {\n${lines.join('\n')}\n}`);
+  }
+  return `${out.join('\n\n')}\n`;
+}
+
+// ---- Java / Kotlin ----
+
+const JAVA_RESERVED = new Set('abstract assert boolean break byte case catch char class const continue default do double else enum extends final finally float for goto if implements import instanceof int interface long native new package private protected public return short static strictfp super switch synchronized this throw throws transient try void volatile while record var yield true false null'.split(' '));
+const KOTLIN_RESERVED = new Set('as break class continue do else false for fun if in interface is null object package return super this throw true try typealias typeof val var when while'.split(' '));
+
+const JVM_FORMAT_TYPES = {
+  'date-time': { type: 'OffsetDateTime', imports: ['java.time.OffsetDateTime'] },
+  date: { type: 'LocalDate', imports: ['java.time.LocalDate'] },
+  uuid: { type: 'UUID', imports: ['java.util.UUID'] }
+};
+
+// Property names for the JVM: camelCase identifiers, @JsonProperty when renamed
+function jvmFields(fields, reserved) {
+  const used = new Set();
+  return fields.map((f) => {
+    let name = camelCase(f.key);
+    if (reserved.has(name)) name = `${name}_`;
+    while (used.has(name)) name = `${name}_`;
+    used.add(name);
+    return { ...f, name, renamed: name !== f.key };
+  });
+}
+
+function jvmEnumConstants(values) {
+  const used = new Set();
+  return values.map((value) => {
+    let name = constantCase(value);
+    while (used.has(name)) name = `${name}_`;
+    used.add(name);
+    return { value, name, renamed: name !== value };
+  });
+}
+
+function javaType(t, imports, boxed = false) {
+  const nullable = boxed || t.nullable;
+  switch (t.kind) {
+    case 'string': {
+      const mapped = JVM_FORMAT_TYPES[t.format];
+      if (!mapped) return 'String';
+      mapped.imports.forEach((i) => imports.add(i));
+      return mapped.type;
+    }
+    case 'integer': return nullable ? 'Long' : 'long';
+    case 'number': return nullable ? 'Double' : 'double';
+    case 'boolean': return nullable ? 'Boolean' : 'boolean';
+    case 'object': case 'enum': return t.name;
+    case 'map': imports.add('java.util.Map'); return 'Map<String, Object>';
+    case 'array': imports.add('java.util.List'); return `List<${javaType(t.item, imports, true)}>`;
+    default: return 'Object';
+  }
+}
+
+function jvmImports(imports) {
+  return imports.size ? `${[...imports].sort().map((i) => `import ${i};`).join('\n')}\n\n` : '';
+}
+
+function toJava(shape, rootName) {
+  const { root, decls } = buildTypeModel(shape, rootName);
+  const imports = new Set();
+  const out = [];
+  if (root.kind !== 'object') out.push(`// ${pascalCase(rootName)}: ${javaType(root, imports, true)}`);
+  decls.forEach((d, i) => {
+    const visibility = i === 0 ? 'public ' : '';
+    if (d.kind === 'enum') {
+      const constants = jvmEnumConstants(d.values);
+      if (constants.some((c) => c.renamed)) imports.add('com.fasterxml.jackson.annotation.JsonProperty');
+      const lines = constants.map((c) => `    ${c.renamed ? `@JsonProperty(${JSON.stringify(c.value)}) ` : ''}${c.name}`);
+      out.push(`${visibility}enum ${d.name} {\n${lines.join(',\n')}\n}`);
+      return;
+    }
+    const fields = jvmFields(d.fields, JAVA_RESERVED);
+    if (fields.some((f) => f.renamed)) imports.add('com.fasterxml.jackson.annotation.JsonProperty');
+    const lines = fields.map((f) => `    ${f.renamed ? `@JsonProperty(${JSON.stringify(f.key)}) ` : ''}${javaType(f.type, imports, f.optional)} ${f.name}`);
+    out.push(`${visibility}record ${d.name}(\n${lines.join(',\n')}\n) {}`);
+  });
+  return `${jvmImports(imports)}${out.join('\n\n')}\n`;
+}
+
+function kotlinType(t, imports) {
+  let base;
+  switch (t.kind) {
+    case 'string': {
+      const mapped = JVM_FORMAT_TYPES[t.format];
+      if (mapped) mapped.imports.forEach((i) => imports.add(i));
+      base = mapped ? mapped.type : 'String';
+      break;
+    }
+    case 'integer': base = 'Long'; break;
+    case 'number': base = 'Double'; break;
+    case 'boolean': base = 'Boolean'; break;
+    case 'object': case 'enum': base = t.name; break;
+    case 'map': base = 'Map<String, Any?>'; break;
+    case 'array': base = `List<${kotlinType(t.item, imports)}>`; break;
+    default: return 'Any?';
+  }
+  return t.nullable ? `${base}?` : base;
+}
+
+function toKotlin(shape, rootName) {
+  const { root, decls } = buildTypeModel(shape, rootName);
+  const imports = new Set();
+  const out = [];
+  if (root.kind !== 'object') out.push(`typealias ${pascalCase(rootName)} = ${kotlinType(root, imports)}`);
+  for (const d of decls) {
+    if (d.kind === 'enum') {
+      const constants = jvmEnumConstants(d.values);
+      if (constants.some((c) => c.renamed)) imports.add('com.fasterxml.jackson.annotation.JsonProperty');
+      const lines = constants.map((c) => `    ${c.renamed ? `@JsonProperty(${JSON.stringify(c.value)}) ` : ''}${c.name}`);
+      out.push(`enum class ${d.name} {\n${lines.join(',\n')}\n}`);
+      continue;
+    }
+    const fields = jvmFields(d.fields, KOTLIN_RESERVED);
+    if (fields.some((f) => f.renamed)) imports.add('com.fasterxml.jackson.annotation.JsonProperty');
+    const lines = fields.map((f) => {
+      let type = kotlinType(f.type, imports);
+      if (f.optional && !type.endsWith('?')) type += '?';
+      return `    ${f.renamed ? `@JsonProperty(${JSON.stringify(f.key)}) ` : ''}val ${f.name}: ${type}${f.optional ? ' = null' : ''}`;
+    });
+    out.push(`data class ${d.name}(\n${lines.join(',\n')}\n)`);
+  }
+  return `${jvmImports(imports)}${out.join('\n\n')}\n`;
+}
+
+/** Render a shape from inferShape as 'schema' | 'typescript' | 'java' | 'kotlin' source text. */
+export function renderInferred(shape, format, rootName = 'Root') {
+  const name = pascalCase(rootName || 'Root');
+  switch (format) {
+    case 'schema': return toJsonSchema(shape, name);
+    case 'typescript': return toTypeScript(shape, name);
+    case 'java': return toJava(shape, name);
+    case 'kotlin': return toKotlin(shape, name);
+    default: throw new Error(`Unknown output format "${format}".`);
+  }
+}
+
+export default { inferShape, renderInferred, INFER_FORMATS };
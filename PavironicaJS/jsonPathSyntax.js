@@ -0,0 +1,153 @@
+// JSON path syntax helpers (ES module, DOM-free so it also runs inside jsonWorker.js)
+// - PATH_SYNTAXES: the path notations the JSON Viewer can copy
+// - formatPathAs: path segments -> "root>a>b>", JSONPath ($.a.b[3]), JSON
+//   Pointer (/a/b/3), a JavaScript accessor (data.a["b-c"][3]), Python
+//   subscripts (data["a"]["b"][3]) or a jq filter (.a.b[3])
+// - parsePathText: any of those forms back to segments (array indices
+//   written in brackets become numbers)
+
+export const PATH_SYNTAXES = {
+  path:     { label: 'Path' },
+  jsonpath: { label: 'JSONPath' },
+  pointer:  { label: 'JSON Pointer' },
+  js:       { label: 'JavaScript' },
+  python:   { label: 'Python' },
+  jq:       { label: 'jq' }
+};
+
+// Variable the JavaScript and Python accessors start from
+const ROOT_VARIABLE = 'data';
+
+const JS_IDENT = /^[A-Za-z_$][\w$]*$/;
+const PLAIN_IDENT = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const isIndex = (segment) => typeof segment === 'number';
+
+function quoteSingle(text) {
+  return `'${JSON.stringify(text).slice(1, -1).replace(/\\"/g, '"').replace(/'/g, "\\'")}'`;
+}
+
+/** Text of a path in one of the PATH_SYNTAXES (segments as in line._path). */
+export function formatPathAs(segments, syntax = 'path') {
+  const safe = Array.isArray(segments) ? segments : [];
+  switch (syntax) {
+    case 'path':
+      return `root>${safe.map((s) => `${String(s)}>`).join('')}`;
+    case 'jsonpath':
+      return `$${safe.map((s) => (isIndex(s) ? `[${s}]` : PLAIN_IDENT.test(s) ? `.${s}` : `[${quoteSingle(s)}]`)).join('')}`;
+    case 'pointer':
+      return safe.map((s) => `/${String(s).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+    case 'js':
+      return `${ROOT_VARIABLE}${safe.map((s) => (isIndex(s) ? `[${s}]` : JS_IDENT.test(s) ? `.${s}` : `[${JSON.stringify(s)}]`)).join('')}`;
+    case 'python':
+      return `${ROOT_VARIABLE}${safe.map((s) => `[${isIndex(s) ? s : JSON.stringify(s)}]`).join('')}`;
+    case 'jq': {
+      if (!safe.length) return '.';
+      return safe.map((s, i) => {
+        if (!isIndex(s) && PLAIN_IDENT.test(s)) return `.${s}`;
+        const bracket = `[${isIndex(s) ? s : JSON.stringify(s)}]`;
+        return i ? bracket : `.${bracket}`;
+      }).join('');
+    }
+    default:
+      throw new Error(`Unknown path syntax "${syntax}".`);
+  }
+}
+
+function parseArrowPath(raw) {
+  const cleaned = raw.endsWith('>') ? raw.slice(0, -1) : raw;
+  const parts = cleaned.split('>').map((p) => p.trim()).filter((p) => p.length > 0);
+  if (parts.length && parts[0].toLowerCase() === 'root') parts.shift();
+  return parts;
+}
+
+function parsePointer(raw) {
+  const pointer = raw.startsWith('#') ? decodeURIComponent(raw.slice(1)) : raw;
+  if (!pointer) return [];
+  if (!pointer.startsWith('/')) throw new Error('A JSON Pointer starts with "/".');
+  return pointer.slice(1).split('/').map((s) => s.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+// Quoted key at src[start] ('…' or "…"); returns { value, end }
+function readQuoted(src, start) {
+  const quote = src[start];
+  let i = start + 1;
+  while (i < src.length && src[i] !== quote) i += src[i] === '\\' ? 2 : 1;
+  if (i >= src.length) throw new Error(`Unterminated string at position ${start + 1}.`);
+  // \' is valid in JSONPath and Python strings but not in JSON
+  const body = src.slice(start + 1, i).replace(/\\(.)|"/gs, (m, c) => (c === undefined ? '\\"' : c === "'" ? "'" : m));
+  try {
+    return { value: JSON.parse(`"${body}"`), end: i + 1 };
+  } catch (_) {
+    throw new Error(`Invalid escape in the string at position ${start + 1}.`);
+  }
+}
+
+// .name / ["name"] / ['name'] / [3] accessors from src[i] on; jq also allows ."name" and .[…]
+function parseAccessors(src, i) {
+  const segments = [];
+  const fail = (what) => { throw new Error(`${what} at position ${i + 1}.`); };
+  while (i < src.length) {
+    const c = src[i];
+    if (c === '.') {
+      i++;
+      if (src[i] === '.' || src[i] === '*') fail('Wildcards and recursive descent select more than one value');
+      if (src[i] === '"') { const { value, end } = readQuoted(src, i); segments.push(value); i = end; continue; }
+      if (src[i] === '[' || i >= src.length) continue;
+      const name = /^[A-Za-z_$][\w$]*/.exec(src.slice(i));
+      if (!name) fail(`Unexpected "${src[i]}"`);
+      segments.push(name[0]);
+      i += name[0].length;
+      continue;
+    }
+    if (c === '[') {
+      i++;
+      while (src[i] === ' ') i++;
+      if (src[i] === '"' || src[i] === "'") {
+        const { value, end } = readQuoted(src, i);
+        segments.push(value);
+        i = end;
+      } else {
+        const digits = /^\d+/.exec(src.slice(i));
+        if (!digits) fail(src[i] === undefined ? 'Missing "]"' : `Expected an index or a quoted key, found "${src[i]}"`);
+        segments.push(Number(digits[0]));
+        i += digits[0].length;
+      }
+      while (src[i] === ' ') i++;
+      if (src[i] !== ']') fail('Missing "]"');
+      i++;
+      continue;
+    }
+    fail(`Unexpected "${c}"`);
+  }
+  return segments;
+}
+
+/**
+ * Segments of a path typed in any PATH_SYNTAXES form. The form is told by
+ * how it starts: "$" JSONPath, "/" (or "#/") JSON Pointer, "." jq, and
+ * "data." or "data[" a JavaScript/Python accessor. Anything else is a
+ * "root>a>b>" path split at ">" only, so a single word or a dotted key
+ * (config.json) is one key. Throws an Error naming the position when the
+ * text can't be read.
+ */
+export function parsePathText(text) {
+  const raw = String(text ?? '').trim();
+  if (!raw || raw === '$' || raw === '.' || raw === '#') return [];
+  if (raw[0] === '/' || raw[0] === '#') return parsePointer(raw);
+  if (raw[0] === '$') return parseAccessors(raw, 1);
+  if (raw[0] === '.') return parseAccessors(raw, 0);
+  const next = raw[ROOT_VARIABLE.length];
+  if (raw.startsWith(ROOT_VARIABLE) && (next === '.' || next === '[')) {
+    try {
+      return parseAccessors(raw, ROOT_VARIABLE.length);
+    } catch (e) {
+      // "data.v2>id>" is a root> path whose key has a dot in it
+      if (raw.includes('>')) return parseArrowPath(raw);
+      throw e;
+    }
+  }
+  return parseArrowPath(raw);
+}
+
+export default { PATH_SYNTAXES, formatPathAs, parsePathText };
@@ -0,0 +1,943 @@
+// JSON query helpers (ES module, DOM-free so it also runs inside jsonWorker.js)
+// - queryJson: run a JSONPath expression ("$..book[?(@.price > 10)].title")
+//   or a jq-style filter (".items[] | select(.price > 10) | .id")
+// - queryLanguage: which of the two an expression is ('jsonpath' | 'jq')
+// Results are { value, path }: path is the value's location in the document
+// (array indices as numbers), or null for computed values (length, a + b, ...).
+
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+// ---- Tokenizer (shared by both languages) ----
+
+const TWO_CHAR_PUNCT = ['..', '==', '!=', '<=', '>=', '&&', '||', '=~', '//'];
+const ONE_CHAR_PUNCT = '$@.[](){},:;*|?!<>+-/%';
+const ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', '/': '/', '\\': '\\', '"': '"', "'": "'" };
+
+function readString(src, start) {
+  const quote = src[start];
+  let out = '';
+  let i = start + 1;
+  while (i < src.length) {
+    const c = src[i];
+    if (c === quote) return { value: out, end: i + 1 };
+    if (c === '\\') {
+      const e = src[i + 1];
+      if (e === 'u') {
+        const hex = src.slice(i + 2, i + 6);
+        if (!/^[0-9a-fA-F]{4}$/.test(hex)) throw new Error(`Invalid \\u escape at position ${i + 1}.`);
+        out += String.fromCharCode(parseInt(hex, 16));
+        i += 6;
+        continue;
+      }
+      if (!(e in ESCAPES)) throw new Error(`Invalid escape "\\${e ?? ''}" at position ${i + 1}.`);
+      out += ESCAPES[e];
+      i += 2;
+      continue;
+    }
+    out += c;
+    i++;
+  }
+  throw new Error(`Unterminated string starting at position ${start + 1}.`);
+}
+
+function readRegex(src, start) {
+  let i = start + 1;
+  let source = '';
+  while (i < src.length && src[i] !== '/') {
+    if (src[i] === '\\' && i + 1 < src.length) { source += src[i] + src[i + 1]; i += 2; continue; }
+    source += src[i++];
+  }
+  if (i >= src.length) throw new Error(`Unterminated regular expression starting at position ${start + 1}.`);
+  const flags = /^[a-z]*/.exec(src.slice(i + 1))[0];
+  return { value: { source, flags }, end: i + 1 + flags.length };
+}
+
+function tokenize(src) {
+  const tokens = [];
+  let i = 0;
+  while (i < src.length) {
+    const c = src[i];
+    if (/\s/.test(c)) { i++; continue; }
+    const pos = i;
+    const prev = tokens[tokens.length - 1];
+    if (c === '"' || c === "'") {
+      const { value, end } = readString(src, i);
+      tokens.push({ type: 'str', value, pos });
+      i = end;
+      continue;
+    }
+    if (c === '/' && prev && prev.type === 'punct' && prev.value === '=~') {
+      const { value, end } = readRegex(src, i);
+      tokens.push({ type: 'regex', value, pos });
+      i = end;
+      continue;
+    }
+    const num = /^\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/.exec(src.slice(i));
+    if (num) {
+      tokens.push({ type: 'num', value: Number(num[0]), pos });
+      i += num[0].length;
+      continue;
+    }
+    const ident = /^[\p{L}_][\p{L}\p{N}_]*/u.exec(src.slice(i));
+    if (ident) {
+      tokens.push({ type: 'ident', value: ident[0], pos });
+      i += ident[0].length;
+      continue;
+    }
+    const two = src.slice(i, i + 2);
+    if (TWO_CHAR_PUNCT.includes(two)) {
+      tokens.push({ type: 'punct', value: two, pos });
+      i += 2;
+      continue;
+    }
+    if (ONE_CHAR_PUNCT.includes(c)) {
+      tokens.push({ type: 'punct', value: c, pos });
+      i++;
+      continue;
+    }
+    throw new Error(`Unexpected character "${c}" at position ${pos + 1}.`);
+  }
+  tokens.push({ type: 'eof', value: null, pos: src.length });
+  return tokens;
+}
+
+function createCursor(src) {
+  const tokens = tokenize(src);
+  let p = 0;
+  const peek = (offset = 0) => tokens[Math.min(p + offset, tokens.length - 1)];
+  const is = (value, offset = 0) => { const t = peek(offset); return t.type === 'punct' && t.value === value; };
+  const isWord = (word, offset = 0) => { const t = peek(offset); return t.type === 'ident' && t.value === word; };
+  const next = () => tokens[p < tokens.length - 1 ? p++ : p];
+  const fail = (message, tok = peek()) => {
+    const where = tok.type === 'eof' ? 'at the end of the query' : `at position ${tok.pos + 1}`;
+    throw new Error(`${message} ${where}.`);
+  };
+  const accept = (value) => { if (is(value)) { p++; return true; } return false; };
+  const expect = (value) => { if (!accept(value)) fail(`Expected "${value}"`); };
+  // a name glued to the previous "." (".name" but not ". name")
+  const adjacent = () => p > 0 && peek().pos === tokens[p - 1].pos + tokens[p - 1].value.length;
+  return { peek, is, isWord, next, fail, accept, expect, adjacent };
+}
+
+// ---- Value helpers ----
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+const TYPE_ORDER = { null: 0, boolean: 1, number: 2, string: 3, array: 4, object: 5 };
+
+// jq ordering: null < false < true < numbers < strings < arrays < objects
+function compareValues(a, b) {
+  const ta = typeOf(a);
+  const tb = typeOf(b);
+  if (ta !== tb) return TYPE_ORDER[ta] - TYPE_ORDER[tb];
+  if (ta === 'null') return 0;
+  if (ta === 'boolean') return a === b ? 0 : a ? 1 : -1;
+  if (ta === 'number') return a < b ? -1 : a > b ? 1 : 0;
+  if (ta === 'string') return a < b ? -1 : a > b ? 1 : 0;
+  if (ta === 'array') {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const c = compareValues(a[i], b[i]);
+      if (c) return c;
+    }
+    return a.length - b.length;
+  }
+  const ka = Object.keys(a).sort();
+  const kb = Object.keys(b).sort();
+  const byKeys = compareValues(ka, kb);
+  if (byKeys) return byKeys;
+  for (const k of ka) {
+    const c = compareValues(a[k], b[k]);
+    if (c) return c;
+  }
+  return 0;
+}
+
+function deepEqual(a, b) { return compareValues(a, b) === 0; }
+
+function truthy(value) { return value !== null && value !== false; }
+
+function childEntries(value) {
+  if (Array.isArray(value)) return value.map((v, i) => [i, v]);
+  if (value !== null && typeof value === 'object') return Object.keys(value).map((k) => [k, value[k]]);
+  return [];
+}
+
+function childPath(path, seg) { return path ? path.concat(seg) : null; }
+
+// Pre-order walk: the node itself, then its descendants
+function descendants(item, out, progress) {
+  progress?.step();
+  out.push(item);
+  for (const [seg, v] of childEntries(item.value)) descendants({ value: v, path: childPath(item.path, seg) }, out, progress);
+  return out;
+}
+
+function buildRegex(pattern, flags = '') {
+  const clean = String(flags).replace(/[gx]/g, ''); // g/x change nothing for a yes/no test
+  if (/[^imsu]/.test(clean)) throw new Error(`Unsupported regex flags "${flags}".`);
+  try {
+    return new RegExp(pattern, clean);
+  } catch (e) {
+    // V8 already starts with "Invalid regular expression: /…/: "; Firefox gives only the reason
+    throw new Error(`Invalid regular expression: ${String(e.message).replace(/^Invalid regular expression: (\/[\s\S]*\/[a-z]*: )?/, '')}`);
+  }
+}
+
+// ---- JSONPath (RFC 9535, plus the common "=~ /regex/" filter operator) ----
+
+function parseJsonPath(src) {
+  const cur = createCursor(src);
+  if (!cur.accept('$')) cur.fail('A JSONPath expression must start with "$"');
+  const segments = parsePathSegments(cur);
+  if (cur.peek().type !== 'eof') cur.fail('Unexpected token');
+  return segments;
+}
+
+function parsePathSegments(cur) {
+  const segments = [];
+  for (;;) {
+    if (cur.is('..')) {
+      cur.next();
+      if (cur.is('[')) segments.push({ descendant: true, selectors: parseBracket(cur) });
+      else segments.push({ descendant: true, selectors: [parseDotSelector(cur)] });
+    } else if (cur.is('.')) {
+      cur.next();
+      segments.push({ descendant: false, selectors: [parseDotSelector(cur)] });
+    } else if (cur.is('[')) {
+      segments.push({ descendant: false, selectors: parseBracket(cur) });
+    } else {
+      return segments;
+    }
+  }
+}
+
+function parseDotSelector(cur) {
+  if (cur.accept('*')) return { t: 'wild' };
+  const tok = cur.peek();
+  if (tok.type === 'ident' || tok.type === 'num') { cur.next(); return { t: 'name', name: String(tok.value) }; }
+  return cur.fail('Expected a member name or "*"');
+}
+
+function parseSignedInt(cur) {
+  const neg = cur.accept('-');
+  const tok = cur.peek();
+  if (tok.type !== 'num' || !Number.isInteger(tok.value)) cur.fail('Expected an integer');
+  cur.next();
+  return neg ? -tok.value : tok.value;
+}
+
+function parseBracket(cur) {
+  cur.expect('[');
+  const selectors = [];
+  do {
+    const tok = cur.peek();
+    if (cur.accept('*')) selectors.push({ t: 'wild' });
+    else if (tok.type === 'str') { cur.next(); selectors.push({ t: 'name', name: tok.value }); }
+    else if (cur.accept('?')) selectors.push({ t: 'filter', expr: parseFilterOr(cur) });
+    else if (cur.is('(')) cur.fail('Script expressions "[(...)]" are not supported; use a filter "[?(...)]"');
+    else {
+      const start = cur.is(':') ? null : parseSignedInt(cur);
+      if (cur.accept(':')) {
+        const end = cur.is(':') || cur.is(']') || cur.is(',') ? null : parseSignedInt(cur);
+        let step = null;
+        if (cur.accept(':') && !cur.is(']') && !cur.is(',')) step = parseSignedInt(cur);
+        selectors.push({ t: 'slice', start, end, step });
+      } else {
+        selectors.push({ t: 'index', index: start });
+      }
+    }
+  } while (cur.accept(','));
+  cur.expect(']');
+  return selectors;
+}
+
+function parseFilterOr(cur) {
+  let left = parseFilterAnd(cur);
+  while (cur.accept('||')) left = { t: 'or', a: left, b: parseFilterAnd(cur) };
+  return left;
+}
+
+function parseFilterAnd(cur) {
+  let left = parseFilterUnary(cur);
+  while (cur.accept('&&')) left = { t: 'and', a: left, b: parseFilterUnary(cur) };
+  return left;
+}
+
+function parseFilterUnary(cur) {
+  if (cur.accept('!')) return { t: 'not', a: parseFilterUnary(cur) };
+  const left = parseFilterOperand(cur);
+  const tok = cur.peek();
+  if (tok.type === 'punct' && ['==', '!=', '<', '<=', '>', '>=', '=~'].includes(tok.value)) {
+    cur.next();
+    if (tok.value === '=~') {
+      const re = cur.peek();
+      if (re.type === 'regex') { cur.next(); return { t: 'cmp', op: '=~', a: left, b: { t: 'regex', value: buildRegex(re.value.source, re.value.flags) } }; }
+    }
+    return { t: 'cmp', op: tok.value, a: left, b: parseFilterOperand(cur) };
+  }
+  return left;
+}
+
+function parseFilterOperand(cur) {
+  const tok = cur.peek();
+  if (cur.accept('(')) {
+    const inner = parseFilterOr(cur);
+    cur.expect(')');
+    return inner;
+  }
+  if (cur.accept('@')) return { t: 'query', relative: true, segments: parsePathSegments(cur) };
+  if (cur.accept('$')) return { t: 'query', relative: false, segments: parsePathSegments(cur) };
+  if (tok.type === 'str') { cur.next(); return { t: 'lit', value: tok.value }; }
+  if (tok.type === 'num') { cur.next(); return { t: 'lit', value: tok.value }; }
+  if (cur.is('-') && cur.peek(1).type === 'num') { cur.next(); return { t: 'lit', value: -cur.next().value }; }
+  if (tok.type === 'ident') {
+    cur.next();
+    if (tok.value === 'true') return { t: 'lit', value: true };
+    if (tok.value === 'false') return { t: 'lit', value: false };
+    if (tok.value === 'null') return { t: 'lit', value: null };
+    if (!cur.is('(')) cur.fail(`Unknown name "${tok.value}"`, tok);
+    cur.next();
+    const args = [];
+    if (!cur.is(')')) {
+      do args.push(parseFilterOr(cur)); while (cur.accept(','));
+    }
+    cur.expect(')');
+    if (!JSONPATH_FUNCTIONS[tok.value]) cur.fail(`Unknown function "${tok.value}()"`, tok);
+    return { t: 'call', name: tok.value, args };
+  }
+  return cur.fail('Expected a value, "@" or "$"');
+}
+
+function sliceIndices(len, start, end, step) {
+  const s = step ?? 1;
+  const out = [];
+  if (s === 0) return out;
+  const norm = (i) => (i >= 0 ? i : len + i);
+  if (s > 0) {
+    const lo = Math.min(Math.max(norm(start ?? 0), 0), len);
+    const hi = Math.min(Math.max(norm(end ?? len), 0), len);
+    for (let i = lo; i < hi; i += s) out.push(i);
+  } else {
+    const hi = Math.min(Math.max(start === null ? len - 1 : norm(start), -1), len - 1);
+    const lo = end === null ? -1 : Math.min(Math.max(norm(end), -1), len - 1);
+    for (let i = hi; i > lo; i += s) out.push(i);
+  }
+  return out;
+}
+
+function applySelector(sel, item, out, ctx) {
+  const value = item.value;
+  if (sel.t === 'name') {
+    if (value !== null && typeof value === 'object' && !Array.isArray(value) && hasOwn(value, sel.name)) {
+      out.push({ value: value[sel.name], path: childPath(item.path, sel.name) });
+    }
+  } else if (sel.t === 'wild') {
+    for (const [seg, v] of childEntries(value)) out.push({ value: v, path: childPath(item.path, seg) });
+  } else if (sel.t === 'index') {
+    if (!Array.isArray(value)) return;
+    const i = sel.index < 0 ? value.length + sel.index : sel.index;
+    if (i >= 0 && i < value.length) out.push({ value: value[i], path: childPath(item.path, i) });
+  } else if (sel.t === 'slice') {
+    if (!Array.isArray(value)) return;
+    for (const i of sliceIndices(value.length, sel.start, sel.end, sel.step)) out.push({ value: value[i], path: childPath(item.path, i) });
+  } else if (sel.t === 'filter') {
+    for (const [seg, v] of childEntries(value)) {
+      ctx.progress?.step();
+      if (filterTest(sel.expr, v, ctx)) out.push({ value: v, path: childPath(item.path, seg) });
+    }
+  }
+}
+
+function evalSegments(segments, start, ctx) {
+  let nodes = [start];
+  for (const seg of segments) {
+    const next = [];
+    for (const item of nodes) {
+      const sources = seg.descendant ? descendants(item, [], ctx.progress) : [item];
+      for (const src of sources) for (const sel of seg.selectors) applySelector(sel, src, next, ctx);
+    }
+    nodes = next;
+  }
+  return nodes;
+}
+
+const NOTHING = Symbol('nothing');
+
+// Value of a comparison operand: a single node's value, NOTHING for an empty result
+function filterValue(expr, current, ctx) {
+  if (expr.t === 'lit') return expr.value;
+  if (expr.t === 'regex') return expr.value;
+  if (expr.t === 'query') {
+    const nodes = evalSegments(expr.segments, { value: expr.relative ? current : ctx.root, path: null }, ctx);
+    return nodes.length ? nodes[0].value : NOTHING;
+  }
+  if (expr.t === 'call') return JSONPATH_FUNCTIONS[expr.name](expr.args, current, ctx);
+  return filterTest(expr, current, ctx);
+}
+
+function filterTest(expr, current, ctx) {
+  switch (expr.t) {
+    case 'or': return filterTest(expr.a, current, ctx) || filterTest(expr.b, current, ctx);
+    case 'and': return filterTest(expr.a, current, ctx) && filterTest(expr.b, current, ctx);
+    case 'not': return !filterTest(expr.a, current, ctx);
+    case 'query': // existence test
+      return evalSegments(expr.segments, { value: expr.relative ? current : ctx.root, path: null }, ctx).length > 0;
+    case 'cmp': return filterCompare(expr.op, filterValue(expr.a, current, ctx), filterValue(expr.b, current, ctx));
+    case 'lit': return truthy(expr.value);
+    case 'call': { const v = filterValue(expr, current, ctx); return v !== NOTHING && truthy(v); }
+    default: return false;
+  }
+}
+
+function filterCompare(op, a, b) {
+  if (op === '=~') {
+    if (typeof a !== 'string') return false;
+    const re = b instanceof RegExp ? b : typeof b === 'string' ? buildRegex(b) : null;
+    return !!re && re.test(a);
+  }
+  if (op === '==') return a === NOTHING || b === NOTHING ? a === b : deepEqual(a, b);
+  if (op === '!=') return !filterCompare('==', a, b);
+  const comparable = (typeof a === 'number' && typeof b === 'number') || (typeof a === 'string' && typeof b === 'string');
+  if (op === '<') return comparable && a < b;
+  if (op === '>') return comparable && a > b;
+  if (op === '<=') return (comparable && a < b) || filterCompare('==', a, b);
+  if (op === '>=') return (comparable && a > b) || filterCompare('==', a, b);
+  return false;
+}
+
+function jsonPathLength(value) {
+  if (typeof value === 'string') return [...value].length;
+  if (Array.isArray(value)) return value.length;
+  if (value !== null && typeof value === 'object') return Object.keys(value).length;
+  return NOTHING;
+}
+
+const JSONPATH_FUNCTIONS = {
+  length: ([arg], current, ctx) => { const v = arg ? filterValue(arg, current, ctx) : NOTHING; return v === NOTHING ? NOTHING : jsonPathLength(v); },
+  count: ([arg], current, ctx) => (arg?.t === 'query'
+    ? evalSegments(arg.segments, { value: arg.relative ? current : ctx.root, path: null }, ctx).length
+    : NOTHING),
+  value: ([arg], current, ctx) => (arg ? filterValue(arg, current, ctx) : NOTHING),
+  match: ([a, b], current, ctx) => {
+    const text = a ? filterValue(a, current, ctx) : NOTHING;
+    const pattern = b ? filterValue(b, current, ctx) : NOTHING;
+    return typeof text === 'string' && typeof pattern === 'string' && buildRegex(`^(?:${pattern})$`).test(text);
+  },
+  search: ([a, b], current, ctx) => {
+    const text = a ? filterValue(a, current, ctx) : NOTHING;
+    const pattern = b ? filterValue(b, current, ctx) : NOTHING;
+    return typeof text === 'string' && typeof pattern === 'string' && buildRegex(pattern).test(text);
+  }
+};
+
+function runJsonPath(root, src, basePath, progress) {
+  const segments = parseJsonPath(src);
+  return evalSegments(segments, { value: root, path: basePath.slice() }, { root, progress });
+}
+
+// ---- jq subset ----
+
+const JQ_KEYWORDS = new Set(['and', 'or', 'if', 'then', 'elif', 'else', 'end']);
+
+function parseJq(src) {
+  const cur = createCursor(src);
+  const ast = parseJqPipe(cur);
+  if (cur.peek().type !== 'eof') cur.fail('Unexpected token');
+  return ast;
+}
+
+function parseJqPipe(cur) {
+  const left = parseJqComma(cur);
+  if (cur.accept('|')) return { t: 'pipe', left, right: parseJqPipe(cur) };
+  return left;
+}
+
+function parseJqComma(cur) {
+  let left = parseJqAlt(cur);
+  while (cur.accept(',')) left = { t: 'comma', left, right: parseJqAlt(cur) };
+  return left;
+}
+
+function parseJqAlt(cur) {
+  const left = parseJqOr(cur);
+  if (cur.accept('//')) return { t: 'alt', left, right: parseJqAlt(cur) };
+  return left;
+}
+
+function parseJqOr(cur) {
+  let left = parseJqAnd(cur);
+  while (cur.isWord('or')) { cur.next(); left = { t: 'or', left, right: parseJqAnd(cur) }; }
+  return left;
+}
+
+function parseJqAnd(cur) {
+  let left = parseJqCompare(cur);
+  while (cur.isWord('and')) { cur.next(); left = { t: 'and', left, right: parseJqCompare(cur) }; }
+  return left;
+}
+
+function parseJqCompare(cur) {
+  const left = parseJqAdditive(cur);
+  const tok = cur.peek();
+  if (tok.type === 'punct' && ['==', '!=', '<', '<=', '>', '>='].includes(tok.value)) {
+    cur.next();
+    return { t: 'cmp', op: tok.value, left, right: parseJqAdditive(cur) };
+  }
+  return left;
+}
+
+function parseJqAdditive(cur) {
+  let left = parseJqMultiplicative(cur);
+  while (cur.is('+') || cur.is('-')) { const op = cur.next().value; left = { t: 'arith', op, left, right: parseJqMultiplicative(cur) }; }
+  return left;
+}
+
+function parseJqMultiplicative(cur) {
+  let left = parseJqPostfix(cur);
+  while (cur.is('*') || cur.is('/') || cur.is('%')) { const op = cur.next().value; left = { t: 'arith', op, left, right: parseJqPostfix(cur) }; }
+  return left;
+}
+
+// ".name" / '."name"' after a "." token
+function parseJqFieldName(cur) {
+  const tok = cur.peek();
+  if ((tok.type === 'ident' || tok.type === 'str') && cur.adjacent()) { cur.next(); return { t: 'lit', value: tok.value }; }
+  return null;
+}
+
+function parseJqBracketSuffix(cur, target) {
+  cur.expect('[');
+  if (cur.accept(']')) return { t: 'iterate', target };
+  if (cur.accept(':')) {
+    const to = parseJqPipe(cur);
+    cur.expect(']');
+    return { t: 'slice', target, from: null, to };
+  }
+  const key = parseJqPipe(cur);
+  if (cur.accept(':')) {
+    const to = cur.is(']') ? null : parseJqPipe(cur);
+    cur.expect(']');
+    return { t: 'slice', target, from: key, to };
+  }
+  cur.expect(']');
+  return { t: 'index', target, key };
+}
+
+function parseJqPostfix(cur) {
+  let node = parseJqTerm(cur);
+  for (;;) {
+    if (cur.is('.') && (cur.peek(1).type === 'ident' || cur.peek(1).type === 'str' || (cur.peek(1).type === 'punct' && cur.peek(1).value === '['))) {
+      cur.next();
+      if (cur.is('[')) { node = parseJqBracketSuffix(cur, node); continue; }
+      const name = parseJqFieldName(cur);
+      if (!name) cur.fail('Expected a field name');
+      node = { t: 'index', target: node, key: name };
+    } else if (cur.is('[')) {
+      node = parseJqBracketSuffix(cur, node);
+    } else if (cur.accept('?')) {
+      node = { t: 'try', body: node };
+    } else {
+      return node;
+    }
+  }
+}
+
+function parseJqObject(cur) {
+  const entries = [];
+  if (!cur.is('}')) {
+    do {
+      const tok = cur.peek();
+      let key;
+      if (tok.type === 'ident' && !JQ_KEYWORDS.has(tok.value)) { cur.next(); key = { t: 'lit', value: tok.value }; }
+      else if (tok.type === 'str') { cur.next(); key = { t: 'lit', value: tok.value }; }
+      else if (cur.accept('(')) { key = parseJqPipe(cur); cur.expect(')'); }
+      else cur.fail('Expected an object key');
+      // {id} is shorthand for {id: .id}
+      const value = cur.accept(':') ? parseJqAlt(cur) : { t: 'index', target: { t: 'identity' }, key };
+      entries.push({ key, value });
+    } while (cur.accept(','));
+  }
+  cur.expect('}');
+  return { t: 'object', entries };
+}
+
+function parseJqIf(cur) {
+  const cond = parseJqPipe(cur);
+  if (!cur.isWord('then')) cur.fail('Expected "then"');
+  cur.next();
+  const then = parseJqPipe(cur);
+  let otherwise = { t: 'identity' };
+  if (cur.isWord('elif')) { cur.next(); otherwise = parseJqIf(cur); return { t: 'if', cond, then, otherwise }; }
+  if (cur.isWord('else')) { cur.next(); otherwise = parseJqPipe(cur); }
+  if (!cur.isWord('end')) cur.fail('Expected "end"');
+  cur.next();
+  return { t: 'if', cond, then, otherwise };
+}
+
+function parseJqTerm(cur) {
+  const tok = cur.peek();
+  if (cur.accept('..')) return { t: 'recurse' };
+  if (cur.accept('.')) {
+    if (cur.is('[') && cur.adjacent()) return parseJqBracketSuffix(cur, { t: 'identity' });
+    const name = parseJqFieldName(cur);
+    return name ? { t: 'index', target: { t: 'identity' }, key: name } : { t: 'identity' };
+  }
+  if (tok.type === 'num' || tok.type === 'str') { cur.next(); return { t: 'lit', value: tok.value }; }
+  if (cur.accept('-')) return { t: 'neg', body: parseJqPostfix(cur) };
+  if (cur.accept('(')) {
+    const inner = parseJqPipe(cur);
+    cur.expect(')');
+    return inner;
+  }
+  if (cur.accept('[')) {
+    if (cur.accept(']')) return { t: 'array', body: null };
+    const body = parseJqPipe(cur);
+    cur.expect(']');
+    return { t: 'array', body };
+  }
+  if (cur.accept('{')) return parseJqObject(cur);
+  if (cur.is('$')) cur.fail('Variables are not supported');
+  if (tok.type === 'ident') {
+    cur.next();
+    if (tok.value === 'true') return { t: 'lit', value: true };
+    if (tok.value === 'false') return { t: 'lit', value: false };
+    if (tok.value === 'null') return { t: 'lit', value: null };
+    if (tok.value === 'if') return parseJqIf(cur);
+    if (JQ_KEYWORDS.has(tok.value)) cur.fail(`Unexpected "${tok.value}"`, tok);
+    const args = [];
+    if (cur.accept('(')) {
+      do args.push(parseJqPipe(cur)); while (cur.accept(';'));
+      cur.expect(')');
+    }
+    if (!JQ_FUNCTIONS[`${tok.value}/${args.length}`]) cur.fail(`Unknown function "${tok.value}/${args.length}"`, tok);
+    return { t: 'call', name: tok.value, args };
+  }
+  return cur.fail('Expected a filter');
+}
+
+const computed = (value) => ({ value, path: null });
+
+function indexValue(item, key) {
+  const { value } = item;
+  const tv = typeOf(value);
+  const tk = typeOf(key);
+  if (tv === 'null' && (tk === 'string' || tk === 'number')) return computed(null);
+  if (tv === 'object' && tk === 'string') {
+    return hasOwn(value, key) ? { value: value[key], path: childPath(item.path, key) } : computed(null);
+  }
+  if (tv === 'array' && tk === 'number') {
+    const raw = Math.floor(key);
+    const i = raw < 0 ? value.length + raw : raw;
+    return i >= 0 && i < value.length ? { value: value[i], path: childPath(item.path, i) } : computed(null);
+  }
+  throw new Error(`Cannot index ${tv} with ${tk}${tk === 'string' ? ` "${key}"` : ''}.`);
+}
+
+function iterateValue(item) {
+  const tv = typeOf(item.value);
+  if (tv !== 'array' && tv !== 'object') throw new Error(`Cannot iterate over ${tv}.`);
+  return childEntries(item.value).map(([seg, v]) => ({ value: v, path: childPath(item.path, seg) }));
+}
+
+function sliceValue(value, from, to) {
+  if (value === null) return null;
+  if (typeof value !== 'string' && !Array.isArray(value)) throw new Error(`Cannot slice ${typeOf(value)}.`);
+  const len = value.length;
+  const norm = (i, dflt) => {
+    if (i === null) return dflt;
+    if (typeof i !== 'number') throw new Error('Slice indices must be numbers.');
+    const n = Math.floor(i);
+    return Math.min(Math.max(n < 0 ? len + n : n, 0), len);
+  };
+  return value.slice(norm(from, 0), norm(to, len));
+}
+
+function arith(op, a, b) {
+  const ta = typeOf(a);
+  const tb = typeOf(b);
+  if (op === '+') {
+    if (ta === 'null') return b;
+    if (tb === 'null') return a;
+    if (ta === 'number' && tb === 'number') return a + b;
+    if (ta === 'string' && tb === 'string') return a + b;
+    if (ta === 'array' && tb === 'array') return a.concat(b);
+    if (ta === 'object' && tb === 'object') return { ...a, ...b };
+  } else if (op === '-') {
+    if (ta === 'number' && tb === 'number') return a - b;
+    if (ta === 'array' && tb === 'array') return a.filter((x) => !b.some((y) => deepEqual(x, y)));
+  } else if (ta === 'number' && tb === 'number') {
+    if ((op === '/' || op === '%') && b === 0) throw new Error(`${a} cannot be divided by zero.`);
+    if (op === '*') return a * b;
+    if (op === '/') return a / b;
+    if (op === '%') return Math.trunc(a) % Math.trunc(b);
+  } else if (op === '/' && ta === 'string' && tb === 'string') {
+    return a.split(b);
+  }
+  throw new Error(`${ta} and ${tb} cannot be combined with "${op}".`);
+}
+
+function compareOp(op, a, b) {
+  const c = compareValues(a, b);
+  return op === '==' ? c === 0 : op === '!=' ? c !== 0 : op === '<' ? c < 0 : op === '<=' ? c <= 0 : op === '>' ? c > 0 : c >= 0;
+}
+
+// Cartesian product of two expressions' outputs (right side varies slowest, as in jq)
+function pairs(node, item, ctx, fn) {
+  const out = [];
+  for (const r of evalJq(node.right, item, ctx)) {
+    for (const l of evalJq(node.left, item, ctx)) out.push(computed(fn(l.value, r.value)));
+  }
+  return out;
+}
+
+function evalJq(node, item, ctx) {
+  switch (node.t) {
+    case 'identity': return [item];
+    case 'recurse': return descendants(item, [], ctx.progress);
+    case 'lit': return [computed(node.value)];
+    case 'pipe': return evalJq(node.left, item, ctx).flatMap((x) => evalJq(node.right, x, ctx));
+    case 'comma': return evalJq(node.left, item, ctx).concat(evalJq(node.right, item, ctx));
+    case 'index': {
+      const out = [];
+      for (const key of evalJq(node.key, item, ctx)) {
+        for (const target of evalJq(node.target, item, ctx)) out.push(indexValue(target, key.value));
+      }
+      return out;
+    }
+    case 'iterate': return evalJq(node.target, item, ctx).flatMap(iterateValue);
+    case 'slice': {
+      const froms = node.from ? evalJq(node.from, item, ctx) : [computed(null)];
+      const tos = node.to ? evalJq(node.to, item, ctx) : [computed(null)];
+      const out = [];
+      for (const target of evalJq(node.target, item, ctx)) {
+        for (const to of tos) for (const from of froms) out.push(computed(sliceValue(target.value, from.value, to.value)));
+      }
+      return out;
+    }
+    case 'try': {
+      try { return evalJq(node.body, item, ctx); } catch (_) { return []; }
+    }
+    case 'alt': {
+      let left = [];
+      try { left = evalJq(node.left, item, ctx).filter((x) => truthy(x.value)); } catch (_) { left = []; }
+      return left.length ? left : evalJq(node.right, item, ctx);
+    }
+    case 'and':
+    case 'or': {
+      const out = [];
+      for (const l of evalJq(node.left, item, ctx)) {
+        const lv = truthy(l.value);
+        if (node.t === 'and' && !lv) { out.push(computed(false)); continue; }
+        if (node.t === 'or' && lv) { out.push(computed(true)); continue; }
+        for (const r of evalJq(node.right, item, ctx)) out.push(computed(truthy(r.value)));
+      }
+      return out;
+    }
+    case 'cmp': return pairs(node, item, ctx, (a, b) => compareOp(node.op, a, b));
+    case 'arith': return pairs(node, item, ctx, (a, b) => arith(node.op, a, b));
+    case 'neg': return evalJq(node.body, item, ctx).map((x) => {
+      if (typeof x.value !== 'number') throw new Error(`${typeOf(x.value)} cannot be negated.`);
+      return computed(-x.value);
+    });
+    case 'array': return [computed(node.body ? evalJq(node.body, item, ctx).map((x) => x.value) : [])];
+    case 'object': {
+      let partials = [{}];
+      for (const entry of node.entries) {
+        const keys = evalJq(entry.key, item, ctx);
+        const values = evalJq(entry.value, item, ctx);
+        const next = [];
+        for (const base of partials) {
+          for (const k of keys) {
+            if (typeof k.value !== 'string') throw new Error(`Object keys must be strings, not ${typeOf(k.value)}.`);
+            for (const v of values) next.push({ ...base, [k.value]: v.value });
+          }
+        }
+        partials = next;
+      }
+      return partials.map(computed);
+    }
+    case 'if': {
+      const out = [];
+      for (const c of evalJq(node.cond, item, ctx)) out.push(...evalJq(truthy(c.value) ? node.then : node.otherwise, item, ctx));
+      return out;
+    }
+    case 'call': return JQ_FUNCTIONS[`${node.name}/${node.args.length}`](item, node.args, ctx);
+    default: throw new Error(`Unsupported expression "${node.t}".`);
+  }
+}
+
+function requireType(value, types, fnName) {
+  const t = typeOf(value);
+  if (!types.includes(t)) throw new Error(`${fnName} cannot be applied to ${t}.`);
+  return value;
+}
+
+function jqLength(value) {
+  switch (typeOf(value)) {
+    case 'null': return 0;
+    case 'number': return Math.abs(value);
+    case 'string': return [...value].length;
+    case 'array': return value.length;
+    case 'object': return Object.keys(value).length;
+    default: throw new Error('boolean has no length.');
+  }
+}
+
+function jqContains(a, b) {
+  const ta = typeOf(a);
+  if (ta !== typeOf(b)) throw new Error(`${ta} and ${typeOf(b)} cannot have their containment checked.`);
+  if (ta === 'string') return a.includes(b);
+  if (ta === 'array') return b.every((y) => a.some((x) => typeOf(x) === typeOf(y) && jqContains(x, y)));
+  if (ta === 'object') return Object.keys(b).every((k) => hasOwn(a, k) && typeOf(a[k]) === typeOf(b[k]) && jqContains(a[k], b[k]));
+  return deepEqual(a, b);
+}
+
+// One value from each output of an argument, evaluated against the input
+const argValues = (arg, item, ctx) => evalJq(arg, item, ctx).map((x) => x.value);
+const typeFilter = (...types) => (item) => (types.includes(typeOf(item.value)) ? [item] : []);
+const mapValue = (fn) => (item) => [computed(fn(item.value))];
+const stringFn = (name, fn) => (item, [arg], ctx) => argValues(arg, item, ctx).map((s) => {
+  requireType(item.value, ['string'], name);
+  return computed(fn(item.value, requireType(s, ['string'], name)));
+});
+
+const JQ_FUNCTIONS = {
+  'empty/0': () => [],
+  'not/0': mapValue((v) => !truthy(v)),
+  'length/0': mapValue(jqLength),
+  'type/0': mapValue(typeOf),
+  'keys/0': mapValue((v) => {
+    requireType(v, ['object', 'array'], 'keys');
+    return Array.isArray(v) ? v.map((_, i) => i) : Object.keys(v).sort();
+  }),
+  'keys_unsorted/0': mapValue((v) => {
+    requireType(v, ['object', 'array'], 'keys_unsorted');
+    return Array.isArray(v) ? v.map((_, i) => i) : Object.keys(v);
+  }),
+  'has/1': (item, [arg], ctx) => argValues(arg, item, ctx).map((k) => {
+    const v = item.value;
+    if (Array.isArray(v) && typeof k === 'number') return computed(k >= 0 && k < v.length);
+    if (typeOf(v) === 'object' && typeof k === 'string') return computed(hasOwn(v, k));
+    throw new Error(`Cannot check whether ${typeOf(v)} has a ${typeOf(k)} key.`);
+  }),
+  'select/1': (item, [cond], ctx) => evalJq(cond, item, ctx).filter((c) => truthy(c.value)).map(() => item),
+  'map/1': (item, [fn], ctx) => [computed(iterateValue(item).flatMap((x) => evalJq(fn, x, ctx)).map((x) => x.value))],
+  'recurse/0': (item, _args, ctx) => descendants(item, [], ctx.progress),
+  'first/0': (item) => [indexValue(item, 0)],
+  'last/0': (item) => [indexValue(item, -1)],
+  'first/1': (item, [fn], ctx) => evalJq(fn, item, ctx).slice(0, 1),
+  'last/1': (item, [fn], ctx) => evalJq(fn, item, ctx).slice(-1),
+  'limit/2': (item, [n, fn], ctx) => argValues(n, item, ctx).flatMap((count) => evalJq(fn, item, ctx).slice(0, Math.max(0, count))),
+  'add/0': mapValue((v) => childEntries(requireType(v, ['array', 'object', 'null'], 'add')).reduce((acc, [, x]) => arith('+', acc, x), null)),
+  'any/0': mapValue((v) => requireType(v, ['array'], 'any').some(truthy)),
+  'all/0': mapValue((v) => requireType(v, ['array'], 'all').every(truthy)),
+  'any/1': (item, [fn], ctx) => [computed(iterateValue(item).some((x) => evalJq(fn, x, ctx).some((r) => truthy(r.value))))],
+  'all/1': (item, [fn], ctx) => [computed(iterateValue(item).every((x) => evalJq(fn, x, ctx).every((r) => truthy(r.value))))],
+  'min/0': mapValue((v) => requireType(v, ['array'], 'min').reduce((m, x) => (m === undefined || compareValues(x, m) < 0 ? x : m), undefined) ?? null),
+  'max/0': mapValue((v) => requireType(v, ['array'], 'max').reduce((m, x) => (m === undefined || compareValues(x, m) >= 0 ? x : m), undefined) ?? null),
+  'sort/0': mapValue((v) => [...requireType(v, ['array'], 'sort')].sort(compareValues)),
+  'sort_by/1': (item, [fn], ctx) => {
+    const keyed = iterateValue(requireArrayItem(item, 'sort_by')).map((x) => ({ v: x.value, k: argValues(fn, x, ctx) }));
+    return [computed(keyed.sort((a, b) => compareValues(a.k, b.k)).map((x) => x.v))];
+  },
+  'group_by/1': (item, [fn], ctx) => {
+    const keyed = iterateValue(requireArrayItem(item, 'group_by')).map((x) => ({ v: x.value, k: argValues(fn, x, ctx) }));
+    keyed.sort((a, b) => compareValues(a.k, b.k));
+    const groups = [];
+    keyed.forEach((x, i) => {
+      if (i === 0 || compareValues(x.k, keyed[i - 1].k) !== 0) groups.push([]);
+      groups[groups.length - 1].push(x.v);
+    });
+    return [computed(groups)];
+  },
+  'unique/0': mapValue((v) => [...requireType(v, ['array'], 'unique')].sort(compareValues).filter((x, i, arr) => i === 0 || compareValues(x, arr[i - 1]) !== 0)),
+  'reverse/0': mapValue((v) => (typeof v === 'string' ? [...v].reverse().join('') : v === null ? [] : [...requireType(v, ['array'], 'reverse')].reverse())),
+  'contains/1': (item, [arg], ctx) => argValues(arg, item, ctx).map((b) => computed(jqContains(item.value, b))),
+  'tostring/0': mapValue((v) => (typeof v === 'string' ? v : JSON.stringify(v))),
+  'tonumber/0': mapValue((v) => {
+    if (typeof v === 'number') return v;
+    const n = typeof v === 'string' && v.trim() !== '' ? Number(v) : NaN;
+    if (!Number.isFinite(n)) throw new Error(`Cannot parse ${JSON.stringify(v)} as a number.`);
+    return n;
+  }),
+  'tojson/0': mapValue((v) => JSON.stringify(v)),
+  'fromjson/0': mapValue((v) => {
+    try { return JSON.parse(requireType(v, ['string'], 'fromjson')); } catch (e) { throw new Error(`fromjson: ${e.message}`); }
+  }),
+  'ascii_downcase/0': mapValue((v) => requireType(v, ['string'], 'ascii_downcase').replace(/[A-Z]/g, (c) => c.toLowerCase())),
+  'ascii_upcase/0': mapValue((v) => requireType(v, ['string'], 'ascii_upcase').replace(/[a-z]/g, (c) => c.toUpperCase())),
+  'startswith/1': stringFn('startswith', (s, p) => s.startsWith(p)),
+  'endswith/1': stringFn('endswith', (s, p) => s.endsWith(p)),
+  'ltrimstr/1': (item, [arg], ctx) => argValues(arg, item, ctx).map((p) => computed(typeof item.value === 'string' && typeof p === 'string' && item.value.startsWith(p) ? item.value.slice(p.length) : item.value)),
+  'rtrimstr/1': (item, [arg], ctx) => argValues(arg, item, ctx).map((p) => computed(typeof item.value === 'string' && typeof p === 'string' && p && item.value.endsWith(p) ? item.value.slice(0, -p.length) : item.value)),
+  'split/1': stringFn('split', (s, sep) => s.split(sep)),
+  'join/1': (item, [arg], ctx) => argValues(arg, item, ctx).map((sep) => computed(requireType(item.value, ['array'], 'join')
+    .map((x) => (x === null ? '' : String(requireType(x, ['string', 'number', 'boolean'], 'join'))))
+    .join(String(sep)))),
+  'test/1': (item, [re], ctx) => argValues(re, item, ctx).map((p) => computed(buildRegex(p).test(requireType(item.value, ['string'], 'test')))),
+  'test/2': (item, [re, flags], ctx) => argValues(flags, item, ctx).flatMap((f) => argValues(re, item, ctx)
+    .map((p) => computed(buildRegex(p, f ?? '').test(requireType(item.value, ['string'], 'test'))))),
+  'to_entries/0': mapValue((v) => Object.keys(requireType(v, ['object'], 'to_entries')).map((k) => ({ key: k, value: v[k] }))),
+  'from_entries/0': mapValue((v) => {
+    const out = {};
+    for (const e of requireType(v, ['array'], 'from_entries')) {
+      const key = e?.key ?? e?.k ?? e?.name ?? e?.Name ?? e?.Key ?? e?.K;
+      out[typeof key === 'string' ? key : JSON.stringify(key)] = e?.value ?? e?.v ?? e?.Value ?? e?.V ?? null;
+    }
+    return out;
+  }),
+  'floor/0': mapValue((v) => Math.floor(requireType(v, ['number'], 'floor'))),
+  'ceil/0': mapValue((v) => Math.ceil(requireType(v, ['number'], 'ceil'))),
+  'round/0': mapValue((v) => Math.round(requireType(v, ['number'], 'round'))),
+  'sqrt/0': mapValue((v) => Math.sqrt(requireType(v, ['number'], 'sqrt'))),
+  'numbers/0': typeFilter('number'),
+  'strings/0': typeFilter('string'),
+  'booleans/0': typeFilter('boolean'),
+  'nulls/0': typeFilter('null'),
+  'arrays/0': typeFilter('array'),
+  'objects/0': typeFilter('object'),
+  'iterables/0': typeFilter('array', 'object'),
+  'scalars/0': typeFilter('null', 'boolean', 'number', 'string'),
+  'values/0': (item) => (item.value === null ? [] : [item])
+};
+
+function requireArrayItem(item, fnName) {
+  requireType(item.value, ['array'], fnName);
+  return item;
+}
+
+function runJq(root, src, basePath, progress) {
+  const ast = parseJq(src);
+  return evalJq(ast, { value: root, path: basePath.slice() }, { root, progress });
+}
+
+// ---- Entry point ----
+
+/** 'jsonpath' for expressions starting with "$", otherwise 'jq'. */
+export function queryLanguage(expr) {
+  return String(expr ?? '').trim().startsWith('$') ? 'jsonpath' : 'jq';
+}
+
+/**
+ * Evaluate `expr` against `root` and return { language, results, truncated }.
+ * opts.basePath: path of `root` inside the document (prefixed to result paths);
+ * opts.progress: createProgress() stepper; opts.maxResults caps the result list.
+ * Throws an Error with a readable message on syntax or evaluation errors.
+ */
+export function queryJson(root, expr, opts = {}) {
+  const src = String(expr ?? '').trim();
+  if (!src) throw new Error('Enter a JSONPath or jq expression.');
+  const basePath = Array.isArray(opts.basePath) ? opts.basePath : [];
+  const language = queryLanguage(src);
+  const all = language === 'jsonpath'
+    ? runJsonPath(root, src, basePath, opts.progress || null)
+    : runJq(root, src, basePath, opts.progress || null);
+  const max = opts.maxResults ?? Infinity;
+  return { language, results: all.length > max ? all.slice(0, max) : all, truncated: all.length > max };
+}
+
+export default { queryJson, queryLanguage };
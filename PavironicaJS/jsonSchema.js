@@ -0,0 +1,479 @@
+// JSON Schema helpers (ES module, DOM-free so it also runs inside jsonWorker.js)
+// - validateJsonSchema: validate a document against a JSON Schema
+//   (draft 2020-12 by default; 2019-09, draft-07, -06 and -04 via $schema)
+// - schemaDraft: the draft a schema declares
+// $ref resolves inside the schema only ($defs, definitions, $id, $anchor).
+
+export const SCHEMA_MAX_ERRORS = 5000;
+
+const DEFAULT_BASE = 'https://schema.local/root.json';
+const MAX_REF_DEPTH = 500;
+const STOP = Symbol('stop');
+
+// Keywords whose values are data, not subschemas
+const DATA_KEYWORDS = new Set(['enum', 'const', 'default', 'examples', 'required']);
+
+const FORMATS = {
+  'date-time': (s) => /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/.test(s) && !Number.isNaN(Date.parse(s.replace(' ', 'T'))),
+  date: (s) => /^\d{4}-\d{2}-\d{2}$/.test(s) && validDate(s),
+  time: (s) => /^\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/.test(s),
+  email: (s) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(s),
+  hostname: (s) => s.length <= 253 && /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/i.test(s),
+  ipv4: (s) => /^((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/.test(s),
+  ipv6: (s) => /^[0-9a-f:.]+$/i.test(s) && s.includes(':') && isIpv6(s),
+  uri: (s) => /^[a-z][a-z0-9+.-]*:[^\s]*$/i.test(s),
+  'uri-reference': (s) => !/\s/.test(s),
+  uuid: (s) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(s),
+  regex: (s) => { try { new RegExp(s, 'u'); return true; } catch (_) { return false; } }
+};
+
+function validDate(s) {
+  const [y, m, d] = s.split('-').map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  return dt.getUTCFullYear() === y && dt.getUTCMonth() === m - 1 && dt.getUTCDate() === d;
+}
+
+function isIpv6(s) {
+  try { return new URL(`http://[${s}]/`).hostname.length > 2; } catch (_) { return false; }
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value; // 'object' | 'string' | 'number' | 'boolean'
+}
+
+function hasType(value, type) {
+  if (type === 'integer') return typeof value === 'number' && Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeOf(a) !== typeOf(b)) return false;
+  if (Array.isArray(a)) return a.length === b.length && a.every((v, i) => deepEqual(v, b[i]));
+  if (isObject(a)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((k) => Object.prototype.hasOwnProperty.call(b, k) && deepEqual(a[k], b[k]));
+  }
+  return false;
+}
+
+function preview(value) {
+  const text = JSON.stringify(value);
+  return text.length > 40 ? `${text.slice(0, 39)}…` : text;
+}
+
+function pointerEscape(seg) {
+  return String(seg).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function withoutFragment(uri) {
+  const i = uri.indexOf('#');
+  return i < 0 ? uri : uri.slice(0, i);
+}
+
+function resolveUri(ref, base) {
+  try {
+    return new URL(ref, base).href;
+  } catch (_) {
+    throw new Error(`Invalid schema URI "${ref}".`);
+  }
+}
+
+/** "2020-12", "2019-09" or "draft-07" (also used for drafts 04 and 06). */
+export function schemaDraft(schema) {
+  const uri = isObject(schema) && typeof schema.$schema === 'string' ? schema.$schema : '';
+  if (/draft-0[3-7]/.test(uri)) return 'draft-07';
+  if (uri.includes('2019-09')) return '2019-09';
+  return '2020-12';
+}
+
+// $id resources and $anchor names, keyed by absolute URI
+function indexSchema(root, legacy) {
+  const resources = new Map([[DEFAULT_BASE, root]]);
+  const anchors = new Map();
+  const walk = (node, base) => {
+    if (Array.isArray(node)) { node.forEach((n) => walk(n, base)); return; }
+    if (!isObject(node)) return;
+    if (typeof node.$id === 'string') {
+      if (legacy && node.$id.startsWith('#')) anchors.set(base + node.$id, node);
+      else {
+        base = withoutFragment(resolveUri(node.$id, base));
+        resources.set(base, node);
+      }
+    }
+    if (typeof node.$anchor === 'string') anchors.set(`${base}#${node.$anchor}`, node);
+    if (typeof node.$dynamicAnchor === 'string') anchors.set(`${base}#${node.$dynamicAnchor}`, node);
+    for (const [k, v] of Object.entries(node)) {
+      if (!DATA_KEYWORDS.has(k) && v !== null && typeof v === 'object') walk(v, base);
+    }
+  };
+  walk(root, DEFAULT_BASE);
+  return { resources, anchors };
+}
+
+function resolveRef(ctx, ref, base) {
+  const uri = resolveUri(ref, base);
+  const docUri = withoutFragment(uri);
+  const fragment = decodeURIComponent(uri.slice(docUri.length + 1));
+  const doc = ctx.resources.get(docUri);
+  if (doc === undefined) throw new Error(`Cannot resolve $ref "${ref}" (only references inside the schema are supported).`);
+  if (!fragment || fragment.startsWith('/')) {
+    let node = doc;
+    for (const raw of fragment.split('/').slice(1)) {
+      const seg = raw.replace(/~1/g, '/').replace(/~0/g, '~');
+      if (node === null || typeof node !== 'object' || !Object.prototype.hasOwnProperty.call(node, seg)) {
+        throw new Error(`Cannot resolve $ref "${ref}": "${seg}" was not found.`);
+      }
+      node = node[seg];
+    }
+    return { schema: node, base: docUri };
+  }
+  const anchored = ctx.anchors.get(`${docUri}#${fragment}`);
+  if (anchored === undefined) throw new Error(`Cannot resolve $ref "${ref}": anchor "${fragment}" was not found.`);
+  return { schema: anchored, base: docUri };
+}
+
+function patternFor(ctx, source) {
+  let re = ctx.patterns.get(source);
+  if (!re) {
+    try {
+      re = new RegExp(source, 'u');
+    } catch (e) {
+      throw new Error(`Invalid pattern "${source}" in the schema: ${e.message}`);
+    }
+    ctx.patterns.set(source, re);
+  }
+  return re;
+}
+
+function fail(ctx, path, keyword, message, schemaPath) {
+  if (ctx.errors === ctx.top && ctx.top.length >= ctx.maxErrors) {
+    ctx.truncated = true;
+    throw STOP;
+  }
+  ctx.errors.push({ path: path.slice(), keyword, message, schemaPath });
+}
+
+// Run fn with its own error list (for anyOf/oneOf/not/if branches)
+function isolated(ctx, fn) {
+  const saved = ctx.errors;
+  ctx.errors = [];
+  try {
+    const result = fn();
+    return { result, errors: ctx.errors };
+  } finally {
+    ctx.errors = saved;
+  }
+}
+
+// Evaluated properties/items of a successful subschema, for unevaluated*
+function mergeEvaluated(into, from) {
+  if (!from) return;
+  from.props.forEach((k) => into.props.add(k));
+  if (from.allItems) into.allItems = true;
+  from.items.forEach((i) => into.items.add(i));
+}
+
+function validate(ctx, schema, value, path, schemaPath, base) {
+  ctx.progress?.step();
+  const evaluated = { props: new Set(), items: new Set(), allItems: false };
+  if (schema === true || schema === undefined) return evaluated;
+  if (schema === false) {
+    fail(ctx, path, 'false', 'No value is allowed here.', schemaPath);
+    return evaluated;
+  }
+  if (!isObject(schema)) return evaluated;
+  const before = ctx.errors.length;
+  const sub = (s, v, p, sp) => validate(ctx, s, v, p, sp, base);
+  const passes = (s, v, sp) => isolated(ctx, () => validate(ctx, s, v, path, sp, base));
+
+  if (typeof schema.$id === 'string' && !(ctx.legacy && schema.$id.startsWith('#'))) base = withoutFragment(resolveUri(schema.$id, base));
+
+  const ref = schema.$ref ?? schema.$dynamicRef ?? schema.$recursiveRef;
+  if (typeof ref === 'string') {
+    if (++ctx.refDepth > MAX_REF_DEPTH) throw new Error('The schema\'s $ref chain is too deep (recursive reference?).');
+    try {
+      const target = resolveRef(ctx, ref, base);
+      mergeEvaluated(evaluated, validate(ctx, target.schema, value, path, `${schemaPath}/$ref`, target.base));
+    } finally {
+      ctx.refDepth--;
+    }
+    // draft-07 and older ignore the keywords next to $ref
+    if (ctx.draft === 'draft-07') return evaluated;
+  }
+
+  // ---- any type ----
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => hasType(value, t))) {
+      fail(ctx, path, 'type', `Expected ${types.join(' or ')} but found ${typeOf(value)}.`, `${schemaPath}/type`);
+    }
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some((e) => deepEqual(e, value))) {
+    fail(ctx, path, 'enum', `Must be one of ${schema.enum.map(preview).join(', ')}.`, `${schemaPath}/enum`);
+  }
+  if ('const' in schema && !deepEqual(schema.const, value)) {
+    fail(ctx, path, 'const', `Must be ${preview(schema.const)}.`, `${schemaPath}/const`);
+  }
+
+  // ---- numbers ----
+  if (typeof value === 'number') {
+    const exMax = schema.exclusiveMaximum;
+    const exMin = schema.exclusiveMinimum;
+    if (typeof schema.maximum === 'number') {
+      if (exMax === true ? value >= schema.maximum : value > schema.maximum) {
+        fail(ctx, path, 'maximum', `Must be ${exMax === true ? '<' : '<='} ${schema.maximum}.`, `${schemaPath}/maximum`);
+      }
+    }
+    if (typeof schema.minimum === 'number') {
+      if (exMin === true ? value <= schema.minimum : value < schema.minimum) {
+        fail(ctx, path, 'minimum', `Must be ${exMin === true ? '>' : '>='} ${schema.minimum}.`, `${schemaPath}/minimum`);
+      }
+    }
+    if (typeof exMax === 'number' && value >= exMax) fail(ctx, path, 'exclusiveMaximum', `Must be < ${exMax}.`, `${schemaPath}/exclusiveMaximum`);
+    if (typeof exMin === 'number' && value <= exMin) fail(ctx, path, 'exclusiveMinimum', `Must be > ${exMin}.`, `${schemaPath}/exclusiveMinimum`);
+    if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0) {
+      const q = value / schema.multipleOf;
+      if (!Number.isFinite(q) || Math.abs(q - Math.round(q)) > 1e-9) {
+        fail(ctx, path, 'multipleOf', `Must be a multiple of ${schema.multipleOf}.`, `${schemaPath}/multipleOf`);
+      }
+    }
+  }
+
+  // ---- strings ----
+  if (typeof value === 'string') {
+    const needsLength = schema.minLength !== undefined || schema.maxLength !== undefined;
+    const length = needsLength ? [...value].length : 0;
+    if (typeof schema.maxLength === 'number' && length > schema.maxLength) {
+      fail(ctx, path, 'maxLength', `Must be at most ${schema.maxLength} characters long (is ${length}).`, `${schemaPath}/maxLength`);
+    }
+    if (typeof schema.minLength === 'number' && length < schema.minLength) {
+      fail(ctx, path, 'minLength', `Must be at least ${schema.minLength} characters long (is ${length}).`, `${schemaPath}/minLength`);
+    }
+    if (typeof schema.pattern === 'string' && !patternFor(ctx, schema.pattern).test(value)) {
+      fail(ctx, path, 'pattern', `Must match the pattern /${schema.pattern}/.`, `${schemaPath}/pattern`);
+    }
+    if (ctx.formats && typeof schema.format === 'string' && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      fail(ctx, path, 'format', `Must be a valid ${schema.format}.`, `${schemaPath}/format`);
+    }
+  }
+
+  // ---- arrays ----
+  if (Array.isArray(value)) {
+    const prefix = Array.isArray(schema.prefixItems) ? schema.prefixItems
+      : Array.isArray(schema.items) ? schema.items : null;
+    const prefixKeyword = Array.isArray(schema.prefixItems) ? 'prefixItems' : 'items';
+    const rest = Array.isArray(schema.items) ? schema.additionalItems : schema.items;
+    const restKeyword = Array.isArray(schema.items) ? 'additionalItems' : 'items';
+    const prefixLength = prefix ? Math.min(prefix.length, value.length) : 0;
+    for (let i = 0; i < prefixLength; i++) {
+      sub(prefix[i], value[i], path.concat(i), `${schemaPath}/${prefixKeyword}/${i}`);
+      evaluated.items.add(i);
+    }
+    if (rest !== undefined) {
+      for (let i = prefixLength; i < value.length; i++) {
+        if (rest === false) fail(ctx, path.concat(i), restKeyword, `Item ${i} is not allowed.`, `${schemaPath}/${restKeyword}`);
+        else sub(rest, value[i], path.concat(i), `${schemaPath}/${restKeyword}`);
+      }
+      evaluated.allItems = true;
+    }
+    if (schema.contains !== undefined) {
+      let matches = 0;
+      value.forEach((item, i) => {
+        if (!isolated(ctx, () => validate(ctx, schema.contains, item, path.concat(i), `${schemaPath}/contains`, base)).errors.length) {
+          matches++;
+          evaluated.items.add(i);
+        }
+      });
+      const min = typeof schema.minContains === 'number' ? schema.minContains : 1;
+      if (matches < min) {
+        fail(ctx, path, 'contains', min === 1 ? 'Must contain at least one matching item.' : `Must contain at least ${min} matching items (has ${matches}).`, `${schemaPath}/contains`);
+      }
+      if (typeof schema.maxContains === 'number' && matches > schema.maxContains) {
+        fail(ctx, path, 'maxContains', `Must contain at most ${schema.maxContains} matching items (has ${matches}).`, `${schemaPath}/maxContains`);
+      }
+    }
+    if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+      fail(ctx, path, 'maxItems', `Must have at most ${schema.maxItems} items (has ${value.length}).`, `${schemaPath}/maxItems`);
+    }
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+      fail(ctx, path, 'minItems', `Must have at least ${schema.minItems} items (has ${value.length}).`, `${schemaPath}/minItems`);
+    }
+    if (schema.uniqueItems === true) {
+      const seen = new Map(); // canonical text -> first index
+      for (let i = 0; i < value.length; i++) {
+        const key = canonicalText(value[i]);
+        if (seen.has(key)) {
+          fail(ctx, path, 'uniqueItems', `Items ${seen.get(key)} and ${i} are equal; items must be unique.`, `${schemaPath}/uniqueItems`);
+          break;
+        }
+        seen.set(key, i);
+      }
+    }
+  }
+
+  // ---- objects ----
+  if (isObject(value)) {
+    const keys = Object.keys(value);
+    const props = isObject(schema.properties) ? schema.properties : null;
+    const patterns = isObject(schema.patternProperties) ? Object.keys(schema.patternProperties) : [];
+    for (const key of keys) {
+      let matched = false;
+      if (props && Object.prototype.hasOwnProperty.call(props, key)) {
+        matched = true;
+        sub(props[key], value[key], path.concat(key), `${schemaPath}/properties/${pointerEscape(key)}`);
+      }
+      for (const p of patterns) {
+        if (!patternFor(ctx, p).test(key)) continue;
+        matched = true;
+        sub(schema.patternProperties[p], value[key], path.concat(key), `${schemaPath}/patternProperties/${pointerEscape(p)}`);
+      }
+      if (matched) evaluated.props.add(key);
+      else if (schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) {
+          fail(ctx, path.concat(key), 'additionalProperties', `Property "${key}" is not allowed.`, `${schemaPath}/additionalProperties`);
+        } else {
+          sub(schema.additionalProperties, value[key], path.concat(key), `${schemaPath}/additionalProperties`);
+        }
+        evaluated.props.add(key);
+      }
+      if (schema.propertyNames !== undefined) {
+        const { errors } = isolated(ctx, () => validate(ctx, schema.propertyNames, key, path, `${schemaPath}/propertyNames`, base));
+        if (errors.length) fail(ctx, path.concat(key), 'propertyNames', `Property name "${key}" is invalid: ${errors[0].message}`, `${schemaPath}/propertyNames`);
+      }
+    }
+    if (Array.isArray(schema.required)) {
+      const missing = schema.required.filter((k) => !Object.prototype.hasOwnProperty.call(value, k));
+      missing.forEach((k) => fail(ctx, path, 'required', `Missing required property "${k}".`, `${schemaPath}/required`));
+    }
+    const dependentRequired = isObject(schema.dependentRequired) ? Object.entries(schema.dependentRequired) : [];
+    const dependentSchemas = isObject(schema.dependentSchemas) ? Object.entries(schema.dependentSchemas).map(([k, s]) => [k, s, 'dependentSchemas']) : [];
+    if (isObject(schema.dependencies)) {
+      for (const [k, dep] of Object.entries(schema.dependencies)) {
+        if (Array.isArray(dep)) dependentRequired.push([k, dep]);
+        else dependentSchemas.push([k, dep, 'dependencies']);
+      }
+    }
+    for (const [k, needed] of dependentRequired) {
+      if (!Object.prototype.hasOwnProperty.call(value, k) || !Array.isArray(needed)) continue;
+      needed.filter((n) => !Object.prototype.hasOwnProperty.call(value, n))
+        .forEach((n) => fail(ctx, path, 'dependentRequired', `Property "${n}" is required when "${k}" is present.`, `${schemaPath}/dependentRequired/${pointerEscape(k)}`));
+    }
+    for (const [k, depSchema, keyword] of dependentSchemas) {
+      if (!Object.prototype.hasOwnProperty.call(value, k)) continue;
+      mergeEvaluated(evaluated, sub(depSchema, value, path, `${schemaPath}/${keyword}/${pointerEscape(k)}`));
+    }
+    if (typeof schema.maxProperties === 'number' && keys.length > schema.maxProperties) {
+      fail(ctx, path, 'maxProperties', `Must have at most ${schema.maxProperties} properties (has ${keys.length}).`, `${schemaPath}/maxProperties`);
+    }
+    if (typeof schema.minProperties === 'number' && keys.length < schema.minProperties) {
+      fail(ctx, path, 'minProperties', `Must have at least ${schema.minProperties} properties (has ${keys.length}).`, `${schemaPath}/minProperties`);
+    }
+  }
+
+  // ---- combinators ----
+  if (Array.isArray(schema.allOf)) {
+    schema.allOf.forEach((s, i) => mergeEvaluated(evaluated, sub(s, value, path, `${schemaPath}/allOf/${i}`)));
+  }
+  if (Array.isArray(schema.anyOf)) {
+    let any = false;
+    schema.anyOf.forEach((s, i) => {
+      const { result, errors } = passes(s, value, `${schemaPath}/anyOf/${i}`);
+      if (errors.length) return;
+      any = true;
+      mergeEvaluated(evaluated, result);
+    });
+    if (!any) fail(ctx, path, 'anyOf', 'Must match at least one of the anyOf schemas.', `${schemaPath}/anyOf`);
+  }
+  if (Array.isArray(schema.oneOf)) {
+    const matching = [];
+    schema.oneOf.forEach((s, i) => {
+      const { result, errors } = passes(s, value, `${schemaPath}/oneOf/${i}`);
+      if (errors.length) return;
+      matching.push(i);
+      mergeEvaluated(evaluated, result);
+    });
+    if (matching.length !== 1) {
+      fail(ctx, path, 'oneOf', matching.length
+        ? `Must match exactly one of the oneOf schemas (matches ${matching.join(', ')}).`
+        : 'Must match exactly one of the oneOf schemas (matches none).', `${schemaPath}/oneOf`);
+    }
+  }
+  if (schema.not !== undefined && !passes(schema.not, value, `${schemaPath}/not`).errors.length) {
+    fail(ctx, path, 'not', 'Must not match the "not" schema.', `${schemaPath}/not`);
+  }
+  if (schema.if !== undefined && !ctx.legacyIf) {
+    const test = passes(schema.if, value, `${schemaPath}/if`);
+    if (!test.errors.length) {
+      mergeEvaluated(evaluated, test.result);
+      if (schema.then !== undefined) mergeEvaluated(evaluated, sub(schema.then, value, path, `${schemaPath}/then`));
+    } else if (schema.else !== undefined) {
+      mergeEvaluated(evaluated, sub(schema.else, value, path, `${schemaPath}/else`));
+    }
+  }
+
+  // ---- unevaluated (after everything else in this schema) ----
+  if (Array.isArray(value) && schema.unevaluatedItems !== undefined && !evaluated.allItems) {
+    value.forEach((item, i) => {
+      if (evaluated.items.has(i)) return;
+      if (schema.unevaluatedItems === false) fail(ctx, path.concat(i), 'unevaluatedItems', `Item ${i} is not allowed.`, `${schemaPath}/unevaluatedItems`);
+      else sub(schema.unevaluatedItems, item, path.concat(i), `${schemaPath}/unevaluatedItems`);
+    });
+    evaluated.allItems = true;
+  }
+  if (isObject(value) && schema.unevaluatedProperties !== undefined) {
+    for (const key of Object.keys(value)) {
+      if (evaluated.props.has(key)) continue;
+      if (schema.unevaluatedProperties === false) fail(ctx, path.concat(key), 'unevaluatedProperties', `Property "${key}" is not allowed.`, `${schemaPath}/unevaluatedProperties`);
+      else sub(schema.unevaluatedProperties, value[key], path.concat(key), `${schemaPath}/unevaluatedProperties`);
+      evaluated.props.add(key);
+    }
+  }
+
+  // a failed subschema contributes no annotations
+  if (ctx.errors.length > before) { evaluated.props.clear(); evaluated.items.clear(); evaluated.allItems = false; }
+  return evaluated;
+}
+
+// Key-order independent text of a value (uniqueItems)
+function canonicalText(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalText).join(',')}]`;
+  if (isObject(value)) return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${canonicalText(value[k])}`).join(',')}}`;
+  return JSON.stringify(value);
+}
+
+/**
+ * Validate `root` against `schema` (a parsed JSON Schema).
+ * Returns { valid, errors, truncated, draft }; each error is
+ * { path, keyword, message, schemaPath } with `path` as segments of the
+ * offending value (array indices are numbers). `formats` turns the format
+ * keyword into an assertion for the common formats (date-time, email, uuid…).
+ * Throws an Error when the schema itself can't be used.
+ */
+export function validateJsonSchema(root, schema, { formats = true, progress = null, maxErrors = SCHEMA_MAX_ERRORS } = {}) {
+  if (typeof schema !== 'boolean' && !isObject(schema)) throw new Error('A schema must be a JSON object (or true/false).');
+  const draft = schemaDraft(schema);
+  const legacy = draft === 'draft-07';
+  const { resources, anchors } = indexSchema(schema, legacy);
+  const top = [];
+  const ctx = {
+    draft, legacy, resources, anchors, formats, progress, maxErrors,
+    legacyIf: /draft-0[3-6]/.test(isObject(schema) ? String(schema.$schema ?? '') : ''),
+    errors: top, top, truncated: false, refDepth: 0, patterns: new Map()
+  };
+  try {
+    validate(ctx, schema, root, [], '#', DEFAULT_BASE);
+  } catch (e) {
+    if (e !== STOP) throw e;
+  }
+  return { valid: top.length === 0, errors: top, truncated: ctx.truncated, draft };
+}
+
+export default { validateJsonSchema, schemaDraft };
@@ -0,0 +1,447 @@
+// JSON search helpers (ES module, DOM-free so it also runs inside jsonWorker.js)
+// - parseSearchLimitPath / resolvePathTarget: limit paths ("root>a>b>" or any
+//   jsonPathSyntax.js form: $.a.b, /a/b, data["a"].b, .a.b)
+// - buildTextMatcher / parseKeyValueQuery: text search terms (re-exported
+//   from textMatch.js; modes: contains, whole word, regex, fuzzy key name)
+// - collectSearchMatches / collectKeyValueMatches / collectNumberMatches /
+//   collectDateMatches: hits (dates: ISO strings and epoch numbers, see
+//   valueHints.js)
+// - collectValuesByKey: key value extractor
+// - parseExtractColumns / collectRowsByKeys / extractTable: multi-key
+//   extractor, one row per object holding any of the keys
+// - searchJson: run a whole advanced-search query (text/number/date, or a
+//   JSONPath / jq expression) against a parsed document
+// - countNodes / createProgress: progress reporting for long walks
+// Documents parsed losslessly pass their literals map (jsonText.js) so
+// numbers are matched and shown by their source text. With `embedded`, text
+// search, number search and the extractors also look inside the JSON, Base64
+// and JWT content of string values (jsonEmbedded.js); those matches follow
+// the document's own.
+
+import { queryJson } from './jsonQuery.js';
+import { literalKey, stringifyLossless } from './jsonText.js';
+import { parsePathText } from './jsonPathSyntax.js';
+import { collectEmbeddedValues } from './jsonEmbedded.js';
+import { dateOfValue, formatLocalDateTime } from './valueHints.js';
+import { buildTextMatcher, parseKeyValueQuery } from './textMatch.js';
+
+export { buildTextMatcher, parseKeyValueQuery };
+
+export const QUERY_MAX_RESULTS = 50000;
+
+export function formatPathText(segments) {
+  const safe = Array.isArray(segments) ? segments : [];
+  if (!safe.length) return 'root>';
+  return `root>${safe.map((s) => String(s)).join('>')}>`;
+}
+
+export function countNodes(value, limit = Infinity) {
+  let count = 0;
+  const stack = [value];
+  while (stack.length) {
+    const v = stack.pop();
+    count++;
+    if (count > limit) return count;
+    if (Array.isArray(v)) { for (let i = 0; i < v.length; i++) stack.push(v[i]); }
+    else if (v !== null && typeof v === 'object') { for (const k of Object.keys(v)) stack.push(v[k]); }
+  }
+  return count;
+}
+
+// Calls report(done, total) every `every` visited nodes
+export function createProgress(total, report, every = 20000) {
+  let done = 0;
+  return {
+    step() {
+      done++;
+      if (done % every === 0) report(done, total);
+    }
+  };
+}
+
+// { segments, label }, plus error (the parser message) when the text can't be read
+export function parseSearchLimitPath(pathText) {
+  try {
+    const parts = parsePathText(pathText);
+    return { segments: parts, label: formatPathText(parts) };
+  } catch (e) {
+    return { segments: [], label: 'root>', error: e.message };
+  }
+}
+
+export function resolvePathTarget(rootValue, pathSegments) {
+  let current = rootValue;
+  for (const rawSegment of pathSegments) {
+    const segment = String(rawSegment);
+    if (Array.isArray(current)) {
+      if (!/^\d+$/.test(segment)) return { ok: false, message: `Path segment "${segment}" is not a valid array index.` };
+      const index = Number(segment);
+      if (!Number.isInteger(index) || index < 0 || index >= current.length) return { ok: false, message: `Array index "${segment}" is out of range.` };
+      current = current[index]; continue;
+    }
+    if (current && typeof current === 'object') {
+      if (!Object.prototype.hasOwnProperty.call(current, segment)) return { ok: false, message: `Path segment "${segment}" was not found.` };
+      current = current[segment]; continue;
+    }
+    return { ok: false, message: `Path segment "${segment}" cannot be resolved on a scalar value.` };
+  }
+  return { ok: true, value: current };
+}
+
+// Limit-path segments are text; literals keys need array indices as numbers
+function typedPath(rootValue, pathSegments) {
+  let current = rootValue;
+  return pathSegments.map((segment) => {
+    const typed = Array.isArray(current) ? Number(segment) : segment;
+    current = current?.[typed];
+    return typed;
+  });
+}
+
+function textIncludes(haystack, matcher) { return matcher(String(haystack ?? '')); }
+
+// A regex matcher's capture groups go with the hit
+function withGroups(hit, matcher, text) {
+  const groups = matcher.captures?.(text);
+  if (groups) hit.groups = groups;
+  return hit;
+}
+
+// Text of a scalar; numbers recorded in `literals` keep their source text
+function scalarText(value, pathSegments, literals) {
+  if (value === null) return 'null';
+  if (typeof value === 'number' && literals?.size) return literals.get(literalKey(pathSegments)) ?? String(value);
+  return String(value);
+}
+
+export function collectSearchMatches(value, matcher, pathSegments = [], out = [], parentIsArray = false, progress = null, literals = null) {
+  progress?.step();
+  if (Array.isArray(value)) {
+    value.forEach((item, idx) => collectSearchMatches(item, matcher, pathSegments.concat(idx), out, true, progress, literals));
+    return;
+  }
+  if (value && typeof value === 'object') {
+    Object.keys(value).forEach((k) => {
+      if (textIncludes(k, matcher)) out.push(withGroups({ kind: 'key', pathSegments: pathSegments.concat(k), focusPath: pathSegments.concat(k), matchText: k }, matcher, k));
+      collectSearchMatches(value[k], matcher, pathSegments.concat(k), out, false, progress, literals);
+    });
+    return;
+  }
+  // fuzzy key names never match values
+  if (matcher.keysOnly) return;
+  const text = scalarText(value, pathSegments, literals);
+  if (!textIncludes(text, matcher)) return;
+  const focusPath = parentIsArray && pathSegments.length > 0 ? pathSegments.slice(0, -1) : pathSegments.slice();
+  out.push(withGroups({ kind: 'value', pathSegments: pathSegments.slice(), focusPath, matchText: text }, matcher, text));
+}
+
+export function collectKeyValueMatches(value, keyMatcher, valMatcher, pathSegments = [], out = [], progress = null, literals = null) {
+  progress?.step();
+  if (Array.isArray(value)) {
+    value.forEach((item, idx) => collectKeyValueMatches(item, keyMatcher, valMatcher, pathSegments.concat(idx), out, progress, literals));
+    return;
+  }
+  if (value && typeof value === 'object') {
+    Object.keys(value).forEach((k) => {
+      if (keyMatcher(k)) {
+        const child = value[k];
+        if (child === null || typeof child !== 'object') {
+          const path = pathSegments.concat(k);
+          const scalar = scalarText(child, path, literals);
+          if (valMatcher(scalar)) {
+            out.push({ kind: 'key-value', pathSegments: path, focusPath: path, matchText: `${k}: ${scalar}` });
+          }
+        }
+      }
+      collectKeyValueMatches(value[k], keyMatcher, valMatcher, pathSegments.concat(k), out, progress, literals);
+    });
+  }
+}
+
+export function collectNumberMatches(value, numCfg, pathSegments = [], out = [], parentIsArray = false, parentKey = null, progress = null, literals = null) {
+  progress?.step();
+  if (Array.isArray(value)) {
+    value.forEach((item, idx) => collectNumberMatches(item, numCfg, pathSegments.concat(idx), out, true, null, progress, literals));
+    return;
+  }
+  if (value && typeof value === 'object') {
+    Object.keys(value).forEach((k) => collectNumberMatches(value[k], numCfg, pathSegments.concat(k), out, false, k, progress, literals));
+    return;
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value)) return;
+  if (numCfg.keyFilter && (parentKey === null || !String(parentKey).toLowerCase().includes(numCfg.keyFilter.toLowerCase()))) return;
+  const cmp = numCfg.useRound ? Number(value.toFixed(numCfg.decimals)) : value;
+  const t   = numCfg.target;
+  const hit = numCfg.operator === 'eq' ? cmp === t
+            : numCfg.operator === 'ne' ? cmp !== t
+            : numCfg.operator === 'gt' ? cmp > t
+            : numCfg.operator === 'lt' ? cmp < t
+            : cmp === t;
+  if (!hit) return;
+  const focusPath = parentIsArray && pathSegments.length > 0 ? pathSegments.slice(0, -1) : pathSegments.slice();
+  out.push({ kind: 'number', pathSegments: pathSegments.slice(), focusPath, matchText: scalarText(value, pathSegments, literals) });
+}
+
+// dateCfg: { from, to, keyFilter } with from/to epoch ms or null (open end).
+// Array items are read under the array's key; with a key filter, epoch
+// seconds count under any matching key.
+export function collectDateMatches(value, dateCfg, pathSegments = [], out = [], parentIsArray = false, parentKey = null, progress = null, literals = null) {
+  progress?.step();
+  if (Array.isArray(value)) {
+    value.forEach((item, idx) => collectDateMatches(item, dateCfg, pathSegments.concat(idx), out, true, parentKey, progress, literals));
+    return;
+  }
+  if (value && typeof value === 'object') {
+    Object.keys(value).forEach((k) => collectDateMatches(value[k], dateCfg, pathSegments.concat(k), out, false, k, progress, literals));
+    return;
+  }
+  if (dateCfg.keyFilter && (parentKey === null || !String(parentKey).toLowerCase().includes(dateCfg.keyFilter.toLowerCase()))) return;
+  const ms = dateOfValue(value, parentKey, !!dateCfg.keyFilter);
+  if (ms === null) return;
+  if ((dateCfg.from != null && ms < dateCfg.from) || (dateCfg.to != null && ms > dateCfg.to)) return;
+  const focusPath = parentIsArray && pathSegments.length > 0 ? pathSegments.slice(0, -1) : pathSegments.slice();
+  out.push({ kind: 'date', pathSegments: pathSegments.slice(), focusPath, matchText: `${scalarText(value, pathSegments, literals)} (${formatLocalDateTime(ms)})` });
+}
+
+// Extracted value; with literals, numbers come back as their source text and
+// objects/arrays as JSON text written with it (the extractor only prints them)
+function exportValue(value, pathSegments, literals) {
+  if (!literals?.size || value === null) return value;
+  if (typeof value === 'number') return scalarText(value, pathSegments, literals);
+  return typeof value === 'object' ? stringifyLossless(value, 0, literals, pathSegments) : value;
+}
+
+export function collectValuesByKey(value, targetKey, out = [], progress = null, literals = null, pathSegments = []) {
+  progress?.step();
+  if (Array.isArray(value)) {
+    value.forEach((item, idx) => collectValuesByKey(item, targetKey, out, progress, literals, literals ? pathSegments.concat(idx) : pathSegments));
+  } else if (value && typeof value === 'object') {
+    Object.keys(value).forEach(k => {
+      const path = literals ? pathSegments.concat(k) : pathSegments;
+      if (k === targetKey) out.push(exportValue(value[k], path, literals));
+      collectValuesByKey(value[k], targetKey, out, progress, literals, path);
+    });
+  }
+  return out;
+}
+
+// Split "id, name, \"a,b\"" at the commas that are outside quotes and brackets
+function splitColumns(text) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quote) {
+      current += c;
+      if (c === '\\') current += text[++i] ?? '';
+      else if (c === quote) quote = null;
+      continue;
+    }
+    if (c === '"' || c === "'") quote = c;
+    else if (c === '[') depth++;
+    else if (c === ']') depth--;
+    else if (c === ',' && depth <= 0) { parts.push(current); current = ''; continue; }
+    current += c;
+  }
+  parts.push(current);
+  return parts.map((p) => p.trim()).filter((p) => p.length > 0);
+}
+
+/**
+ * Columns of a multi-key extraction typed as "id, name, address.city":
+ * [{ label, segments }] with segments relative to the row object. A column
+ * is a key, or a path written like JSONPath without the "$" (a.b[0],
+ * "ship.to".city), a JSON Pointer or a "a>b>" path. Throws an Error naming
+ * the column that can't be read (`noun` words the message, e.g. 'Path').
+ */
+export function parseExtractColumns(text, noun = 'Column') {
+  return splitColumns(String(text ?? '')).map((typed) => {
+    let segments;
+    try {
+      if (!/[.[\]"'/>]/.test(typed)) segments = [typed];
+      else if (typed[0] === '/' || typed.includes('>')) segments = parsePathText(typed);
+      else segments = parsePathText(typed[0] === '[' ? `$${typed}` : `$.${typed}`);
+    } catch (e) {
+      // positions would count the "$." added above
+      throw new Error(`${noun} "${typed}": ${e.message.replace(/ at position \d+\.$/, '.')}`);
+    }
+    if (!segments.length) throw new Error(`${noun} "${typed}" names no key.`);
+    // a quoted single key is labelled by the key itself
+    return { label: segments.length === 1 ? String(segments[0]) : typed, segments };
+  });
+}
+
+// Cell of one column in a row object; undefined when the path is missing
+function rowCell(row, segments, rowPath, literals) {
+  let current = row;
+  const path = literals ? rowPath.slice() : rowPath;
+  for (const seg of segments) {
+    if (Array.isArray(current)) {
+      const index = Number(seg);
+      if (!Number.isInteger(index) || index < 0 || index >= current.length) return undefined;
+      current = current[index];
+      if (literals) path.push(index);
+    } else if (current && typeof current === 'object' && Object.prototype.hasOwnProperty.call(current, seg)) {
+      current = current[seg];
+      if (literals) path.push(String(seg));
+    } else {
+      return undefined;
+    }
+  }
+  return exportValue(current, path, literals);
+}
+
+/**
+ * Rows (arrays of cells, in column order) for every object that has the
+ * first key of at least one column; nested objects give rows of their own.
+ * A missing cell is undefined.
+ */
+export function collectRowsByKeys(value, columns, out = [], progress = null, literals = null, pathSegments = []) {
+  progress?.step();
+  if (Array.isArray(value)) {
+    value.forEach((item, idx) => collectRowsByKeys(item, columns, out, progress, literals, literals ? pathSegments.concat(idx) : pathSegments));
+  } else if (value && typeof value === 'object') {
+    if (columns.some((c) => Object.prototype.hasOwnProperty.call(value, c.segments[0]))) {
+      out.push(columns.map((c) => rowCell(value, c.segments, pathSegments, literals)));
+    }
+    Object.keys(value).forEach((k) => collectRowsByKeys(value[k], columns, out, progress, literals, literals ? pathSegments.concat(k) : pathSegments));
+  }
+  return out;
+}
+
+// Short one-line preview of a query result
+function previewValue(value, path, literals) {
+  if (Array.isArray(value)) return `[${value.length} item${value.length === 1 ? '' : 's'}]`;
+  if (value !== null && typeof value === 'object') {
+    const keys = Object.keys(value);
+    return `{${keys.slice(0, 5).join(', ')}${keys.length > 5 ? ', …' : ''}}`;
+  }
+  if (typeof value === 'number' && path) return scalarText(value, path, literals);
+  return typeof value === 'string' ? JSON.stringify(value) : String(value);
+}
+
+// Query results become hits like the text search ones; they also carry the
+// value (for the extractor) and computed values have pathSegments = null
+function queryHit({ value, path }, literals) {
+  const scalar = value === null || typeof value !== 'object';
+  const inArray = !!path && path.length > 0 && typeof path[path.length - 1] === 'number';
+  return {
+    kind: 'query',
+    pathSegments: path,
+    focusPath: path ? (scalar && inArray ? path.slice(0, -1) : path.slice()) : null,
+    matchText: previewValue(value, path, literals),
+    value,
+    numeric: typeof value === 'number' && Number.isFinite(value)
+  };
+}
+
+// Value of `key` in the nearest object around the value at `segments` that
+// has it as a scalar (a sibling, or a key of an enclosing object), as text;
+// null when there is none
+function groupOfPath(root, segments, key, literals) {
+  let cur = root;
+  let group = null;
+  for (let i = 0; i < segments.length; i++) {
+    if (cur === null || typeof cur !== 'object') return null;
+    if (!Array.isArray(cur) && Object.prototype.hasOwnProperty.call(cur, key)) {
+      const g = cur[key];
+      if (g === null || typeof g !== 'object') group = scalarText(g, segments.slice(0, i).concat(key), literals);
+    }
+    cur = cur[segments[i]];
+  }
+  return group;
+}
+
+function groupHits(hits, root, key, literals) {
+  hits.forEach((h) => { if ((h.kind === 'number' || h.numeric) && h.pathSegments) h.group = groupOfPath(root, h.pathSegments, key, literals); });
+}
+
+// The subtree itself, then the decoded content of its strings when asked
+function searchRoots(value, basePath, embedded) {
+  const roots = [{ path: basePath, value }];
+  return embedded ? roots.concat(collectEmbeddedValues(value, basePath.slice())) : roots;
+}
+
+/**
+ * Run an advanced-search query. `query` is plain data so it can be posted to
+ * the worker: { term, caseSensitive, wildcard, mode, numCfg, dateCfg,
+ * groupKey, limitSegments, embedded } or { expr, limitSegments, groupKey }
+ * for a JSONPath / jq expression; mode is a textMatch.js TEXT_MATCH_MODES id.
+ * With groupKey, numeric hits get the `group` of that sibling key (see
+ * groupOfPath). `literals` is the document's map from parseJsonLossless, if
+ * it was parsed that way.
+ * Returns { ok: true, hits } (plus language/truncated for expressions) or
+ * { ok: false, message, source: 'path' | 'query' | 'pattern' }. Regex hits
+ * carry `groups` (see buildTextMatcher).
+ */
+export function searchJson(root, query, progress = null, literals = null) {
+  const resolved = resolvePathTarget(root, query.limitSegments || []);
+  if (!resolved.ok) return { ...resolved, source: 'path' };
+  const useLiterals = literals?.size ? literals : null;
+  const base = useLiterals ? typedPath(root, query.limitSegments || []) : (query.limitSegments || []).slice();
+  if (query.expr) {
+    try {
+      const { language, results, truncated } = queryJson(resolved.value, query.expr, { basePath: base, progress, maxResults: QUERY_MAX_RESULTS });
+      const hits = results.map((r) => queryHit(r, useLiterals));
+      if (query.groupKey) groupHits(hits, root, query.groupKey, useLiterals);
+      return { ok: true, hits, language, truncated };
+    } catch (e) {
+      return { ok: false, message: e && e.message ? e.message : String(e), source: 'query' };
+    }
+  }
+  const hits = [];
+  const mode = query.mode || 'text';
+  // a regular expression is one pattern, "key: value" included
+  const kvParsed = query.term && mode !== 'regex' ? parseKeyValueQuery(query.term) : null;
+  let keyMatcher = null;
+  let valMatcher = null;
+  let matcher = null;
+  try {
+    keyMatcher = kvParsed && buildTextMatcher(kvParsed.key, query.caseSensitive, query.wildcard, mode);
+    valMatcher = kvParsed && buildTextMatcher(kvParsed.value, query.caseSensitive, query.wildcard, mode === 'fuzzy' ? 'text' : mode);
+    matcher = query.term && !kvParsed ? buildTextMatcher(query.term, query.caseSensitive, query.wildcard, mode) : null;
+  } catch (e) {
+    return { ok: false, message: e.message, source: 'pattern' };
+  }
+  searchRoots(resolved.value, base, query.embedded).forEach(({ path, value }, i) => {
+    // decoded content has no literals of its own
+    const lits = i === 0 ? useLiterals : null;
+    if (kvParsed) collectKeyValueMatches(value, keyMatcher, valMatcher, path.slice(), hits, progress, lits);
+    else if (matcher) collectSearchMatches(value, matcher, path.slice(), hits, false, progress, lits);
+    if (query.numCfg) collectNumberMatches(value, query.numCfg, path.slice(), hits, false, null, progress, lits);
+    if (query.dateCfg) collectDateMatches(value, query.dateCfg, path.slice(), hits, false, null, progress, lits);
+  });
+  if (query.groupKey) groupHits(hits, root, query.groupKey, useLiterals);
+  return { ok: true, hits };
+}
+
+/**
+ * Key value extractor over an optional limit path: { ok, values } or
+ * { ok: false, message }. embedded also collects from decoded string content.
+ */
+export function extractValues(root, targetKey, limitSegments = [], progress = null, literals = null, embedded = false) {
+  const resolved = resolvePathTarget(root, limitSegments);
+  if (!resolved.ok) return resolved;
+  const useLiterals = literals?.size ? literals : null;
+  const values = collectValuesByKey(resolved.value, targetKey, [], progress, useLiterals, useLiterals ? typedPath(root, limitSegments) : []);
+  if (embedded) collectEmbeddedValues(resolved.value).forEach(({ value }) => collectValuesByKey(value, targetKey, values, progress));
+  return { ok: true, values };
+}
+
+/**
+ * Multi-key extractor over an optional limit path (columns from
+ * parseExtractColumns): { ok, columns, rows } with columns the labels, or
+ * { ok: false, message }. embedded also takes rows from decoded string content.
+ */
+export function extractTable(root, columns, limitSegments = [], progress = null, literals = null, embedded = false) {
+  const resolved = resolvePathTarget(root, limitSegments);
+  if (!resolved.ok) return resolved;
+  const useLiterals = literals?.size ? literals : null;
+  const rows = collectRowsByKeys(resolved.value, columns, [], progress, useLiterals, useLiterals ? typedPath(root, limitSegments) : []);
+  if (embedded) collectEmbeddedValues(resolved.value).forEach(({ value }) => collectRowsByKeys(value, columns, rows, progress));
+  return { ok: true, columns: columns.map((c) => c.label), rows };
+}
+
+export default { searchJson, extractValues, extractTable, parseExtractColumns, parseSearchLimitPath, resolvePathTarget, buildTextMatcher, formatPathText };
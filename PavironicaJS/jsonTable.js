@@ -0,0 +1,298 @@
+// JSON table helpers (ES module)
+// - isTableCandidate: whether a value is an array worth showing as a table
+// - buildJsonTable: columns/rows for an array of objects (nested objects
+//   become dotted columns like address.city; arrays stay single cells)
+// - formatCell / tableToCsv: cell text and CSV export of the visible grid
+// - renderJsonTable: sortable, filterable grid with hideable columns
+//   (controller on target._table)
+
+import { withLiterals, isLosslessNumber, numberText, stringifyLossless } from './jsonText.js';
+
+const VALUE_COLUMN = '(value)';
+const PAGE_ROWS = 500;
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !isLosslessNumber(value);
+}
+
+/** True for a non-empty array whose items are (mostly) objects. */
+export function isTableCandidate(value) {
+  if (!Array.isArray(value) || !value.length) return false;
+  const sample = value.length > 200 ? value.slice(0, 200) : value;
+  return sample.filter(isObject).length * 2 >= sample.length;
+}
+
+function flattenInto(out, value, prefix, seen) {
+  for (const key of Object.keys(value)) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    const v = value[key];
+    if (isObject(v) && Object.keys(v).length) { flattenInto(out, v, name, seen); continue; }
+    out[name] = v;
+    seen(name);
+  }
+}
+
+/**
+ * Table model of an array: { columns, rows } where each row is
+ * { index, cells } and cells maps a column name to its raw value
+ * (a missing key is absent, so it differs from null). Columns keep the
+ * order in which keys first appear; non-object items go to "(value)".
+ * With the document's literals (see parseJsonLossless) and the array's path
+ * in it, numbers keep their source text as losslessNumber()s.
+ */
+export function buildJsonTable(items, literals = null, basePath = []) {
+  items = withLiterals(items, literals, basePath);
+  const columns = [];
+  const known = new Set();
+  const seen = (name) => { if (!known.has(name)) { known.add(name); columns.push(name); } };
+  const rows = items.map((item, index) => {
+    const cells = Object.create(null);
+    if (isObject(item)) flattenInto(cells, item, '', seen);
+    else { cells[VALUE_COLUMN] = item; seen(VALUE_COLUMN); }
+    return { index, cells };
+  });
+  return { columns, rows };
+}
+
+/** Display/export text of a cell: '' for missing and null, compact JSON for arrays and objects. */
+export function formatCell(value) {
+  if (value === undefined || value === null) return '';
+  if (isLosslessNumber(value)) return numberText(value);
+  if (typeof value === 'object') return stringifyLossless(value, 0);
+  return String(value);
+}
+
+function csvField(text, delimiter) {
+  return /["\r\n]/.test(text) || text.includes(delimiter) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** CSV text (header row first) of the given rows and columns. */
+export function tableToCsv(columns, rows, delimiter = ',') {
+  const lines = [columns.map((c) => csvField(c, delimiter)).join(delimiter)];
+  for (const row of rows) lines.push(columns.map((c) => csvField(formatCell(row.cells[c]), delimiter)).join(delimiter));
+  return `${lines.join('\n')}\n`;
+}
+
+function compareCells(a, b) {
+  const emptyA = a === undefined || a === null;
+  const emptyB = b === undefined || b === null;
+  if (emptyA || emptyB) return emptyA === emptyB ? 0 : emptyA ? 1 : -1;
+  const na = numberText(a);
+  const nb = numberText(b);
+  if (na !== null && nb !== null) return Number(na) - Number(nb);
+  return formatCell(a).localeCompare(formatCell(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+// Filter text -> predicate on a cell. Plain text matches a substring
+// (case-insensitive); =x exact, !x does not contain, >n <n >=n <=n compare numbers.
+function buildCellFilter(text) {
+  const raw = text.trim();
+  if (!raw) return null;
+  const num = raw.match(/^(>=|<=|>|<)\s*(-?\d+(?:\.\d+)?)$/);
+  if (num) {
+    const target = Number(num[2]);
+    const op = num[1];
+    return (v) => {
+      const n = Number(numberText(v) ?? formatCell(v));
+      if (v === undefined || v === null || formatCell(v) === '' || Number.isNaN(n)) return false;
+      return op === '>' ? n > target : op === '<' ? n < target : op === '>=' ? n >= target : n <= target;
+    };
+  }
+  if (raw.startsWith('=')) {
+    const want = raw.slice(1).trim().toLowerCase();
+    return (v) => formatCell(v).toLowerCase() === want;
+  }
+  if (raw.startsWith('!')) {
+    const not = raw.slice(1).trim().toLowerCase();
+    return (v) => !formatCell(v).toLowerCase().includes(not);
+  }
+  const needle = raw.toLowerCase();
+  return (v) => formatCell(v).toLowerCase().includes(needle);
+}
+
+function cellClass(value) {
+  if (value === undefined) return 'jt-missing';
+  if (value === null) return 'null';
+  if (isLosslessNumber(value)) return 'number';
+  if (Array.isArray(value) || typeof value === 'object') return 'jt-json';
+  return typeof value; // string | number | boolean
+}
+
+/**
+ * Render `table` (from buildJsonTable) into `target` as a grid. Click a
+ * header to sort (ascending, descending, off); type in the row under it to
+ * filter that column; the Columns menu hides columns. onRowOpen(row) runs on
+ * double-click. Returns (and stores on target._table) a controller with
+ * visibleColumns() / visibleRows() for export.
+ */
+export function renderJsonTable(target, table, opts = {}) {
+  if (!target) return null;
+  target.innerHTML = '';
+  const state = { sortCol: null, sortDir: 1, filters: new Map(), hidden: new Set(), limit: PAGE_ROWS };
+  let visible = table.rows;
+
+  const bar = document.createElement('div');
+  bar.className = 'jt-bar';
+  const count = document.createElement('span');
+  count.className = 'jt-count muted';
+  const menu = document.createElement('details');
+  menu.className = 'jt-columns';
+  const menuTitle = document.createElement('summary');
+  menuTitle.textContent = 'Columns';
+  const menuList = document.createElement('div');
+  menuList.className = 'jt-columns-list';
+  menu.append(menuTitle, menuList);
+  bar.append(menu, count);
+
+  const scroller = document.createElement('div');
+  scroller.className = 'jt-scroll';
+  const grid = document.createElement('table');
+  grid.className = 'table-grid jt-grid';
+  const thead = document.createElement('thead');
+  const tbody = document.createElement('tbody');
+  grid.append(thead, tbody);
+  scroller.appendChild(grid);
+
+  const more = document.createElement('button');
+  more.type = 'button';
+  more.className = 'btn-ghost jt-more hidden';
+  more.addEventListener('click', () => { state.limit += PAGE_ROWS; renderBody(); });
+
+  target.append(bar, scroller, more);
+
+  const shownColumns = () => table.columns.filter((c) => !state.hidden.has(c));
+
+  function applyView() {
+    const checks = [...state.filters].map(([col, text]) => [col, buildCellFilter(text)]).filter(([, fn]) => fn);
+    let rows = checks.length ? table.rows.filter((r) => checks.every(([col, fn]) => fn(r.cells[col]))) : table.rows;
+    if (state.sortCol !== null) {
+      const col = state.sortCol;
+      const dir = state.sortDir;
+      rows = rows.slice().sort((a, b) => {
+        const c = compareCells(a.cells[col], b.cells[col]);
+        // empty cells stay last in both directions
+        const emptyA = a.cells[col] === undefined || a.cells[col] === null;
+        const emptyB = b.cells[col] === undefined || b.cells[col] === null;
+        return emptyA || emptyB ? c : c * dir || a.index - b.index;
+      });
+    }
+    visible = rows;
+    state.limit = PAGE_ROWS;
+    renderBody();
+  }
+
+  function renderHead() {
+    thead.innerHTML = '';
+    const labels = document.createElement('tr');
+    const filters = document.createElement('tr');
+    filters.className = 'jt-filters';
+    const indexTh = document.createElement('th');
+    indexTh.className = 'table-index';
+    indexTh.textContent = '#';
+    labels.appendChild(indexTh);
+    filters.appendChild(document.createElement('th'));
+    for (const col of shownColumns()) {
+      const th = document.createElement('th');
+      th.className = 'jt-sortable';
+      th.textContent = col;
+      th.title = 'Click to sort';
+      if (state.sortCol === col) th.dataset.sort = state.sortDir > 0 ? 'asc' : 'desc';
+      th.addEventListener('click', () => {
+        if (state.sortCol !== col) { state.sortCol = col; state.sortDir = 1; }
+        else if (state.sortDir > 0) state.sortDir = -1;
+        else state.sortCol = null;
+        renderHead();
+        applyView();
+      });
+      labels.appendChild(th);
+
+      const fth = document.createElement('th');
+      const field = document.createElement('input');
+      field.type = 'text';
+      field.placeholder = 'filter';
+      field.spellcheck = false;
+      field.value = state.filters.get(col) ?? '';
+      let timer = null;
+      field.addEventListener('input', () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => { state.filters.set(col, field.value); applyView(); }, 150);
+      });
+      fth.appendChild(field);
+      filters.appendChild(fth);
+    }
+    thead.append(labels, filters);
+  }
+
+  function renderBody() {
+    tbody.innerHTML = '';
+    const cols = shownColumns();
+    const frag = document.createDocumentFragment();
+    for (const row of visible.slice(0, state.limit)) {
+      const tr = document.createElement('tr');
+      tr._row = row;
+      const idx = document.createElement('td');
+      idx.className = 'table-index';
+      idx.textContent = String(row.index);
+      tr.appendChild(idx);
+      for (const col of cols) {
+        const value = row.cells[col];
+        const td = document.createElement('td');
+        td.className = `table-val ${cellClass(value)}`;
+        const text = value === null ? 'null' : formatCell(value);
+        td.textContent = text.length > 200 ? `${text.slice(0, 199)}…` : text;
+        if (text.length > 200) td.title = text;
+        tr.appendChild(td);
+      }
+      frag.appendChild(tr);
+    }
+    tbody.appendChild(frag);
+    const rest = visible.length - Math.min(visible.length, state.limit);
+    more.classList.toggle('hidden', rest <= 0);
+    more.textContent = `Show ${Math.min(rest, PAGE_ROWS)} more (${rest} hidden)`;
+    const filtered = visible.length !== table.rows.length ? ` of ${table.rows.length}` : '';
+    const hiddenCols = state.hidden.size ? `, ${state.hidden.size} hidden` : '';
+    count.textContent = `${visible.length}${filtered} row${table.rows.length === 1 ? '' : 's'} · ${cols.length} column${cols.length === 1 ? '' : 's'}${hiddenCols}`;
+  }
+
+  function renderMenu() {
+    menuList.innerHTML = '';
+    const all = document.createElement('button');
+    all.type = 'button';
+    all.className = 'btn-ghost';
+    all.textContent = 'Show all';
+    all.addEventListener('click', () => { state.hidden.clear(); renderMenu(); renderHead(); renderBody(); });
+    menuList.appendChild(all);
+    for (const col of table.columns) {
+      const label = document.createElement('label');
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.checked = !state.hidden.has(col);
+      box.addEventListener('change', () => {
+        if (box.checked) state.hidden.delete(col); else state.hidden.add(col);
+        if (!box.checked) state.filters.delete(col);
+        renderHead();
+        applyView();
+      });
+      label.append(box, ` ${col}`);
+      menuList.appendChild(label);
+    }
+  }
+
+  tbody.addEventListener('dblclick', (e) => {
+    const tr = e.target.closest('tr');
+    if (tr?._row && opts.onRowOpen) opts.onRowOpen(tr._row);
+  });
+
+  renderMenu();
+  renderHead();
+  applyView();
+
+  const controller = {
+    visibleColumns: shownColumns,
+    visibleRows: () => visible
+  };
+  target._table = controller;
+  return controller;
+}
+
+export default { isTableCandidate, buildJsonTable, formatCell, tableToCsv, renderJsonTable };
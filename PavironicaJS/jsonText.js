@@ -0,0 +1,577 @@
+// JSON text helpers (ES module, DOM-free)
+// - JSON_SYNTAXES: the input syntaxes the JSON Viewer understands
+// - parseJson5: JSON5 parser (also covers JSONC: comments and trailing commas)
+// - parseJsonLossless: JSON (or JSON5) parse that keeps the source text of
+//   numbers JavaScript can't hold exactly (64-bit ids, 1.50, 1e400...) and
+//   reports duplicate keys with their line and column
+// - parseNdjson: newline-delimited JSON -> array of the good lines plus a
+//   list of the bad ones by line number
+// - parseJsonText: one entry point for all syntaxes -> { value, errors,
+//   literals, duplicates }
+// - formatJson5: re-indent JSON5/JSONC text keeping its comments
+// - formatNdjson: one compact JSON value per line
+// - literals: literalKey / stringifyLossless / withLiterals / losslessNumber /
+//   canonicalNumber write and compare numbers by their source text
+
+export const JSON_SYNTAXES = {
+  json:   { label: 'JSON' },
+  json5:  { label: 'JSON5 / JSONC' },
+  ndjson: { label: 'NDJSON' }
+};
+
+const ID_START = /[$_\p{ID_Start}]/u;
+const ID_PART  = /[$_\u200C\u200D\p{ID_Continue}]/u;
+const LINE_BREAK = /[\n\r\u2028\u2029]/;
+const JSON_SPACE = /[ \t\n\r]/;
+const JSON5_SPACE = /[\s\uFEFF]/;
+const ESCAPES = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v', "'": "'", '"': '"', '\\': '\\', '/': '/' };
+const JSON_ESCAPES = new Set(['b', 'f', 'n', 'r', 't', '"', '\\', '/']);
+
+/** Key of a value's path in a literals map (paths as segment arrays, indices as numbers). */
+export function literalKey(path) {
+  return JSON.stringify(path);
+}
+
+// Drop the literals recorded under `path` (its value was overwritten by a duplicate key)
+function dropLiterals(literals, path) {
+  const key = literalKey(path);
+  const prefix = key.slice(0, -1);
+  for (const k of literals.keys()) {
+    if (k === key || (k.startsWith(prefix) && k[prefix.length] === ',')) literals.delete(k);
+  }
+}
+
+// JSON spelling of a JSON5 number literal (no +, no bare dots, hex in decimal)
+function jsonNumberText(raw) {
+  let text = raw.replace(/^\+/, '');
+  const sign = text.startsWith('-') ? '-' : '';
+  const body = sign ? text.slice(1) : text;
+  if (/^0[xX]/.test(body)) return sign + BigInt(body).toString();
+  text = sign + body.replace(/^\./, '0.').replace(/\.(?=[eE]|$)/, '');
+  return text;
+}
+
+// Recursive-descent parser behind parseJson5 and parseJsonLossless.
+// opts.json5 switches from the strict JSON grammar to JSON5; opts.lossless
+// tracks paths to fill opts.literals (path key -> number text, only for
+// numbers whose text differs from String(value)) and opts.duplicates.
+// The JSON5 words Infinity, -Infinity and NaN go into opts.literals either
+// way: JSON has no text for them, and JSON.stringify would write null. An
+// overflow like 1e400 is a number like any other (kept as written when lossless).
+// opts.lineOffset shifts reported lines (NDJSON lines), opts.basePath
+// prefixes recorded paths.
+function parseSource(text, opts = {}) {
+  const src = String(text ?? '');
+  const json5 = !!opts.json5;
+  const lossless = !!opts.lossless;
+  const literals = opts.literals ?? new Map();
+  const duplicates = opts.duplicates ?? [];
+  const lineOffset = opts.lineOffset ?? 0;
+  const path = (opts.basePath ?? []).slice();
+  const space = json5 ? JSON5_SPACE : JSON_SPACE;
+  let pos = src.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+  // Line/column of a position; positions mostly grow while parsing, so the
+  // scan continues from the last lookup
+  let seenPos = 0, seenLine = 1, seenLineStart = 0;
+  function locate(at) {
+    if (at < seenPos) { seenPos = 0; seenLine = 1; seenLineStart = 0; }
+    for (; seenPos < at; seenPos++) {
+      if (src.charCodeAt(seenPos) === 10) { seenLine++; seenLineStart = seenPos + 1; }
+    }
+    return { line: seenLine + lineOffset, column: at - seenLineStart + 1 };
+  }
+
+  function fail(message, at = pos) {
+    const { line, column } = locate(at);
+    throw new SyntaxError(`${message} at line ${line} column ${column}`);
+  }
+
+  function skip() {
+    while (pos < src.length) {
+      const c = src[pos];
+      if (json5 && c === '/' && src[pos + 1] === '/') {
+        while (pos < src.length && !LINE_BREAK.test(src[pos])) pos++;
+      } else if (json5 && c === '/' && src[pos + 1] === '*') {
+        const end = src.indexOf('*/', pos + 2);
+        if (end < 0) fail('Unterminated comment');
+        pos = end + 2;
+      } else if (space.test(c)) {
+        pos++;
+      } else {
+        return;
+      }
+    }
+  }
+
+  function readHex(count) {
+    const hex = src.slice(pos, pos + count);
+    if (hex.length !== count || !/^[0-9a-fA-F]+$/.test(hex)) fail('Invalid escape sequence');
+    pos += count;
+    return String.fromCharCode(parseInt(hex, 16));
+  }
+
+  function readString() {
+    const start = pos;
+    const quote = src.charCodeAt(pos++);
+    let out = '';
+    for (;;) {
+      let end = pos;
+      for (; end < src.length; end++) {
+        const ch = src.charCodeAt(end);
+        if (ch === quote || ch === 92 || (ch < 32 && (!json5 || ch === 10 || ch === 13))) break;
+      }
+      out += src.slice(pos, end);
+      pos = end;
+      if (pos >= src.length) fail('Unterminated string', start);
+      const c = src[pos];
+      if (c.charCodeAt(0) === quote) { pos++; return out; }
+      if (c === '\n' || c === '\r') fail(json5 ? 'Line break inside a string (escape it or end the line with \\)' : 'Line break inside a string');
+      if (c !== '\\') fail('Bad control character in string');
+      const e = src[pos + 1];
+      pos += 2;
+      if (e === undefined) fail('Unterminated string', start);
+      if (e === 'u') { out += readHex(4); continue; }
+      if (!json5) {
+        if (!JSON_ESCAPES.has(e)) fail('Invalid escape sequence', pos - 2);
+        out += ESCAPES[e];
+        continue;
+      }
+      if (e === 'x') { out += readHex(2); continue; }
+      if (e === '0' && !/[0-9]/.test(src[pos] ?? '')) { out += '\0'; continue; }
+      if (/[0-9]/.test(e)) fail('Invalid escape sequence', pos - 2);
+      if (e === '\r') { if (src[pos] === '\n') pos++; continue; } // line continuation
+      if (LINE_BREAK.test(e)) continue;
+      out += ESCAPES[e] ?? e;
+    }
+  }
+
+  function readIdentifier() {
+    let out = '';
+    while (pos < src.length) {
+      if (src[pos] === '\\') {
+        if (src[pos + 1] !== 'u') fail('Invalid escape in property name');
+        pos += 2;
+        out += readHex(4);
+        continue;
+      }
+      const ch = String.fromCodePoint(src.codePointAt(pos));
+      if (!(out ? ID_PART : ID_START).test(ch)) break;
+      out += ch;
+      pos += ch.length;
+    }
+    return out;
+  }
+
+  function readNumber() {
+    const start = pos;
+    let value;
+    if (!json5) {
+      const m = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+      m.lastIndex = pos;
+      if (!m.exec(src)) fail('Invalid number', start);
+      pos = m.lastIndex;
+      value = Number(src.slice(start, pos));
+    } else {
+      let sign = 1;
+      if (src[pos] === '+' || src[pos] === '-') { if (src[pos] === '-') sign = -1; pos++; }
+      if (src.startsWith('Infinity', pos)) { pos += 8; value = sign * Infinity; }
+      else if (src.startsWith('NaN', pos)) { pos += 3; value = NaN; }
+      else if (/^0[xX]/.test(src.slice(pos, pos + 2))) {
+        const m = /[0-9a-fA-F]+/y;
+        m.lastIndex = pos + 2;
+        const hex = m.exec(src);
+        if (!hex) fail('Invalid number', start);
+        pos = m.lastIndex;
+        value = sign * parseInt(hex[0], 16);
+      } else {
+        const m = /(?:(?:0|[1-9]\d*)(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?/y;
+        m.lastIndex = pos;
+        const num = m.exec(src);
+        if (!num) fail('Invalid number', start);
+        pos = m.lastIndex;
+        value = sign * Number(num[0]);
+      }
+    }
+    if (pos < src.length && (json5 ? ID_PART.test(src[pos]) : /[0-9.eE+-]/.test(src[pos]))) fail('Invalid number', start);
+    const raw = src.slice(start, pos);
+    if (json5 && /[IN]/.test(raw)) {
+      literals.set(literalKey(path), String(value));
+    } else if (lossless) {
+      const literal = json5 ? jsonNumberText(raw) : raw;
+      if (literal !== String(value)) literals.set(literalKey(path), literal);
+    }
+    return value;
+  }
+
+  function readValue() {
+    skip();
+    const c = src[pos];
+    if (c === undefined) fail('Unexpected end of input');
+    if (c === '{') return readObject();
+    if (c === '[') return readArray();
+    if (c === '"' || (json5 && c === "'")) return readString();
+    if (json5 ? /[-+.0-9]/.test(c) : /[-0-9]/.test(c)) return readNumber();
+    const start = pos;
+    const word = readIdentifier();
+    if (word === 'true') return true;
+    if (word === 'false') return false;
+    if (word === 'null') return null;
+    if (json5 && (word === 'Infinity' || word === 'NaN')) { pos = start; return readNumber(); }
+    fail(word ? `Unexpected identifier "${word}"` : `Unexpected character "${c}"`, start);
+  }
+
+  function readObject() {
+    const obj = {};
+    const firstAt = lossless ? new Map() : null; // key -> where it first appeared
+    let count = 0;
+    pos++;
+    for (;;) {
+      skip();
+      if (src[pos] === '}' && (json5 || !count)) { pos++; return obj; }
+      const keyAt = pos;
+      const c = src[pos];
+      let key;
+      if (c === '"' || (json5 && c === "'")) key = readString();
+      else if (json5) key = readIdentifier();
+      if (key === undefined || (key === '' && !(c === '"' || c === "'"))) {
+        fail(c === undefined ? 'Unexpected end of input' : 'Expected a property name', keyAt);
+      }
+      if (lossless) {
+        const at = locate(keyAt);
+        const first = firstAt.get(key);
+        if (first) {
+          duplicates.push({ path: path.slice(), key, line: at.line, column: at.column, first });
+          dropLiterals(literals, path.concat(key));
+        } else {
+          firstAt.set(key, at);
+        }
+      } else if (literals.size && Object.prototype.hasOwnProperty.call(obj, key)) {
+        dropLiterals(literals, path.concat(key));
+      }
+      skip();
+      if (src[pos] !== ':') fail("Expected ':' after a property name");
+      pos++;
+      path.push(key);
+      const value = readValue();
+      path.pop();
+      // define rather than assign so "__proto__" stays an ordinary key, as with JSON.parse
+      Object.defineProperty(obj, key, { value, writable: true, enumerable: true, configurable: true });
+      count++;
+      skip();
+      if (src[pos] === ',') { pos++; continue; }
+      if (src[pos] === '}') { pos++; return obj; }
+      fail(src[pos] === undefined ? 'Unexpected end of input' : "Expected ',' or '}'");
+    }
+  }
+
+  function readArray() {
+    const arr = [];
+    pos++;
+    for (;;) {
+      skip();
+      if (src[pos] === ']' && (json5 || !arr.length)) { pos++; return arr; }
+      path.push(arr.length);
+      arr.push(readValue());
+      path.pop();
+      skip();
+      if (src[pos] === ',') { pos++; continue; }
+      if (src[pos] === ']') { pos++; return arr; }
+      fail(src[pos] === undefined ? 'Unexpected end of input' : "Expected ',' or ']'");
+    }
+  }
+
+  const value = readValue();
+  skip();
+  if (pos < src.length) fail('Unexpected content after the value');
+  return { value, literals, duplicates };
+}
+
+/**
+ * Parse JSON5 text: comments, trailing commas, single-quoted strings,
+ * unquoted keys, hex numbers, leading/trailing decimal points, +/-,
+ * Infinity and NaN. Errors are SyntaxErrors ending in "at line L column C".
+ * Only the value is returned: to write Infinity and NaN back out, use
+ * parseJsonText's literals.
+ */
+export function parseJson5(text) {
+  return parseSource(text, { json5: true }).value;
+}
+
+/**
+ * Parse JSON (JSON5 with opts.json5) and return { value, literals, duplicates }.
+ * value is what JSON.parse gives (numbers rounded to doubles, the last of
+ * duplicated keys wins). literals maps literalKey(path) to the source text of
+ * every number whose text differs from String(value), e.g.
+ * "9007199254740993" or "1.50", and of JSON5 Infinity, -Infinity and NaN
+ * (recorded as those words). duplicates lists repeated keys as
+ * { path, key, line, column, first: { line, column } }, path being the
+ * object's path. Slower than JSON.parse; errors read like parseJson5's.
+ */
+export function parseJsonLossless(text, opts = {}) {
+  return parseSource(text, { json5: !!opts.json5, lossless: true });
+}
+
+// Column of a JSON.parse error inside one line (browsers report either
+// "line 1 column N" or "position N")
+function errorColumn(err) {
+  const msg = String(err?.message ?? err ?? '');
+  const col = msg.match(/\bcolumn\s+(\d+)/i);
+  if (col) return +col[1];
+  const at = msg.match(/\bposition\s+(\d+)/i);
+  return at ? +at[1] + 1 : 1;
+}
+
+/**
+ * Parse newline-delimited JSON (one value per line, blank lines ignored).
+ * Returns { value, errors, literals, duplicates }: value is the array of the
+ * lines that parsed, errors lists the others as { line, column, message }
+ * (1-based). With opts.lossless, literals and duplicates are filled as in
+ * parseJsonLossless (paths start with the item index, lines are file lines).
+ */
+export function parseNdjson(text, opts = {}) {
+  const value = [];
+  const errors = [];
+  const literals = new Map();
+  const duplicates = [];
+  String(text ?? '').split('\n').forEach((raw, i) => {
+    const line = raw.endsWith('\r') ? raw.slice(0, -1) : raw;
+    if (!line.trim()) return;
+    try {
+      value.push(opts.lossless
+        ? parseSource(line, { lossless: true, literals, duplicates, basePath: [value.length], lineOffset: i }).value
+        : JSON.parse(line));
+    } catch (e) {
+      errors.push({ line: i + 1, column: errorColumn(e), message: e && e.message ? e.message : String(e) });
+    }
+  });
+  return { value, errors, literals, duplicates };
+}
+
+/**
+ * Parse `text` in the given syntax ('json' | 'json5' | 'ndjson') and return
+ * { value, errors, literals, duplicates }. errors is only non-empty for
+ * NDJSON (its bad lines); the other syntaxes throw on the first error.
+ * duplicates and the literals of exact numbers are only filled with
+ * opts.lossless; JSON5 Infinity and NaN are always in literals.
+ */
+export function parseJsonText(text, syntax = 'json', opts = {}) {
+  if (syntax === 'ndjson') return parseNdjson(text, opts);
+  if (opts.lossless) return { ...parseJsonLossless(text, { json5: syntax === 'json5' }), errors: [] };
+  if (syntax === 'json5') return { ...parseSource(text, { json5: true }), errors: [] };
+  return { value: JSON.parse(text), errors: [], literals: new Map(), duplicates: [] };
+}
+
+// Tokens of (already validated) JSON5 text for re-layout; `breaks` counts the
+// line breaks before each token
+function layoutTokens(text) {
+  const tokens = [];
+  let breaks = 0;
+  let i = 0;
+  while (i < text.length) {
+    const c = text[i];
+    if (c === '\n') { breaks++; i++; continue; }
+    if (/[\s\uFEFF]/.test(c)) { i++; continue; }
+    let end = i + 1;
+    let type = 'value';
+    if (c === '/' && text[i + 1] === '/') {
+      while (end < text.length && !LINE_BREAK.test(text[end])) end++;
+      type = 'line-comment';
+    } else if (c === '/' && text[i + 1] === '*') {
+      end = text.indexOf('*/', i + 2) + 2;
+      type = 'comment';
+    } else if ('{}[]:,'.includes(c)) {
+      type = 'punct';
+    } else if (c === '"' || c === "'") {
+      while (text[end] !== c) end += text[end] === '\\' ? 2 : 1;
+      end++;
+    } else {
+      while (end < text.length && !/[\s{}[\]:,"'/]/.test(text[end])) end++;
+    }
+    tokens.push({ type, text: text.slice(i, end), breaks });
+    breaks = 0;
+    i = end;
+  }
+  return tokens;
+}
+
+/**
+ * Re-indent JSON5/JSONC text and keep its comments. Only the layout changes:
+ * strings, keys and numbers are written as they were, a comment that shared
+ * a line with a value stays on that line, and single blank lines between
+ * entries are kept. Throws the parseJson5 error for invalid text.
+ */
+export function formatJson5(text, indent = 2) {
+  parseJson5(text);
+  const pad = ' '.repeat(Math.max(0, indent));
+  const lines = [];
+  let depth = 0;
+  let cur = '';
+  let breakPending = false;
+  let prev = null;
+
+  const newLine = (blank) => {
+    if (cur.trim()) lines.push(cur.trimEnd());
+    if (blank && lines.length) lines.push('');
+    cur = pad.repeat(depth);
+    breakPending = false;
+  };
+  const isOpen = (t) => t && (t.text === '{' || t.text === '[');
+
+  for (const t of layoutTokens(text)) {
+    const comment = t.type !== 'value' && t.type !== 'punct';
+    if (comment) {
+      if (t.breaks === 0 && prev) cur = `${cur.trimEnd()} ${t.text}`;
+      else { newLine(t.breaks > 1 && !isOpen(prev)); cur += t.text; }
+      if (t.type === 'line-comment' || t.breaks > 0 || !prev) breakPending = true;
+    } else if (t.text === '}' || t.text === ']') {
+      depth--;
+      if (isOpen(prev)) breakPending = false;
+      else newLine(false);
+      cur += t.text;
+    } else if (t.text === ',' || t.text === ':') {
+      if (breakPending) newLine(false);
+      cur += t.text;
+      if (t.text === ',') breakPending = true;
+    } else {
+      if (breakPending || !prev) newLine(t.breaks > 1 && !isOpen(prev));
+      else if (prev.text === ':' || prev.type === 'comment') cur += ' ';
+      cur += t.text;
+      if (isOpen(t)) { depth++; breakPending = true; }
+    }
+    prev = t;
+  }
+  newLine(false);
+  return lines.join('\n');
+}
+
+/**
+ * NDJSON text with every line rewritten as compact JSON. Throws when a line
+ * is not valid JSON, naming the first bad line and how many others there are.
+ * opts.lossless keeps numbers as written.
+ */
+export function formatNdjson(text, opts = {}) {
+  const { value, errors, literals } = parseNdjson(text, opts);
+  if (errors.length) {
+    const [first] = errors;
+    const more = errors.length > 1 ? ` (and ${errors.length - 1} more bad line${errors.length > 2 ? 's' : ''})` : '';
+    throw new Error(`line ${first.line} column ${first.column}: ${first.message}${more}`);
+  }
+  return value.map((item, i) => stringifyLossless(item, 0, literals, [i])).join('\n');
+}
+
+// -------- Number literals --------
+
+const LITERAL = Symbol('jsonLiteral');
+
+/**
+ * A number held as its JSON text, for values built in memory (tree edits,
+ * comparisons): stringifyLossless writes it verbatim. Not for postMessage —
+ * the marker doesn't survive structured cloning; send literals maps instead.
+ */
+export function losslessNumber(text) {
+  return Object.freeze({ [LITERAL]: String(text) });
+}
+
+export function isLosslessNumber(value) {
+  return value !== null && typeof value === 'object' && LITERAL in value;
+}
+
+/** JSON text of a number or losslessNumber; null for anything else. */
+export function numberText(value) {
+  if (isLosslessNumber(value)) return value[LITERAL];
+  return typeof value === 'number' ? String(value) : null;
+}
+
+/**
+ * Copy of `value` with the numbers recorded in `literals` (see
+ * parseJsonLossless) replaced by losslessNumber()s, so they keep their text
+ * through edits that move them. Returns `value` itself when there are none.
+ */
+export function withLiterals(value, literals, basePath = []) {
+  if (!literals || !literals.size) return value;
+  const path = basePath.slice();
+  const walk = (v) => {
+    if (typeof v === 'number') {
+      const text = literals.get(literalKey(path));
+      return text === undefined ? v : losslessNumber(text);
+    }
+    if (v === null || typeof v !== 'object') return v;
+    if (Array.isArray(v)) {
+      return v.map((item, i) => {
+        path.push(i);
+        const out = walk(item);
+        path.pop();
+        return out;
+      });
+    }
+    const out = {};
+    for (const k of Object.keys(v)) {
+      path.push(k);
+      Object.defineProperty(out, k, { value: walk(v[k]), writable: true, enumerable: true, configurable: true });
+      path.pop();
+    }
+    return out;
+  };
+  return walk(value);
+}
+
+/**
+ * JSON.stringify(value, null, indent) that writes numbers by their source
+ * text: losslessNumber()s verbatim, and numbers whose path (basePath + the
+ * path inside value) is in `literals` as recorded.
+ */
+export function stringifyLossless(value, indent = 2, literals = null, basePath = []) {
+  const pad = ' '.repeat(Math.max(0, Math.min(10, Math.floor(indent) || 0)));
+  const lookup = literals && literals.size > 0;
+  const path = basePath.slice();
+  const write = (v, depth) => {
+    if (typeof v === 'number') {
+      const text = lookup ? literals.get(literalKey(path)) : undefined;
+      return text ?? (Number.isFinite(v) ? String(v) : 'null');
+    }
+    if (isLosslessNumber(v)) return v[LITERAL];
+    if (v === null || typeof v !== 'object') return JSON.stringify(v) ?? 'null';
+    const inner = pad ? `\n${pad.repeat(depth + 1)}` : '';
+    const outer = pad ? `\n${pad.repeat(depth)}` : '';
+    const parts = [];
+    if (Array.isArray(v)) {
+      for (let i = 0; i < v.length; i++) {
+        path.push(i);
+        parts.push(write(v[i], depth + 1));
+        path.pop();
+      }
+      return parts.length ? `[${inner}${parts.join(`,${inner}`)}${outer}]` : '[]';
+    }
+    for (const k of Object.keys(v)) {
+      if (v[k] === undefined || typeof v[k] === 'function') continue;
+      path.push(k);
+      parts.push(`${JSON.stringify(k)}:${pad ? ' ' : ''}${write(v[k], depth + 1)}`);
+      path.pop();
+    }
+    return parts.length ? `{${inner}${parts.join(`,${inner}`)}${outer}}` : '{}';
+  };
+  return write(value, 0);
+}
+
+/**
+ * Canonical form of a JSON number text for exact comparison: "1", "1.0" and
+ * "1e0" give the same result, 9007199254740993 and 9007199254740992 don't.
+ */
+export function canonicalNumber(text) {
+  const m = /^(-?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/.exec(String(text).trim());
+  if (!m) return String(text);
+  const fraction = m[3] ?? '';
+  let digits = (m[2] + fraction).replace(/^0+/, '');
+  if (!digits) return '0';
+  let exp = Number(m[4] ?? 0) - fraction.length;
+  const zeros = digits.length - digits.replace(/0+$/, '').length;
+  digits = digits.slice(0, digits.length - zeros);
+  exp += zeros;
+  return `${m[1]}${digits}e${exp}`;
+}
+
+export default {
+  JSON_SYNTAXES, parseJson5, parseJsonLossless, parseNdjson, parseJsonText, formatJson5, formatNdjson,
+  literalKey, losslessNumber, isLosslessNumber, numberText, withLiterals, stringifyLossless, canonicalNumber
+};
@@ -0,0 +1,318 @@
+// JSON transformation helpers (ES module, DOM-free)
+// - TRANSFORMS: the steps a transformation chain is made of, by id
+// - canonicalJson: RFC 8785 (JCS) canonical text, e.g. for signature checks
+// - sortKeysDeep / flattenJson / unflattenJson / pickPaths / omitPaths /
+//   removeEmpty: the value steps on their own
+// - applyTransforms: run a chain ([{ id, arg }]) on a value -> { value, output }
+// - transformToText: run a chain and write the result the way its output
+//   steps ask (indented, minified or canonical)
+// Values may hold losslessNumber()s (jsonText.js): they stay numbers and keep
+// their text, except in canonical output, which writes every number the way
+// RFC 8785 says (as JavaScript prints the double).
+
+import { isLosslessNumber, numberText, stringifyLossless } from './jsonText.js';
+import { parseExtractColumns } from './jsonSearch.js';
+
+/**
+ * Chain steps by id. `arg` names the text a step needs ('paths': a list of
+ * paths, as typed for the multi-key extractor); `output` steps only decide
+ * how the result is written, so they come last in effect wherever they are.
+ */
+export const TRANSFORMS = {
+  sortKeys:    { label: 'Sort keys', title: 'Sort the keys of every object (by UTF-16 code unit, as RFC 8785)' },
+  flatten:     { label: 'Flatten', title: 'One level of dotted keys: {"a":{"b":[1]}} -> {"a.b[0]":1}' },
+  unflatten:   { label: 'Unflatten', title: 'Dotted keys back to nested objects and arrays' },
+  pick:        { label: 'Pick paths', arg: 'paths', title: 'Keep only these paths (a key under an array applies to every item)' },
+  omit:        { label: 'Omit paths', arg: 'paths', title: 'Remove these paths (a key under an array applies to every item)' },
+  removeNulls: { label: 'Remove nulls', title: 'Drop object fields whose value is null' },
+  removeEmpty: { label: 'Remove empty', title: 'Drop object fields that are null, "", [] or {} (also once emptied by this step)' },
+  minify:      { label: 'Minify', output: true, title: 'Write the result without whitespace' },
+  canonicalize:{ label: 'Canonicalize (RFC 8785)', output: true, title: 'Write the result as RFC 8785 canonical JSON: sorted keys, no whitespace, numbers as ECMAScript prints them' }
+};
+
+function isContainer(value) {
+  return value !== null && typeof value === 'object' && !isLosslessNumber(value);
+}
+
+function isPlainObject(value) {
+  return isContainer(value) && !Array.isArray(value);
+}
+
+// Own data property, also for keys such as "__proto__"
+function setKey(obj, key, value) {
+  Object.defineProperty(obj, key, { value, writable: true, enumerable: true, configurable: true });
+}
+
+/** RFC 8785 canonical JSON text of `value`. Throws on NaN / Infinity (JSON5). */
+export function canonicalJson(value) {
+  if (typeof value === 'number' || isLosslessNumber(value)) {
+    const n = typeof value === 'number' ? value : Number(numberText(value));
+    if (!Number.isFinite(n)) throw new Error(`RFC 8785 has no way to write ${numberText(value)}.`);
+    return String(n); // ECMAScript Number-to-String, -0 written as 0
+  }
+  if (!isContainer(value)) return JSON.stringify(value) ?? 'null';
+  if (Array.isArray(value)) return `[${value.map((item) => (item === undefined ? 'null' : canonicalJson(item))).join(',')}]`;
+  // the default sort compares UTF-16 code units, which is what RFC 8785 asks
+  const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+  return `{${keys.map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+}
+
+/** Copy of `value` with the keys of every object sorted. */
+export function sortKeysDeep(value) {
+  if (!isContainer(value)) return value;
+  if (Array.isArray(value)) return value.map(sortKeysDeep);
+  const out = {};
+  for (const k of Object.keys(value).sort()) setKey(out, k, sortKeysDeep(value[k]));
+  return out;
+}
+
+// -------- Flatten / unflatten --------
+// Keys join with "." and array indices are written [n]; a ".", "[", "]" or
+// "\" inside a key is escaped with a backslash. Empty objects and arrays
+// stay as values, so unflatten gives the same document back.
+
+function escapeFlatKey(key) {
+  return String(key).replace(/[.[\]\\]/g, '\\$&');
+}
+
+/** One-level object of dotted keys; a scalar root comes back as it is. */
+export function flattenJson(value) {
+  if (!isContainer(value)) return value;
+  const out = {};
+  const walk = (v, prefix) => {
+    const entries = Array.isArray(v) ? v.map((item, i) => [`${prefix}[${i}]`, item]) : Object.keys(v).map((k) => [prefix ? `${prefix}.${escapeFlatKey(k)}` : escapeFlatKey(k), v[k]]);
+    if (!entries.length && prefix) { setKey(out, prefix, Array.isArray(v) ? [] : {}); return; }
+    for (const [key, item] of entries) {
+      if (isContainer(item)) walk(item, key);
+      else setKey(out, key, item);
+    }
+  };
+  walk(value, '');
+  return out;
+}
+
+// "a.b\\.c[0]" -> ['a', 'b.c', 0]
+function parseFlatKey(key) {
+  const segments = [];
+  let i = 0;
+  const readKey = () => {
+    let text = '';
+    while (i < key.length && key[i] !== '.' && key[i] !== '[') {
+      if (key[i] === '\\' && i + 1 < key.length) i++;
+      else if (key[i] === ']') throw new Error(`"${key}" has a stray "]" at position ${i}.`);
+      text += key[i++];
+    }
+    segments.push(text);
+  };
+  if (key[0] !== '[') readKey();
+  while (i < key.length) {
+    if (key[i] === '.') {
+      i++;
+      readKey();
+      continue;
+    }
+    const end = key.indexOf(']', i);
+    const index = end > i ? key.slice(i + 1, end) : '';
+    if (!/^\d+$/.test(index)) throw new Error(`"${key}" has a bad array index at position ${i}.`);
+    segments.push(Number(index));
+    i = end + 1;
+  }
+  return segments;
+}
+
+/** Nested document from an object of dotted keys (as flattenJson writes them). */
+export function unflattenJson(value) {
+  if (!isPlainObject(value)) return value;
+  const keys = Object.keys(value);
+  if (!keys.length) return {};
+  const built = new WeakSet(); // containers made here; values from `value` are never written into
+  const make = (array) => {
+    const c = array ? [] : {};
+    built.add(c);
+    return c;
+  };
+  const isEmptyLeaf = (v) => isContainer(v) && !built.has(v) && !Object.keys(v).length;
+  const root = make(typeof parseFlatKey(keys[0])[0] === 'number');
+  for (const key of keys) {
+    const segments = parseFlatKey(key);
+    let parent = root;
+    segments.forEach((seg, i) => {
+      if (Array.isArray(parent) !== (typeof seg === 'number')) throw new Error(`"${key}" puts ${typeof seg === 'number' ? 'an array item' : 'a key'} where other keys make ${Array.isArray(parent) ? 'an array' : 'an object'}.`);
+      const existing = Object.prototype.hasOwnProperty.call(parent, seg) ? parent[seg] : undefined;
+      if (i === segments.length - 1) {
+        // {"a": {}, "a.b": 1}: the empty leaf gives way to the nested keys
+        if (existing === undefined) setKey(parent, seg, value[key]);
+        else if (!(isContainer(existing) && isEmptyLeaf(value[key]))) throw new Error(`"${key}" is given twice, or both a value and nested keys.`);
+        return;
+      }
+      const wantArray = typeof segments[i + 1] === 'number';
+      if (existing === undefined || isEmptyLeaf(existing)) {
+        const child = make(wantArray);
+        setKey(parent, seg, child);
+        parent = child;
+      } else if (built.has(existing)) {
+        parent = existing;
+      } else {
+        throw new Error(`"${key}" goes inside a key that already holds a value.`);
+      }
+    });
+  }
+  // indices missing from the keys leave holes: close them up
+  const pack = (v) => {
+    if (!built.has(v)) return v;
+    if (Array.isArray(v)) return v.filter((_, i) => i in v).map(pack);
+    for (const k of Object.keys(v)) v[k] = pack(v[k]);
+    return v;
+  };
+  return pack(root);
+}
+
+// -------- Pick / omit --------
+// Paths are segment arrays. On an array, a number (or digits) is an item
+// index and a key applies to every item.
+
+function isIndex(seg) {
+  return Number.isInteger(seg) || /^\d+$/.test(String(seg));
+}
+
+// Paths as a tree: Map(segment -> node), node.end when a path stops there
+function pathTree(paths) {
+  const root = { end: false, next: new Map() };
+  for (const segments of paths) {
+    let node = root;
+    for (const seg of segments) {
+      const key = isIndex(seg) ? Number(seg) : String(seg);
+      if (!node.next.has(key)) node.next.set(key, { end: false, next: new Map() });
+      node = node.next.get(key);
+    }
+    node.end = true;
+  }
+  return root;
+}
+
+function pickNode(value, node) {
+  if (node.end) return value;
+  if (!isContainer(value)) return undefined;
+  if (Array.isArray(value)) {
+    const keyed = [...node.next].filter(([k]) => typeof k === 'string');
+    const out = [];
+    value.forEach((item, i) => {
+      const byIndex = node.next.get(i);
+      if (byIndex?.end) { out.push(item); return; }
+      const sub = { end: false, next: new Map([...(byIndex ? byIndex.next : []), ...keyed]) };
+      if (!sub.next.size) return;
+      const picked = pickNode(item, sub);
+      if (picked !== undefined) out.push(picked);
+    });
+    return out.length ? out : undefined;
+  }
+  const out = {};
+  for (const k of Object.keys(value)) {
+    const child = node.next.get(k);
+    if (!child) continue;
+    const picked = pickNode(value[k], child);
+    if (picked !== undefined) setKey(out, k, picked);
+  }
+  return Object.keys(out).length ? out : undefined;
+}
+
+function omitNode(value, node) {
+  if (!isContainer(value)) return value;
+  if (Array.isArray(value)) {
+    const keyed = [...node.next].filter(([k]) => typeof k === 'string');
+    const out = [];
+    value.forEach((item, i) => {
+      const byIndex = node.next.get(i);
+      if (byIndex?.end) return;
+      const sub = { end: false, next: new Map([...(byIndex ? byIndex.next : []), ...keyed]) };
+      out.push(sub.next.size ? omitNode(item, sub) : item);
+    });
+    return out;
+  }
+  const out = {};
+  for (const k of Object.keys(value)) {
+    const child = node.next.get(k);
+    if (child?.end) continue;
+    setKey(out, k, child ? omitNode(value[k], child) : value[k]);
+  }
+  return out;
+}
+
+/** The parts of `value` at `paths` (segment arrays), in document order; null when none is there. */
+export function pickPaths(value, paths) {
+  return pickNode(value, pathTree(paths)) ?? null;
+}
+
+/** Copy of `value` without the parts at `paths` (segment arrays). */
+export function omitPaths(value, paths) {
+  return omitNode(value, pathTree(paths));
+}
+
+/**
+ * Copy of `value` without null object fields; with `empty`, also without
+ * "", [] and {} ones (containers emptied that way go too). Array items stay.
+ */
+export function removeEmpty(value, empty = false) {
+  const drop = (v) => v === null || (empty && (v === '' || (isContainer(v) && !Object.keys(v).length)));
+  const walk = (v) => {
+    if (!isContainer(v)) return v;
+    if (Array.isArray(v)) return v.map(walk);
+    const out = {};
+    for (const k of Object.keys(v)) {
+      const cleaned = walk(v[k]);
+      if (!drop(cleaned)) setKey(out, k, cleaned);
+    }
+    return out;
+  };
+  return walk(value);
+}
+
+// -------- Chains --------
+
+/** Short text of a step for lists: "Pick paths: id, name". */
+export function describeTransform(step) {
+  const def = TRANSFORMS[step.id];
+  if (!def) return step.id;
+  return def.arg && step.arg ? `${def.label}: ${step.arg}` : def.label;
+}
+
+/**
+ * Run `steps` ([{ id, arg }]) on `value` in order. Returns { value, output }
+ * with output 'indent', 'minify' or 'canonical' (the last output step wins).
+ * Throws an Error naming the step that failed.
+ */
+export function applyTransforms(value, steps) {
+  let current = value;
+  let output = 'indent';
+  steps.forEach((step, i) => {
+    const def = TRANSFORMS[step.id];
+    const where = `Step ${i + 1} (${def?.label ?? step.id})`;
+    if (!def) throw new Error(`${where}: unknown transformation.`);
+    try {
+      if (def.arg === 'paths' && !String(step.arg ?? '').trim()) throw new Error('list the paths, separated by commas.');
+      switch (step.id) {
+        case 'sortKeys': current = sortKeysDeep(current); break;
+        case 'flatten': current = flattenJson(current); break;
+        case 'unflatten': current = unflattenJson(current); break;
+        case 'pick': current = pickPaths(current, parseExtractColumns(step.arg, 'Path').map((c) => c.segments)); break;
+        case 'omit': current = omitPaths(current, parseExtractColumns(step.arg, 'Path').map((c) => c.segments)); break;
+        case 'removeNulls': current = removeEmpty(current); break;
+        case 'removeEmpty': current = removeEmpty(current, true); break;
+        case 'minify': output = 'minify'; break;
+        case 'canonicalize': output = 'canonical'; break;
+      }
+    } catch (e) {
+      throw new Error(`${where}: ${e.message}`);
+    }
+  });
+  return { value: current, output };
+}
+
+/** Text of `value` after `steps`, indented by `indent` unless a step minifies or canonicalizes. */
+export function transformToText(value, steps, indent = 2) {
+  const result = applyTransforms(value, steps);
+  if (result.output === 'canonical') return canonicalJson(result.value);
+  return stringifyLossless(result.value, result.output === 'minify' ? 0 : indent);
+}
+
+export default { TRANSFORMS, canonicalJson, sortKeysDeep, flattenJson, unflattenJson, pickPaths, omitPaths, removeEmpty, describeTransform, applyTransforms, transformToText };
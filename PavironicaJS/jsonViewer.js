@@ -1,22 +1,66 @@
 // JSON Viewer helpers (ES module)
-// - formatJson: pretty-print JSON
+// - formatJson: pretty-print JSON (JSON5/JSONC and NDJSON via opts.syntax,
+//   exact number literals via opts.lossless; see jsonText.js)
 // - renderTree: render interactive collapsible JSON tree
 //   (Alt+click on a node toggle expands/collapses its whole subtree)
+// - windowed mode (renderTree opts.virtual): for large documents only the rows
+//   in view get DOM nodes; the rest come from a flattened row model
+// - revealPath: expand down to a path and return its line, in either mode
+//   (revealExactPath: the line of that very node, also for array items)
+// - setLineDecorator: named per-line class/title hooks (e.g. search hits)
+// - embedded values: strings carrying JSON, Base64 or a JWT get a badge that
+//   expands the decoded content as a read-only subtree (jsonEmbedded.js)
+// - setValueHints: dates, colours, links, sizes and durations shown on hover
+//   or inline next to the values (valueHints.js)
+// - keyboard navigation (ARIA tree): arrows move and expand/collapse, *
+//   expands a subtree, Home/End jump, Enter toggles, F2 edits; in both modes
+// - setTreeEditable / startTreeEdit: in-tree editing, reported as edits for
+//   applyJsonEdit (jsonEdit.js); getExpandedPaths / expandPaths keep the
+//   expansion state across the re-render that follows
+// - createJsonWorker: client for jsonWorker.js (parse/format/search off the
+//   main thread, with progress callbacks and cancellation)
 
-export function formatJson(text, indent = 2) {
+import { countNodes } from './jsonSearch.js';
+import { parseEditedValue } from './jsonEdit.js';
+import { parseJsonLossless, parseJsonText, formatJson5, formatNdjson, stringifyLossless, literalKey } from './jsonText.js';
+import { decodeEmbedded, EMBEDDED_KINDS } from './jsonEmbedded.js';
+import { valueHint, appendValueHint } from './valueHints.js';
+
+/**
+ * Pretty-print `text`. opts.syntax: 'json' (default, strict), 'json5' (also
+ * JSONC; written out as JSON unless opts.keepComments, which only re-indents
+ * and keeps the comments) or 'ndjson' (each line rewritten as compact JSON;
+ * indent does not apply). JSON5 Infinity, -Infinity and NaN have no JSON
+ * spelling and are written as those words, so that output is JSON5 rather
+ * than plain JSON. opts.lossless writes numbers exactly as they appear in
+ * `text` instead of as JavaScript rounds them.
+ */
+export function formatJson(text, indent = 2, opts = {}) {
   const t = (text ?? '').trim();
   if (!t) return '';
-  let obj;
+  const syntax = opts.syntax || 'json';
+  const n = Number.isFinite(indent) ? Math.max(0, Math.floor(indent)) : 2;
+  const label = syntax === 'ndjson' ? 'NDJSON' : syntax === 'json5' ? 'JSON5' : 'JSON';
   try {
-    obj = JSON.parse(t);
+    if (syntax === 'ndjson') return formatNdjson(t, { lossless: opts.lossless });
+    if (syntax === 'json5' && opts.keepComments) return formatJson5(t, n);
+    if (opts.lossless) {
+      const { value, literals } = parseJsonLossless(t, { json5: syntax === 'json5' });
+      return stringifyLossless(value, n, literals);
+    }
+    if (syntax === 'json5') {
+      // the literals hold Infinity and NaN, which JSON.stringify would write as null
+      const { value, literals } = parseJsonText(t, 'json5');
+      return stringifyLossless(value, n, literals);
+    }
+    return JSON.stringify(JSON.parse(t), null, n);
   } catch (e) {
-    throw new Error('Invalid JSON: ' + (e && e.message ? e.message : String(e)));
+    throw new Error(`Invalid ${label}: ` + (e && e.message ? e.message : String(e)));
   }
-  const n = Number.isFinite(indent) ? Math.max(0, Math.floor(indent)) : 2;
-  return JSON.stringify(obj, null, n);
 }
 
-function textFor(value) {
+function textFor(value, literal) {
+  if (literal !== undefined) return literal;
   if (typeof value === 'string') return JSON.stringify(value);
   if (typeof value === 'number') return String(value);
   if (typeof value === 'boolean') return value ? 'true' : 'false';
@@ -44,11 +88,14 @@ function setCollapsed(node, collapsed) {
   if (!node) return;
   if (!collapsed) node._ensureChildren?.();
   if (collapsed) node.classList.add('collapsed'); else node.classList.remove('collapsed');
-  if (node._toggle) node._toggle.textContent = collapsed ? '+' : '-';
+  if (node._toggle) {
+    node._toggle.textContent = collapsed ? '+' : '-';
+    node._toggle.parentElement.setAttribute('aria-expanded', String(!collapsed));
+  }
   if (node._summary) node._summary.style.display = collapsed ? '' : 'none';
 }
 
-function createScalar(value, key, pathSegments) {
+function createScalar(value, key, pathSegments, host) {
   const line = document.createElement('div');
   line.className = 'line';
   // For array scalar items, show the parent container path (requested UX).
@@ -56,6 +103,9 @@ function createScalar(value, key, pathSegments) {
     ? pathSegments.slice(0, -1)
     : pathSegments;
   line.dataset.path = formatPath(pathForLine);
+  line.setAttribute('role', 'treeitem');
+  line._path = pathSegments;
+  line._kind = 'scalar';
   if (key !== undefined) {
     const k = document.createElement('span');
     k.className = 'key';
@@ -69,38 +119,38 @@ function createScalar(value, key, pathSegments) {
   const v = document.createElement('span');
   const t = typeof value;
   v.className = t === 'string' ? 'string' : t === 'number' ? 'number' : t === 'boolean' ? 'boolean' : value === null ? 'null' : '';
-  v.textContent = textFor(value);
+  // host._literals: source text of numbers from a lossless parse (renderTree opts.literals)
+  const literal = t === 'number' && host?._literals?.size ? host._literals.get(literalKey(pathSegments)) : undefined;
+  v.textContent = textFor(value, literal);
   line.appendChild(v);
+  line._value = value;
+  if (host?._valueHints) hintScalar(line, host._valueHints);
+  const embedded = t === 'string' ? decodeEmbedded(value) : null;
+  if (embedded) {
+    const badge = document.createElement('span');
+    badge.className = 'embed-toggle';
+    badge.textContent = EMBEDDED_KINDS[embedded.kind].label;
+    badge.title = `${EMBEDDED_KINDS[embedded.kind].title} — click to expand`;
+    line.appendChild(badge);
+    line._embedded = embedded;
+  }
   return line;
 }
 
-function createNode(value, key, pathSegments = []) {
-  const node = document.createElement('div');
-  node.className = 'node';
-
+// Opening line of an object/array: toggle, key, bracket and collapsed summary
+function createContainerLine(value, key, pathSegments) {
   const isArray = Array.isArray(value);
-  const isObj = value && typeof value === 'object' && !isArray;
-
-  if (!isArray && !isObj) {
-    node.appendChild(createScalar(value, key, pathSegments));
-    node._toggle = null;
-    node._summary = null;
-    node._children = null;
-    node._ensureChildren = null;
-    return node;
-  }
-
-  const open = isArray ? '[' : '{';
-  const close = isArray ? ']' : '}';
-
   const line = document.createElement('div');
   line.className = 'line';
   line.dataset.path = formatPath(pathSegments);
+  line.setAttribute('role', 'treeitem');
+  line.setAttribute('aria-expanded', 'true');
+  line._path = pathSegments;
+  line._kind = isArray ? 'array' : 'object';
   const toggle = document.createElement('span');
   toggle.className = 'toggle';
   toggle.title = 'Collapse/Expand (Alt+click: whole subtree)';
   toggle.textContent = '-';
-  node._toggle = toggle;
   line.appendChild(toggle);
 
   if (key !== undefined) {
@@ -116,7 +166,7 @@ function createNode(value, key, pathSegments = []) {
 
   const bracketOpen = document.createElement('span');
   bracketOpen.className = 'punct';
-  bracketOpen.textContent = open;
+  bracketOpen.textContent = isArray ? '[' : '{';
   line.appendChild(bracketOpen);
 
   const summary = document.createElement('span');
@@ -126,13 +176,90 @@ function createNode(value, key, pathSegments = []) {
   summary.textContent = isArray
     ? `(${count} item${count === 1 ? '' : 's'})`
     : `(${count} key${count === 1 ? '' : 's'})`;
-  node._summary = summary;
   line.appendChild(summary);
+  return line;
+}
+
+// -------- Line decorators --------
+
+// Re-apply the container's decorators to one line, undoing the previous ones
+function decorateLine(container, line) {
+  if (line._decor) {
+    if (line._decor.classes.length) line.classList.remove(...line._decor.classes);
+    if (line._decor.title) line.removeAttribute('title');
+    line._decor = null;
+  }
+  const decorators = container?._decorators;
+  if (!decorators || !decorators.size || !line._path) return;
+  const classes = [];
+  const titles = [];
+  decorators.forEach((fn) => {
+    const res = fn(line._path, line);
+    if (!res) return;
+    const { className = '', title = '' } = typeof res === 'string' ? { className: res } : res;
+    classes.push(...className.split(/\s+/).filter(Boolean));
+    if (title) titles.push(title);
+  });
+  if (!classes.length && !titles.length) return;
+  if (classes.length) line.classList.add(...classes);
+  if (titles.length) line.title = titles.join('\n');
+  line._decor = { classes, title: titles.length > 0 };
+}
 
+// -------- Value hints --------
+
+// Key a value is read under: its property name, or the array's for an item
+function hintKey(path) {
+  for (let i = path.length - 1; i >= 0; i--) {
+    if (typeof path[i] === 'string') return path[i];
+  }
+  return null;
+}
+
+// (Re)apply the hint of a scalar line; mode null only removes it
+function hintScalar(line, mode) {
+  const v = line.querySelector(':scope > .string, :scope > .number');
+  if (!v) return;
+  line.querySelectorAll(':scope > .value-hint').forEach((el) => el.remove());
+  if (v.classList.contains('has-hint')) {
+    v.classList.remove('has-hint');
+    v.removeAttribute('title');
+  }
+  const hint = mode ? valueHint(line._value, hintKey(line._path)) : null;
+  if (hint) appendValueHint(v, hint, mode);
+}
+
+function createNode(value, key, pathSegments = [], host = null) {
+  const node = document.createElement('div');
+  node.className = 'node';
+
+  const isArray = Array.isArray(value);
+  const isObj = value && typeof value === 'object' && !isArray;
+
+  if (!isArray && !isObj) {
+    const scalarLine = createScalar(value, key, pathSegments, host);
+    decorateLine(host, scalarLine);
+    node.appendChild(scalarLine);
+    node._toggle = null;
+    node._summary = null;
+    node._children = null;
+    node._ensureChildren = null;
+    node._openEmbedded = scalarLine._embedded ? embeddedOpener(node, scalarLine, pathSegments, host) : null;
+    return node;
+  }
+
+  const close = isArray ? ']' : '}';
+
+  const line = createContainerLine(value, key, pathSegments);
+  decorateLine(host, line);
+  const toggle = line.querySelector('.toggle');
+  node._toggle = toggle;
+  node._summary = line.querySelector('.summary');
   node.appendChild(line);
 
   const children = document.createElement('div');
   children.className = 'children';
+  children.setAttribute('role', 'group');
   node._children = children;
   node.appendChild(children);
 
@@ -143,7 +270,7 @@ function createNode(value, key, pathSegments = []) {
     const frag = document.createDocumentFragment();
     if (isArray) {
       value.forEach((val, idx) => {
-        const child = createNode(val, undefined, pathSegments.concat(idx));
+        const child = createNode(val, undefined, pathSegments.concat(idx), host);
         setCollapsed(child, true);
         const firstLine = child.querySelector('.line');
         if (firstLine) {
@@ -162,7 +289,7 @@ function createNode(value, key, pathSegments = []) {
     } else {
       const keys = Object.keys(value);
       keys.forEach((k, i) => {
-        const child = createNode(value[k], k, pathSegments.concat(k));
+        const child = createNode(value[k], k, pathSegments.concat(k), host);
         setCollapsed(child, true);
         frag.appendChild(child);
         if (i < keys.length - 1) appendComma(child);
@@ -170,6 +297,7 @@ function createNode(value, key, pathSegments = []) {
     }
     const closing = document.createElement('div');
     closing.className = 'line';
+    closing.setAttribute('aria-hidden', 'true');
     const bracketClose = document.createElement('span');
     bracketClose.className = 'punct';
     bracketClose.textContent = close;
@@ -193,10 +321,432 @@ function createNode(value, key, pathSegments = []) {
   return node;
 }
 
-export function renderTree(container, obj) {
+// Show/hide the decoded content of a string line in a box under it (built on
+// first use; the decoded root keeps the string's path). Returns open(show),
+// which gives back the decoded root node.
+function embeddedOpener(node, line, pathSegments, host) {
+  let box = null;
+  const open = (show = true) => {
+    if (!box) {
+      box = document.createElement('div');
+      box.className = 'embedded';
+      box.setAttribute('role', 'group');
+      const decodedRoot = createNode(line._embedded.value, undefined, pathSegments, host);
+      setCollapsed(decodedRoot, false);
+      box.appendChild(decodedRoot);
+      node.appendChild(box);
+    }
+    box.hidden = !show;
+    line.classList.toggle('embed-open', show);
+    return box.firstChild;
+  };
+  line.querySelector('.embed-toggle').addEventListener('click', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    open(!box || box.hidden);
+  });
+  return open;
+}
+
+// -------- Windowed (virtual) tree --------
+
+const VIRTUAL_NODE_THRESHOLD = 20000; // 'auto' switches to windowed mode above this many nodes
+const VIRTUAL_INDENT = 27;            // matches .children margin (18) + border (1) + padding (8)
+const VIRTUAL_OVERSCAN = 20;          // rows rendered above/below the viewport
+
+function isContainer(value) {
+  return value !== null && typeof value === 'object';
+}
+
+function findScrollParent(el) {
+  let p = el.parentElement;
+  while (p) {
+    const oy = getComputedStyle(p).overflowY;
+    if (oy === 'auto' || oy === 'scroll') return p;
+    p = p.parentElement;
+  }
+  return null; // the window scrolls
+}
+
+// Row model: one row per visible line. Container rows ('open') are followed by
+// their children and a 'close' row while expanded. Rows are identified across
+// rebuilds by (owner container value, key/index).
+function rowSegments(row) {
+  const out = [];
+  for (let r = row; r; r = r.parent) {
+    if (r.seg !== undefined) out.push(r.seg);
+  }
+  return out.reverse();
+}
+
+function createVirtualTree(container, obj) {
+  let expanded = new WeakSet([obj].filter(isContainer));
+  // literalKey(path of a string row) -> { value } of its decoded content while expanded
+  const embedOpen = new Map();
+  let rows = [];
+  let rowHeight = 18;
+  let selected = null; // { owner, seg }
+  let frame = 0;
+  const scrollParent = findScrollParent(container);
+  const scrollTarget = scrollParent || window;
+
+  const spacer = document.createElement('div');
+  spacer.className = 'vt-spacer';
+  spacer.style.position = 'relative';
+  container.appendChild(spacer);
+
+  function rebuild() {
+    const out = [];
+    const emit = (value, seg, owner, parent, depth, last, embedded = false) => {
+      const isArr = Array.isArray(value);
+      if (!isContainer(value)) {
+        const row = { type: 'scalar', value, seg, owner, parent, depth, last, isItem: Array.isArray(owner), embedded };
+        out.push(row);
+        // an expanded embedded value: its decoded root row has no segment of its own
+        const entry = embedOpen.size && typeof value === 'string' ? embedOpen.get(literalKey(rowSegments(row))) : null;
+        if (entry) emit(entry.value, undefined, entry, row, depth + 1, true, true);
+        return;
+      }
+      const open = { type: 'open', value, seg, owner, parent, depth, last, isItem: Array.isArray(owner), embedded };
+      out.push(open);
+      if (!expanded.has(value)) return;
+      if (isArr) {
+        for (let i = 0; i < value.length; i++) emit(value[i], i, value, open, depth + 1, i === value.length - 1, embedded);
+      } else {
+        const keys = Object.keys(value);
+        keys.forEach((k, i) => emit(value[k], k, value, open, depth + 1, i === keys.length - 1, embedded));
+      }
+      out.push({ type: 'close', value, seg: undefined, owner: value, parent: open, depth, last, isItem: false, embedded });
+    };
+    emit(obj, undefined, null, null, 0, true);
+    rows = out;
+    spacer.style.height = `${rows.length * rowHeight}px`;
+  }
+
+  function isSelected(row) {
+    return !!selected && row.type !== 'close' && row.owner === selected.owner && row.seg === selected.seg;
+  }
+
+  function buildRowLine(row) {
+    let line;
+    if (row.type === 'close') {
+      line = document.createElement('div');
+      line.className = 'line';
+      line.setAttribute('aria-hidden', 'true');
+      const bracketClose = document.createElement('span');
+      bracketClose.className = 'punct';
+      bracketClose.textContent = Array.isArray(row.value) ? ']' : '}';
+      line.appendChild(bracketClose);
+    } else {
+      const segments = rowSegments(row);
+      const key = row.isItem ? undefined : row.seg;
+      if (row.type === 'scalar') {
+        line = createScalar(row.value, key, segments, container);
+      } else {
+        line = createContainerLine(row.value, key, segments);
+        const isOpen = expanded.has(row.value);
+        line.querySelector('.toggle').textContent = isOpen ? '-' : '+';
+        line.querySelector('.summary').style.display = isOpen ? 'none' : '';
+        line.setAttribute('aria-expanded', String(isOpen));
+      }
+      line.setAttribute('aria-level', String(row.depth + 1));
+      if (row.isItem) {
+        const idxSpan = document.createElement('span');
+        idxSpan.className = 'key';
+        idxSpan.textContent = `[${row.seg}]`;
+        const colon = document.createElement('span');
+        colon.className = 'punct';
+        colon.textContent = ': ';
+        line.insertBefore(idxSpan, line.firstChild);
+        line.insertBefore(colon, idxSpan.nextSibling);
+      }
+      if (isSelected(row)) {
+        line.classList.add('path-selected');
+        setCursor(container, line);
+      }
+      if (line._embedded && embedOpen.has(literalKey(segments))) line.classList.add('embed-open');
+      decorateLine(container, line);
+    }
+    if (row.embedded) line.classList.add('embedded');
+    // a collapsed container carries its trailing comma on the opening line
+    const commaHere = row.type === 'close' || row.type === 'scalar' || !expanded.has(row.value);
+    if (!row.last && commaHere) {
+      const punct = document.createElement('span');
+      punct.className = 'punct';
+      punct.textContent = ',';
+      line.appendChild(punct);
+    }
+    line._row = row;
+    return line;
+  }
+
+  function viewport() {
+    const spRect = spacer.getBoundingClientRect();
+    if (scrollParent) {
+      const vpRect = scrollParent.getBoundingClientRect();
+      return { offset: vpRect.top - spRect.top, height: scrollParent.clientHeight };
+    }
+    return { offset: -spRect.top, height: window.innerHeight };
+  }
+
+  function render() {
+    frame = 0;
+    // the container was re-rendered or removed: stop listening
+    if (!spacer.isConnected || spacer.parentNode !== container) { destroy(); return; }
+    const { offset, height } = viewport();
+    const first = Math.max(0, Math.floor(offset / rowHeight) - VIRTUAL_OVERSCAN);
+    const last = Math.min(rows.length, Math.ceil((offset + height) / rowHeight) + VIRTUAL_OVERSCAN);
+    const frag = document.createDocumentFragment();
+    for (let i = first; i < last; i++) {
+      const line = buildRowLine(rows[i]);
+      line.style.top = `${i * rowHeight}px`;
+      line.style.paddingLeft = `${rows[i].depth * VIRTUAL_INDENT}px`;
+      line.style.setProperty('--depth', rows[i].depth);
+      frag.appendChild(line);
+    }
+    spacer.textContent = '';
+    spacer.appendChild(frag);
+    // Row height follows the tree font size: re-measure and re-layout if it changed
+    const measured = spacer.firstChild ? spacer.firstChild.offsetHeight : 0;
+    if (measured > 0 && measured !== rowHeight) {
+      rowHeight = measured;
+      spacer.style.height = `${rows.length * rowHeight}px`;
+      render();
+    }
+  }
+
+  function schedule() {
+    if (!frame) frame = requestAnimationFrame(render);
+  }
+
+  function setExpandedDeep(value, open) {
+    const stack = [value];
+    while (stack.length) {
+      const v = stack.pop();
+      if (!isContainer(v)) continue;
+      if (open) expanded.add(v); else expanded.delete(v);
+      if (Array.isArray(v)) { for (let i = 0; i < v.length; i++) stack.push(v[i]); }
+      else { for (const k of Object.keys(v)) stack.push(v[k]); }
+    }
+  }
+
+  // Expand the decoded content of the string at `segments`; a copy, so equal
+  // strings elsewhere get their own rows and expansion state
+  function openEmbedded(segments, text) {
+    const key = literalKey(segments);
+    if (!embedOpen.has(key)) {
+      const decoded = decodeEmbedded(text);
+      if (!decoded) return null;
+      const entry = { value: structuredClone(decoded.value) };
+      if (isContainer(entry.value)) expanded.add(entry.value);
+      embedOpen.set(key, entry);
+    }
+    return embedOpen.get(key);
+  }
+
+  function onClick(e) {
+    const line = e.target.closest('.line');
+    if (!line || !line._row || !container.contains(line)) return;
+    const row = line._row;
+    if (e.target.classList.contains('embed-toggle')) {
+      e.preventDefault();
+      e.stopPropagation();
+      const segments = rowSegments(row);
+      if (embedOpen.has(literalKey(segments))) embedOpen.delete(literalKey(segments));
+      else openEmbedded(segments, row.value);
+      rebuild();
+      render();
+      return;
+    }
+    if (e.target.classList.contains('toggle')) {
+      e.preventDefault();
+      e.stopPropagation();
+      const open = !expanded.has(row.value);
+      if (e.altKey) setExpandedDeep(row.value, open);
+      else if (open) expanded.add(row.value); else expanded.delete(row.value);
+      rebuild();
+      render();
+      return;
+    }
+    if (row.type !== 'close') selected = { owner: row.owner, seg: row.seg };
+  }
+
+  function onScroll() { schedule(); }
+
+  function destroy() {
+    scrollTarget.removeEventListener('scroll', onScroll);
+    window.removeEventListener('resize', onScroll);
+    if (frame) cancelAnimationFrame(frame);
+    frame = 0;
+  }
+
+  // nearest: scroll only as far as needed to show the row (keyboard steps);
+  // otherwise the row is centred
+  function scrollRowIntoView(index, nearest = false) {
+    const top = index * rowHeight;
+    if (nearest) {
+      const { offset, height } = viewport();
+      const delta = top < offset ? top - offset : top + rowHeight > offset + height ? top + rowHeight - offset - height : 0;
+      if (!delta) return;
+      if (scrollParent) scrollParent.scrollTop += delta;
+      else window.scrollTo(window.scrollX, window.scrollY + delta);
+      return;
+    }
+    if (scrollParent) {
+      const spRect = spacer.getBoundingClientRect();
+      const vpRect = scrollParent.getBoundingClientRect();
+      const spacerTop = spRect.top - vpRect.top + scrollParent.scrollTop;
+      scrollParent.scrollTop = Math.max(0, spacerTop + top - scrollParent.clientHeight / 2);
+    } else {
+      const spacerTop = spacer.getBoundingClientRect().top + window.scrollY;
+      window.scrollTo(window.scrollX, Math.max(0, spacerTop + top - window.innerHeight / 2));
+    }
+  }
+
+  // Expand every ancestor along the path (not the target itself) and return
+  // the rendered line for it. Array scalar items resolve to their array's line,
+  // mirroring their data-path, unless `exact` is set.
+  function reveal(pathSegments, exact = false) {
+    const segs = Array.isArray(pathSegments) ? pathSegments : [];
+    let current = obj;
+    let target = { owner: null, seg: undefined };
+    let parentTarget = null;
+    const walked = [];
+    for (const rawSeg of segs) {
+      // a path that goes on past a string continues in its decoded content
+      const entry = typeof current === 'string' ? openEmbedded(walked, current) : null;
+      if (entry) {
+        parentTarget = target;
+        target = { owner: entry, seg: undefined };
+        current = entry.value;
+      }
+      if (!isContainer(current)) break;
+      expanded.add(current);
+      const seg = Array.isArray(current) ? Number(rawSeg) : String(rawSeg);
+      const exists = Array.isArray(current)
+        ? Number.isInteger(seg) && seg >= 0 && seg < current.length
+        : Object.prototype.hasOwnProperty.call(current, seg);
+      if (!exists) break;
+      parentTarget = target;
+      target = { owner: current, seg };
+      current = current[seg];
+      walked.push(seg);
+    }
+    if (!exact && parentTarget && Array.isArray(target.owner) && !isContainer(current)) target = parentTarget;
+    rebuild();
+    const index = rows.findIndex((r) => r.type !== 'close' && r.owner === target.owner && r.seg === target.seg);
+    if (index < 0) { render(); return null; }
+    selected = target;
+    scrollRowIntoView(index);
+    render();
+    return Array.from(spacer.children).find((l) => l._row === rows[index]) || null;
+  }
+
+  // One keyboard action (see TREE_KEYS) from the selected row; returns the
+  // rendered line of the row selected afterwards
+  function keyStep(action) {
+    const step = (from, dir) => {
+      for (let i = from + dir; i >= 0 && i < rows.length; i += dir) if (rows[i].type !== 'close') return i;
+      return from;
+    };
+    let index = rows.findIndex(isSelected);
+    const row = rows[index];
+    const embedKey = row?.type === 'scalar' && typeof row.value === 'string' ? literalKey(rowSegments(row)) : null;
+    if (!row) index = action === 'last' ? step(rows.length, -1) : 0;
+    else if (action === 'next') index = step(index, 1);
+    else if (action === 'prev') index = step(index, -1);
+    else if (action === 'first') index = 0;
+    else if (action === 'last') index = step(rows.length, -1);
+    else if (row.type === 'open') {
+      const open = expanded.has(row.value);
+      if (action === 'expand' && open) index = step(index, 1);
+      else if (action === 'collapse' && !open) index = row.parent ? rows.indexOf(row.parent) : index;
+      else if (action === 'expandSubtree') setExpandedDeep(row.value, true);
+      else if (open) expanded.delete(row.value);
+      else expanded.add(row.value);
+    } else if (embedKey) {
+      const open = embedOpen.has(embedKey);
+      if (action === 'expand' && open) index = step(index, 1);
+      else if (action === 'collapse' && !open) index = row.parent ? rows.indexOf(row.parent) : index;
+      else if (open && action !== 'expandSubtree') embedOpen.delete(embedKey);
+      else if (!open) openEmbedded(rowSegments(row), row.value);
+    } else if (action === 'collapse' && row.parent) {
+      index = rows.indexOf(row.parent);
+    }
+    // expanding or collapsing the selected row leaves the rows above it in place
+    rebuild();
+    const target = rows[index];
+    if (!target) { render(); return null; }
+    selected = { owner: target.owner, seg: target.seg };
+    scrollRowIntoView(index, true);
+    render();
+    return Array.from(spacer.children).find((l) => l._row === target) || null;
+  }
+
+  function expandedPaths() {
+    return rows.filter((r) => r.type === 'open' && expanded.has(r.value)).map(rowSegments);
+  }
+
+  function expandPaths(paths) {
+    for (const segs of paths) {
+      let current = obj;
+      if (isContainer(current)) expanded.add(current);
+      for (const seg of segs) {
+        if (!isContainer(current) || !Object.prototype.hasOwnProperty.call(current, seg)) break;
+        current = current[seg];
+        if (isContainer(current)) expanded.add(current);
+      }
+    }
+    rebuild();
+    render();
+  }
+
+  container.addEventListener('click', onClick);
+  scrollTarget.addEventListener('scroll', onScroll, { passive: true });
+  window.addEventListener('resize', onScroll);
+
+  rebuild();
+  render();
+
+  return {
+    expandAll() { setExpandedDeep(obj, true); rebuild(); render(); },
+    collapseAll() { expanded = new WeakSet(); rebuild(); render(); },
+    reveal,
+    keyStep,
+    expandedPaths,
+    expandPaths,
+    refresh() { render(); },
+    destroy
+  };
+}
+
+/**
+ * Render `obj` into `container`.
+ * opts.virtual: false (default) builds real DOM nodes lazily per expanded node;
+ * true renders a windowed tree; 'auto' picks windowed mode for large documents.
+ * opts.literals: the literals map of a lossless parse (jsonText.js), so
+ * numbers show as written.
+ */
+export function renderTree(container, obj, opts = {}) {
   if (!container) return;
+  container._literals = opts.literals ?? null;
+  container._virtual?.destroy();
+  container._virtual = null;
+  setCursor(container, null);
   container.innerHTML = '';
-  container.appendChild(createNode(obj, undefined, []));
+  container.classList.remove('tree-virtual');
+  if (!container._keyHandlers) {
+    attachKeyHandlers(container);
+    container._keyHandlers = true;
+  }
+  const mode = opts.virtual ?? false;
+  const useVirtual = mode === true || (mode === 'auto' && countNodes(obj, VIRTUAL_NODE_THRESHOLD) > VIRTUAL_NODE_THRESHOLD);
+  if (useVirtual) {
+    container.classList.add('tree-virtual');
+    container._virtual = createVirtualTree(container, obj);
+    return;
+  }
+  container.appendChild(createNode(obj, undefined, [], container));
 }
 
 function expandNodeRecursive(node) {
@@ -209,6 +759,7 @@ function expandNodeRecursive(node) {
 
 export function expandAll(container) {
   if (!container) return;
+  if (container._virtual) { container._virtual.expandAll(); return; }
   const root = container.querySelector('.node');
   if (root) expandNodeRecursive(root);
 }
@@ -223,8 +774,467 @@ function collapseNodeRecursive(node) {
 
 export function collapseAll(container) {
   if (!container) return;
+  if (container._virtual) { container._virtual.collapseAll(); return; }
   const root = container.querySelector('.node');
   if (root) collapseNodeRecursive(root);
 }
 
-export default { formatJson, renderTree, expandAll, collapseAll };
+/**
+ * Expand the ancestors of `pathSegments` and return the first line whose
+ * data-path matches it (null when not found). In windowed mode the row is
+ * scrolled into view and rendered first.
+ */
+export function revealPath(container, pathSegments) {
+  if (!container) return null;
+  if (container._virtual) return container._virtual.reveal(pathSegments);
+  const root = container.querySelector('.node');
+  if (!root) return null;
+
+  let current = root;
+  setCollapsed(current, false);
+  const walk = [];
+  for (const segment of pathSegments) {
+    walk.push(segment);
+    setCollapsed(current, false);
+    // past a string: continue in its decoded content (same path as the string)
+    if (!current._children && current._openEmbedded) {
+      current = current._openEmbedded(true);
+      setCollapsed(current, false);
+    }
+    if (!current._children) break;
+    const wantedPath = formatPath(walk);
+    // by _path: scalar array items carry their array's data-path
+    const next = Array.from(current._children.querySelectorAll(':scope > .node')).find((n) => {
+      const line = n.querySelector(':scope > .line');
+      return line && formatPath(line._path) === wantedPath;
+    });
+    if (!next) break;
+    current = next;
+  }
+
+  const wantedPath = formatPath(pathSegments);
+  for (const line of container.querySelectorAll('.line')) {
+    if (line.dataset.path === wantedPath) return line;
+  }
+  return null;
+}
+
+/**
+ * Like revealPath, but a scalar array item resolves to its own line instead
+ * of its array's (null when the path is not in the tree).
+ */
+export function revealExactPath(container, pathSegments) {
+  if (!container) return null;
+  if (container._virtual) return container._virtual.reveal(pathSegments, true);
+  revealPath(container, pathSegments);
+  return Array.from(container.querySelectorAll('.line')).find((l) => samePath(l._path, pathSegments)) ?? null;
+}
+
+/** Paths of the expanded containers whose ancestors are expanded too. */
+export function getExpandedPaths(container) {
+  if (!container) return [];
+  if (container._virtual) return container._virtual.expandedPaths();
+  return Array.from(container.querySelectorAll('.node:not(.collapsed) > .line'))
+    .filter((l) => l._path && l._kind !== 'scalar' && !l.parentElement.parentElement?.closest('.node.collapsed'))
+    .map((l) => l._path);
+}
+
+/** Expand the containers at `paths` (and their ancestors); unknown paths are skipped. */
+export function expandPaths(container, paths) {
+  if (!container || !paths?.length) return;
+  if (container._virtual) { container._virtual.expandPaths(paths); return; }
+  paths.slice().sort((a, b) => a.length - b.length).forEach((segs) => {
+    const line = revealPath(container, segs);
+    if (line && line._kind !== 'scalar' && samePath(line._path, segs)) setCollapsed(line.parentElement, false);
+  });
+}
+
+/**
+ * Register a named line decorator on a tree (fn = null removes it).
+ * fn(pathSegments, line) returns class names, { className, title } or null.
+ * Applied to the lines already rendered and to every line rendered later
+ * (lazily built children, windowed rows); survives renderTree().
+ */
+export function setLineDecorator(container, name, fn) {
+  if (!container) return;
+  if (!container._decorators) container._decorators = new Map();
+  if (fn) container._decorators.set(name, fn); else container._decorators.delete(name);
+  if (container._virtual) { container._virtual.refresh(); return; }
+  container.querySelectorAll('.line').forEach((line) => decorateLine(container, line));
+}
+
+/**
+ * Value hints on the tree's strings and numbers: null (off), 'hover' (a
+ * tooltip, colour swatches and link icons) or 'inline' (dates, sizes and
+ * durations also written after the value). Survives renderTree().
+ */
+export function setValueHints(container, mode) {
+  if (!container) return;
+  container._valueHints = mode || null;
+  if (container._virtual) { container._virtual.refresh(); return; }
+  container.querySelectorAll('.line').forEach((line) => {
+    if (line._kind === 'scalar') hintScalar(line, container._valueHints);
+  });
+}
+
+// -------- Editing --------
+// The tree never changes itself: edits go to onEdit(change) in the format of
+// applyJsonEdit (jsonEdit.js) and the caller re-renders the new document.
+
+function samePath(a, b) {
+  return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((s, i) => s === b[i]);
+}
+
+function isItemLine(line) {
+  const path = line?._path;
+  return !!path && path.length > 0 && typeof path[path.length - 1] === 'number';
+}
+
+function valueSpan(line) {
+  return line.querySelector(':scope > .string, :scope > .number, :scope > .boolean, :scope > .null');
+}
+
+function keySpan(line) {
+  const path = line._path;
+  if (!path?.length || typeof path[path.length - 1] !== 'string') return null;
+  return line.querySelector(':scope > .key');
+}
+
+// Swap `span` for a text field; Enter/blur commits, Escape cancels
+function startInlineEdit(span, initial, commit) {
+  const field = document.createElement('input');
+  field.type = 'text';
+  field.className = 'tree-edit-input';
+  field.value = initial;
+  field.spellcheck = false;
+  field.size = Math.max(6, Math.min(60, initial.length + 2));
+  span.replaceWith(field);
+  field.focus();
+  field.select();
+  let done = false;
+  const finish = (save) => {
+    if (done) return;
+    done = true;
+    if (save && field.value !== initial) commit(field.value);
+    if (field.isConnected) field.replaceWith(span);
+  };
+  field.addEventListener('keydown', (e) => {
+    e.stopPropagation();
+    if (e.key !== 'Enter' && e.key !== 'Escape') return;
+    e.preventDefault();
+    // back to the tree, so keyboard navigation goes on from the edited line
+    const tree = field.closest('[role="tree"]');
+    finish(e.key === 'Enter');
+    tree?.focus();
+  });
+  field.addEventListener('blur', () => finish(true));
+  field.addEventListener('click', (e) => e.stopPropagation());
+  field.addEventListener('dblclick', (e) => e.stopPropagation());
+}
+
+function editLine(container, line, part) {
+  const onEdit = container._onEdit;
+  // decoded content of a string value is read-only
+  if (!onEdit || !line?._path || line.closest('.embedded')) return false;
+  const path = line._path;
+  if (part === 'key') {
+    const span = keySpan(line);
+    if (!span) return false;
+    startInlineEdit(span, String(path[path.length - 1]), (text) => onEdit({ op: 'rename', path, key: text }));
+    return true;
+  }
+  const span = valueSpan(line);
+  if (!span) return false;
+  startInlineEdit(span, span.textContent, (text) => onEdit({ op: 'set', path, value: parseEditedValue(text), text }));
+  return true;
+}
+
+function buildLineActions(line) {
+  const actions = document.createElement('span');
+  actions.className = 'tree-actions';
+  const add = (action, label, title) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'tree-action';
+    btn.dataset.action = action;
+    btn.textContent = label;
+    btn.title = title;
+    actions.appendChild(btn);
+  };
+  if (line._kind === 'object') add('add', '+', 'Add a property');
+  else if (line._kind === 'array') add('add', '+', 'Append an item');
+  else add('edit', '✎', 'Edit the value (or double-click it)');
+  if (line._path.length) add('delete', '×', 'Delete');
+  return actions;
+}
+
+function attachEditHandlers(container) {
+  let drag = null;      // { parent, from } of the array item being dragged
+  let dropLine = null;
+  const clearDrop = () => {
+    dropLine?.classList.remove('drop-before', 'drop-after');
+    dropLine = null;
+  };
+  const isDropTarget = (line) => !!drag && isItemLine(line) && samePath(line._path.slice(0, -1), drag.parent);
+
+  // Action buttons and drag handles are added on first hover
+  container.addEventListener('mouseover', (e) => {
+    if (!container._onEdit) return;
+    const line = e.target.closest('.line');
+    if (!line || !line._path || line._actions || !container.contains(line) || line.closest('.embedded')) return;
+    line._actions = buildLineActions(line);
+    line.appendChild(line._actions);
+    if (isItemLine(line)) line.draggable = true;
+  });
+
+  container.addEventListener('dblclick', (e) => {
+    if (!container._onEdit || e.target.classList.contains('toggle')) return;
+    const line = e.target.closest('.line');
+    if (!line || !container.contains(line)) return;
+    const part = e.target.classList.contains('key') ? 'key' : 'value';
+    if (editLine(container, line, part)) {
+      e.preventDefault();
+      window.getSelection?.()?.removeAllRanges();
+    }
+  });
+
+  container.addEventListener('click', (e) => {
+    const btn = e.target.closest('.tree-action');
+    if (!btn || !container._onEdit) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const line = btn.closest('.line');
+    const action = btn.dataset.action;
+    if (action === 'edit') editLine(container, line, 'value');
+    else if (action === 'delete') container._onEdit({ op: 'delete', path: line._path });
+    else if (action === 'add') container._onEdit({ op: 'add', path: line._path, value: null });
+  });
+
+  container.addEventListener('dragstart', (e) => {
+    const line = e.target.closest?.('.line');
+    if (!container._onEdit || !isItemLine(line)) return;
+    drag = { parent: line._path.slice(0, -1), from: line._path[line._path.length - 1] };
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', String(drag.from));
+  });
+
+  container.addEventListener('dragover', (e) => {
+    const line = e.target.closest?.('.line');
+    if (!isDropTarget(line)) { clearDrop(); return; }
+    e.preventDefault();
+    e.stopPropagation();
+    e.dataTransfer.dropEffect = 'move';
+    const rect = line.getBoundingClientRect();
+    const after = e.clientY > rect.top + rect.height / 2;
+    if (dropLine !== line) clearDrop();
+    dropLine = line;
+    line.classList.toggle('drop-after', after);
+    line.classList.toggle('drop-before', !after);
+  });
+
+  container.addEventListener('drop', (e) => {
+    const line = e.target.closest?.('.line');
+    if (!isDropTarget(line)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const target = line._path[line._path.length - 1];
+    let to = line.classList.contains('drop-after') ? target + 1 : target;
+    const { parent, from } = drag;
+    if (from < to) to--;
+    clearDrop();
+    drag = null;
+    if (to !== from) container._onEdit?.({ op: 'move', path: parent, from, to });
+  });
+
+  container.addEventListener('dragend', () => { clearDrop(); drag = null; });
+}
+
+/**
+ * Turn in-tree editing on (onEdit = function) or off (null). Double-click a
+ * value or key to edit it, hover a line for add/delete buttons, drag array
+ * items to reorder them. Each edit calls onEdit({ op, path, ... }) — see
+ * applyJsonEdit; 'set' also carries the typed `text` — and leaves
+ * re-rendering to the caller. Survives renderTree().
+ */
+export function setTreeEditable(container, onEdit) {
+  if (!container) return;
+  container._onEdit = onEdit || null;
+  container.classList.toggle('tree-editable', !!onEdit);
+  if (onEdit && !container._editHandlers) {
+    attachEditHandlers(container);
+    container._editHandlers = true;
+  }
+}
+
+/** Reveal the line at `pathSegments` and open its key or value editor. */
+export function startTreeEdit(container, pathSegments, part = 'value') {
+  if (!container?._onEdit) return false;
+  const line = revealExactPath(container, pathSegments);
+  if (!line) return false;
+  line.scrollIntoView?.({ block: 'nearest' });
+  return editLine(container, line, part);
+}
+
+/** Re-layout a windowed tree (e.g. after a font size change); no-op otherwise. */
+export function refreshTree(container) {
+  container?._virtual?.refresh();
+}
+
+// -------- Keyboard navigation --------
+// The tree container takes the focus (role="tree"); the cursor is the selected
+// line, announced through aria-activedescendant. A step clicks the new line,
+// so the page selects it as it would for the mouse.
+
+const TREE_KEYS = {
+  ArrowDown: 'next', ArrowUp: 'prev', ArrowRight: 'expand', ArrowLeft: 'collapse',
+  Home: 'first', End: 'last', '*': 'expandSubtree', Enter: 'toggle'
+};
+let lineIds = 0;
+
+function setCursor(container, line) {
+  if (container._cursor && container._cursor !== line) container._cursor.removeAttribute('aria-selected');
+  container._cursor = line;
+  if (!line) { container.removeAttribute('aria-activedescendant'); return; }
+  if (!line.id) line.id = `tree-line-${++lineIds}`;
+  line.setAttribute('aria-selected', 'true');
+  container.setAttribute('aria-activedescendant', line.id);
+}
+
+// Lines that can take the cursor: not closing brackets, not inside a collapsed
+// node or a closed embedded box
+function navigableLines(container) {
+  return Array.from(container.querySelectorAll('.line'))
+    .filter((l) => l._path && !l.closest('.collapsed > .children, .embedded[hidden]'));
+}
+
+function parentLine(line) {
+  return line.parentElement.parentElement?.closest('.node')?.querySelector(':scope > .line') ?? null;
+}
+
+function domKeyStep(container, action) {
+  const lines = navigableLines(container);
+  // the page may have selected a line itself (a search hit, a bookmark…)
+  const index = lines.indexOf(lines.find((l) => l.classList.contains('path-selected')) ?? container._cursor);
+  if (index < 0) return (action === 'last' ? lines[lines.length - 1] : lines[0]) ?? null;
+  const line = lines[index];
+  const node = line.parentElement;
+  if (action === 'next') return lines[Math.min(index + 1, lines.length - 1)];
+  if (action === 'prev') return lines[Math.max(index - 1, 0)];
+  if (action === 'first') return lines[0];
+  if (action === 'last') return lines[lines.length - 1];
+  const isOpen = node._children ? !node.classList.contains('collapsed') : line.classList.contains('embed-open');
+  if (!node._children && !node._openEmbedded) return action === 'collapse' ? parentLine(line) ?? line : line;
+  if (action === 'expand' && isOpen) return navigableLines(container)[index + 1] ?? line;
+  if (action === 'collapse' && !isOpen) return parentLine(line) ?? line;
+  if (action === 'expandSubtree') {
+    if (node._children) expandNodeRecursive(node); else node._openEmbedded(true);
+  } else if (node._children) {
+    setCollapsed(node, isOpen);
+  } else {
+    node._openEmbedded(!isOpen);
+  }
+  return line;
+}
+
+function attachKeyHandlers(container) {
+  container.tabIndex = 0;
+  container.setAttribute('role', 'tree');
+  container.addEventListener('keydown', (e) => {
+    // keys typed into an inline editor belong to it
+    if (e.target !== container || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.key === 'F2' && container._cursor && container._onEdit) {
+      e.preventDefault();
+      startTreeEdit(container, container._cursor._path);
+      return;
+    }
+    const action = TREE_KEYS[e.key];
+    if (!action) return;
+    e.preventDefault();
+    const line = container._virtual ? container._virtual.keyStep(action) : domKeyStep(container, action);
+    if (!line) return;
+    if (!container._virtual) line.scrollIntoView?.({ block: 'nearest' });
+    line.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+  });
+  container.addEventListener('click', (e) => {
+    const line = e.target.closest('.line');
+    if (line?._path && container.contains(line)) setCursor(container, line);
+  });
+}
+
+// -------- Worker client --------
+
+/**
+ * Start a lazily-spawned jsonWorker.js and return
+ * { run(type, payload, onProgress, key) -> Promise, cancel(), busy }.
+ * cancel() terminates the worker: pending requests reject with an error whose
+ * `cancelled` flag is set, and documents parsed in it are gone.
+ * A request run with a `key` supersedes a pending one with the same key: that
+ * one rejects as cancelled and its reply is ignored. The worker answers in
+ * order, so its state ends up as the newer request leaves it.
+ */
+export function createJsonWorker() {
+  if (typeof Worker === 'undefined') return null;
+  let worker = null;
+  let seq = 0;
+  const pending = new Map(); // id -> { resolve, reject, onProgress, key }
+
+  function cancelledError() {
+    const err = new Error('Cancelled');
+    err.cancelled = true;
+    return err;
+  }
+
+  function failAll(err) {
+    pending.forEach((p) => p.reject(err));
+    pending.clear();
+  }
+
+  function spawn() {
+    worker = new Worker(new URL('./jsonWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (ev) => {
+      const { id, ok, result, error, progress } = ev.data || {};
+      const p = pending.get(id);
+      if (!p) return;
+      if (progress) { p.onProgress?.(progress); return; }
+      pending.delete(id);
+      if (ok) p.resolve(result); else p.reject(new Error(error));
+    };
+    worker.onerror = (ev) => {
+      ev.preventDefault?.();
+      worker.terminate();
+      worker = null;
+      failAll(new Error(ev.message || 'JSON worker failed.'));
+    };
+  }
+
+  return {
+    run(type, payload, onProgress, key) {
+      return new Promise((resolve, reject) => {
+        try {
+          if (!worker) spawn();
+        } catch (e) {
+          reject(e);
+          return;
+        }
+        if (key !== undefined) {
+          pending.forEach((p, prev) => {
+            if (p.key !== key) return;
+            pending.delete(prev);
+            p.reject(cancelledError());
+          });
+        }
+        const id = ++seq;
+        pending.set(id, { resolve, reject, onProgress, key });
+        worker.postMessage({ id, type, payload });
+      });
+    },
+    cancel() {
+      if (worker) worker.terminate();
+      worker = null;
+      failAll(cancelledError());
+    },
+    get busy() { return pending.size > 0; }
+  };
+}
+
+export default { formatJson, renderTree, expandAll, collapseAll, revealPath, refreshTree, setLineDecorator, setValueHints, getExpandedPaths, expandPaths, setTreeEditable, startTreeEdit, createJsonWorker };
@@ -0,0 +1,102 @@
+// JSON Viewer worker (module worker, started by createJsonWorker in jsonViewer.js)
+// Parses, formats, searches and compares documents off the main thread.
+// Requests:  { id, type, payload }
+// Replies:   { id, ok: true, result } | { id, ok: false, error }
+// Progress:  { id, progress: { stage, done, total } } while a request runs
+// Parsed documents are kept per slot so searches don't re-send the text.
+
+import { formatJson } from './jsonViewer.js';
+import { searchJson, extractValues, extractTable, countNodes, createProgress } from './jsonSearch.js';
+import { validateJsonSchema } from './jsonSchema.js';
+import { inferShape } from './jsonInfer.js';
+import { diffValues } from './jsonComparator.js';
+import { parseJsonText, withLiterals } from './jsonText.js';
+
+const docs = new Map(); // slot -> { value, nodeCount, literals }
+
+const handlers = {
+  // syntax: 'json' | 'json5' | 'ndjson'; lineErrors lists the bad NDJSON lines.
+  // lossless keeps number literals (used by search/extract) and reports duplicate keys.
+  parse({ slot, text, syntax = 'json', lossless = false, returnValue = true }, report) {
+    report('parse', 0, text.length);
+    let parsed;
+    try {
+      parsed = parseJsonText(text, syntax, { lossless });
+    } catch (e) {
+      throw new Error(e && e.message ? e.message : String(e));
+    }
+    const { value, errors: lineErrors, literals, duplicates } = parsed;
+    report('index', 0, 1);
+    const nodeCount = countNodes(value);
+    docs.set(slot, { value, nodeCount, literals });
+    return returnValue ? { value, nodeCount, lineErrors, literals, duplicates } : { nodeCount, lineErrors };
+  },
+
+  drop({ slot }) {
+    docs.delete(slot);
+    return true;
+  },
+
+  format({ text, indent, syntax, keepComments, lossless }, report) {
+    report('format', 0, text.length);
+    return formatJson(text, indent, { syntax, keepComments, lossless });
+  },
+
+  search({ slot, query }, report) {
+    const doc = requireDoc(slot);
+    return searchJson(doc.value, query, createProgress(doc.nodeCount, (done, total) => report('search', done, total)), doc.literals);
+  },
+
+  extract({ slot, key, limitSegments, embedded }, report) {
+    const doc = requireDoc(slot);
+    return extractValues(doc.value, key, limitSegments, createProgress(doc.nodeCount, (done, total) => report('extract', done, total)), doc.literals, embedded);
+  },
+
+  // columns: [{ label, segments }] from parseExtractColumns
+  extractTable({ slot, columns, limitSegments, embedded }, report) {
+    const doc = requireDoc(slot);
+    return extractTable(doc.value, columns, limitSegments, createProgress(doc.nodeCount, (done, total) => report('extract', done, total)), doc.literals, embedded);
+  },
+
+  validate({ slot, schema, formats }, report) {
+    const doc = requireDoc(slot);
+    return validateJsonSchema(doc.value, schema, { formats, progress: createProgress(doc.nodeCount, (done, total) => report('validate', done, total)) });
+  },
+
+  // differences of slotB against slotA (mode: 'full' | 'ordered'), see diffValues
+  diff({ slotA, slotB, mode, limit }, report) {
+    const a = requireDoc(slotA);
+    const b = requireDoc(slotB);
+    const total = a.nodeCount + b.nodeCount;
+    return diffValues(withLiterals(a.value, a.literals), withLiterals(b.value, b.literals), {
+      mode,
+      limit,
+      lossless: a.literals.size > 0 || b.literals.size > 0,
+      progress: createProgress(total, (done) => report('diff', done, total))
+    });
+  },
+
+  infer({ slots }, report) {
+    const picked = slots.map(requireDoc);
+    const total = picked.reduce((sum, doc) => sum + doc.nodeCount, 0);
+    return inferShape(picked.map((doc) => doc.value), createProgress(total, (done) => report('infer', done, total)));
+  }
+};
+
+function requireDoc(slot) {
+  const doc = docs.get(slot);
+  if (!doc) throw new Error(`No parsed document for slot "${slot}".`);
+  return doc;
+}
+
+self.onmessage = (ev) => {
+  const { id, type, payload } = ev.data || {};
+  const report = (stage, done, total) => self.postMessage({ id, progress: { stage, done, total } });
+  try {
+    const handler = handlers[type];
+    if (!handler) throw new Error(`Unknown request type: ${type}`);
+    self.postMessage({ id, ok: true, result: handler(payload || {}, report) });
+  } catch (e) {
+    self.postMessage({ id, ok: false, error: e && e.message ? e.message : String(e) });
+  }
+};
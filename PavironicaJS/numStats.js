@@ -0,0 +1,298 @@
+// Number statistics helpers (ES module; shared by the JSON and XML Viewers)
+// - summarizeNumbers / percentile / formatStat: the figures of the statistics
+//   panel (n, sum, mean, std dev, min, quartiles, max, p95, p99)
+// - histogramBins: equal-width bins for a histogram
+// - groupNumbers / groupStatsToCsv: aggregates per group (the value of a
+//   sibling key) and their CSV export
+// - drawHistogram / drawBoxPlot / drawLineChart: plain canvas 2D charts,
+//   coloured from the page's CSS variables (--text, --muted, --border,
+//   --accent) so they follow the theme
+// Everything but the draw functions is DOM-free.
+
+import { tableToCsv } from './jsonTable.js';
+
+const STAT_COLUMNS = ['n', 'sum', 'mean', 'std_dev', 'min', 'median', 'max'];
+// Box plot rows shown at most; the largest groups are kept
+const BOX_MAX_GROUPS = 12;
+
+/** Linearly interpolated percentile `p` (0–100) of ascending `sorted`. */
+export function percentile(sorted, p) {
+  const n = sorted.length;
+  if (n === 1) return sorted[0];
+  const i = (p / 100) * (n - 1);
+  const lo = Math.floor(i);
+  const hi = Math.ceil(i);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (i - lo);
+}
+
+/** Statistics of finite numbers, or null for none. */
+export function summarizeNumbers(values) {
+  const n = values.length;
+  if (!n) return null;
+  const sum = values.reduce((a, b) => a + b, 0);
+  const mean = sum / n;
+  const stdDev = Math.sqrt(values.reduce((a, b) => a + (b - mean) ** 2, 0) / n);
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    n, sum, mean, stdDev,
+    min: sorted[0], max: sorted[n - 1],
+    q1: percentile(sorted, 25), median: percentile(sorted, 50), q3: percentile(sorted, 75),
+    p95: percentile(sorted, 95), p99: percentile(sorted, 99)
+  };
+}
+
+/** Short text of a statistic: integers as they are, others to 6 significant digits. */
+export function formatStat(v) {
+  if (Number.isInteger(v)) return String(v);
+  return String(parseFloat(v.toPrecision(6)));
+}
+
+/**
+ * Equal-width bins [{ from, to, count }] over the range of `values`
+ * (Sturges' rule, at most maxBins); a single bin when all values are equal.
+ */
+export function histogramBins(values, maxBins = 40) {
+  if (!values.length) return [];
+  let min = Infinity;
+  let max = -Infinity;
+  for (const v of values) { if (v < min) min = v; if (v > max) max = v; }
+  if (min === max) return [{ from: min, to: max, count: values.length }];
+  const count = Math.max(1, Math.min(maxBins, Math.ceil(Math.log2(values.length)) + 1));
+  const width = (max - min) / count;
+  const bins = Array.from({ length: count }, (_, i) => ({ from: min + i * width, to: i === count - 1 ? max : min + (i + 1) * width, count: 0 }));
+  for (const v of values) bins[Math.min(count - 1, Math.floor((v - min) / width))].count++;
+  return bins;
+}
+
+/**
+ * Statistics per group of entries [{ value, group }] (group: text, or null
+ * when the key was not found), as [{ group, values, ...summarizeNumbers }]
+ * in natural order of the group text, the null group last.
+ */
+export function groupNumbers(entries) {
+  const byGroup = new Map();
+  for (const { value, group } of entries) {
+    const key = group ?? null;
+    if (!byGroup.has(key)) byGroup.set(key, []);
+    byGroup.get(key).push(value);
+  }
+  return [...byGroup]
+    .map(([group, values]) => ({ group, values, ...summarizeNumbers(values) }))
+    .sort((a, b) => (a.group === null) - (b.group === null)
+      || String(a.group ?? '').localeCompare(String(b.group ?? ''), undefined, { numeric: true, sensitivity: 'base' }));
+}
+
+/** CSV of groupNumbers() rows: the group key's column, then n, sum, mean, std_dev, min, median, max. */
+export function groupStatsToCsv(groups, groupKey, delimiter = ',') {
+  const keyColumn = STAT_COLUMNS.includes(groupKey) || !groupKey ? `${groupKey || 'group'} (group)` : groupKey;
+  const rows = groups.map((g) => ({
+    cells: {
+      [keyColumn]: g.group,
+      n: g.n, sum: g.sum, mean: g.mean, std_dev: g.stdDev, min: g.min, median: g.median, max: g.max
+    }
+  }));
+  return tableToCsv([keyColumn, ...STAT_COLUMNS], rows, delimiter);
+}
+
+// ---- Drawing ----
+
+// Size the canvas to its CSS width (sharp on high-DPI screens) and read the theme
+function prepareCanvas(canvas, height) {
+  const width = Math.max(120, Math.round(canvas.clientWidth || canvas.width || 260));
+  const ratio = globalThis.devicePixelRatio || 1;
+  canvas.width = Math.round(width * ratio);
+  canvas.height = Math.round(height * ratio);
+  canvas.style.height = `${height}px`;
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return null;
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+  const css = getComputedStyle(canvas);
+  const color = (name, fallback) => css.getPropertyValue(name).trim() || fallback;
+  ctx.font = '10px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace';
+  ctx.textBaseline = 'middle';
+  return {
+    ctx, width, height,
+    colors: { text: color('--text', '#e5e7eb'), muted: color('--muted', '#94a3b8'), border: color('--border', '#334155'), accent: color('--accent', '#38bdf8') }
+  };
+}
+
+function fitLabel(ctx, text, maxWidth) {
+  let label = String(text);
+  if (ctx.measureText(label).width <= maxWidth) return label;
+  while (label.length > 1 && ctx.measureText(`${label}…`).width > maxWidth) label = label.slice(0, -1);
+  return `${label}…`;
+}
+
+// Value axis along the bottom, from `min` to `max` between x0 and x1
+function drawValueAxis({ ctx, height, colors }, x0, x1, min, max) {
+  ctx.strokeStyle = colors.border;
+  ctx.beginPath();
+  ctx.moveTo(x0, height - 16.5);
+  ctx.lineTo(x1, height - 16.5);
+  ctx.stroke();
+  ctx.fillStyle = colors.muted;
+  ctx.textAlign = 'left';
+  ctx.fillText(formatStat(min), x0, height - 7);
+  ctx.textAlign = 'right';
+  ctx.fillText(formatStat(max), x1, height - 7);
+}
+
+/** Histogram of `values` (histogramBins) with the tallest bin's count at the top. */
+export function drawHistogram(canvas, values, height = 140) {
+  const c = prepareCanvas(canvas, height);
+  if (!c || !values.length) return;
+  const { ctx, width, colors } = c;
+  const bins = histogramBins(values, Math.max(1, Math.floor((width - 12) / 6)));
+  const top = 14;
+  const bottom = height - 17;
+  const peak = Math.max(...bins.map((b) => b.count));
+  const step = (width - 12) / bins.length;
+  ctx.fillStyle = colors.accent;
+  bins.forEach((b, i) => {
+    const h = Math.round(((bottom - top) * b.count) / peak);
+    if (h) ctx.fillRect(6 + i * step + 0.5, bottom - h, Math.max(1, step - 1), h);
+  });
+  ctx.fillStyle = colors.muted;
+  ctx.textAlign = 'left';
+  ctx.fillText(`max ${peak} per bin · ${bins.length} bins`, 6, 6);
+  drawValueAxis(c, 6, width - 6, bins[0].from, bins[bins.length - 1].to);
+}
+
+/**
+ * Box plots on one scale: series [{ label, values }] (one per group, or a
+ * single one). Whiskers reach the furthest values within 1.5 × IQR of the
+ * box; values beyond are drawn as dots. Only the BOX_MAX_GROUPS largest
+ * series are drawn.
+ */
+export function drawBoxPlot(canvas, series) {
+  const shown = series.length > BOX_MAX_GROUPS
+    ? [...series].sort((a, b) => b.values.length - a.values.length).slice(0, BOX_MAX_GROUPS)
+    : series;
+  const rowHeight = 20;
+  const c = prepareCanvas(canvas, 6 + (series.length > shown.length ? 12 : 0) + shown.length * rowHeight + 20);
+  if (!c || !shown.length) return;
+  const { ctx, width, colors } = c;
+  const labelled = shown.length > 1;
+  const x0 = labelled ? Math.min(90, Math.round(width * 0.32)) : 6;
+  const x1 = width - 8;
+  let min = Infinity;
+  let max = -Infinity;
+  shown.forEach((s) => s.values.forEach((v) => { if (v < min) min = v; if (v > max) max = v; }));
+  // a single value sits in the middle
+  const lo = min === max ? min - 0.5 : min;
+  const span = min === max ? 1 : max - min;
+  const x = (v) => x0 + ((v - lo) / span) * (x1 - x0);
+  let y = 6;
+  if (series.length > shown.length) {
+    ctx.fillStyle = colors.muted;
+    ctx.textAlign = 'left';
+    ctx.fillText(`${shown.length} largest of ${series.length} groups`, 6, y + 2);
+    y += 12;
+  }
+  for (const s of shown) {
+    const sorted = [...s.values].sort((a, b) => a - b);
+    const q1 = percentile(sorted, 25);
+    const q3 = percentile(sorted, 75);
+    const med = percentile(sorted, 50);
+    const iqr = q3 - q1;
+    const lowFence = q1 - 1.5 * iqr;
+    const highFence = q3 + 1.5 * iqr;
+    const lowWhisker = sorted.find((v) => v >= lowFence);
+    const highWhisker = [...sorted].reverse().find((v) => v <= highFence);
+    const mid = y + rowHeight / 2;
+    if (labelled) {
+      ctx.fillStyle = colors.text;
+      ctx.textAlign = 'left';
+      ctx.fillText(fitLabel(ctx, s.label, x0 - 10), 6, mid);
+    }
+    ctx.strokeStyle = colors.muted;
+    ctx.beginPath();
+    ctx.moveTo(x(lowWhisker), mid); ctx.lineTo(x(q1), mid);
+    ctx.moveTo(x(q3), mid); ctx.lineTo(x(highWhisker), mid);
+    ctx.moveTo(x(lowWhisker), mid - 4); ctx.lineTo(x(lowWhisker), mid + 4);
+    ctx.moveTo(x(highWhisker), mid - 4); ctx.lineTo(x(highWhisker), mid + 4);
+    ctx.stroke();
+    ctx.fillStyle = colors.accent;
+    ctx.globalAlpha = 0.35;
+    ctx.fillRect(x(q1), mid - 6, Math.max(1, x(q3) - x(q1)), 12);
+    ctx.globalAlpha = 1;
+    ctx.strokeStyle = colors.accent;
+    ctx.strokeRect(x(q1), mid - 6, Math.max(1, x(q3) - x(q1)), 12);
+    ctx.strokeStyle = colors.text;
+    ctx.beginPath();
+    ctx.moveTo(x(med), mid - 6); ctx.lineTo(x(med), mid + 6);
+    ctx.stroke();
+    ctx.fillStyle = colors.muted;
+    for (const v of sorted) {
+      if (v >= lowWhisker && v <= highWhisker) continue;
+      ctx.beginPath();
+      ctx.arc(x(v), mid, 1.5, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    y += rowHeight;
+  }
+  drawValueAxis(c, x0, x1, min, max);
+}
+
+/**
+ * Line of `values` in document order, with the mean dashed; when there are
+ * more values than pixels each column shows its lowest and highest value.
+ */
+export function drawLineChart(canvas, values, height = 140) {
+  const c = prepareCanvas(canvas, height);
+  if (!c || !values.length) return;
+  const { ctx, width, colors } = c;
+  const x0 = 6;
+  const x1 = width - 6;
+  const top = 14;
+  const bottom = height - 17;
+  let min = Infinity;
+  let max = -Infinity;
+  let sum = 0;
+  for (const v of values) { if (v < min) min = v; if (v > max) max = v; sum += v; }
+  const span = max - min || 1;
+  const y = (v) => (max === min ? (top + bottom) / 2 : bottom - ((v - min) / span) * (bottom - top));
+  const columns = Math.max(1, Math.floor(x1 - x0));
+  ctx.strokeStyle = colors.accent;
+  ctx.lineWidth = 1.25;
+  ctx.beginPath();
+  if (values.length <= columns) {
+    const step = values.length > 1 ? (x1 - x0) / (values.length - 1) : 0;
+    values.forEach((v, i) => (i ? ctx.lineTo(x0 + i * step, y(v)) : ctx.moveTo(x0, y(v))));
+  } else {
+    const per = values.length / columns;
+    for (let col = 0; col < columns; col++) {
+      let lo = Infinity;
+      let hi = -Infinity;
+      for (let i = Math.floor(col * per); i < Math.floor((col + 1) * per); i++) { if (values[i] < lo) lo = values[i]; if (values[i] > hi) hi = values[i]; }
+      if (col) ctx.lineTo(x0 + col, y(lo)); else ctx.moveTo(x0, y(lo));
+      ctx.lineTo(x0 + col, y(hi));
+    }
+  }
+  ctx.stroke();
+  ctx.lineWidth = 1;
+  ctx.strokeStyle = colors.muted;
+  ctx.setLineDash([3, 3]);
+  ctx.beginPath();
+  ctx.moveTo(x0, y(sum / values.length));
+  ctx.lineTo(x1, y(sum / values.length));
+  ctx.stroke();
+  ctx.setLineDash([]);
+  ctx.fillStyle = colors.muted;
+  ctx.textAlign = 'left';
+  ctx.fillText(`${formatStat(min)} … ${formatStat(max)} · dashed: mean`, x0, 6);
+  ctx.fillText('first', x0, height - 7);
+  ctx.textAlign = 'right';
+  ctx.fillText(`value ${values.length}`, x1, height - 7);
+  ctx.strokeStyle = colors.border;
+  ctx.beginPath();
+  ctx.moveTo(x0, height - 16.5);
+  ctx.lineTo(x1, height - 16.5);
+  ctx.stroke();
+}
+
+export default {
+  percentile, summarizeNumbers, formatStat, histogramBins, groupNumbers, groupStatsToCsv,
+  drawHistogram, drawBoxPlot, drawLineChart
+};
@@ -0,0 +1,176 @@
+// Text matching helpers (ES module, DOM-free; shared by the JSON and XML
+// Viewers, and by jsonWorker.js through jsonSearch.js)
+// - TEXT_MATCH_MODES: the text search modes, with the labels the pages show
+// - buildTextMatcher: a matcher for a search term: contains (with optional
+//   % wildcards), whole word, regular expression or fuzzy key name
+// - textPatternError: why a term cannot be used in a mode, or null
+// - parseKeyValueQuery: split "key: value" terms
+// - normalizeKeyName / keyNameDistance: how fuzzy key names are compared
+// - formatCaptureGroups: the capture groups of a regex hit as text lines
+
+export const TEXT_MATCH_MODES = [
+  { id: 'text', label: 'Contains' },
+  { id: 'word', label: 'Whole word' },
+  { id: 'regex', label: 'Regular expression' },
+  { id: 'fuzzy', label: 'Fuzzy key name' }
+];
+
+// Letters, digits and _ make up a word
+const WORD_BEFORE = '(?<![\\p{L}\\p{N}_])';
+const WORD_AFTER = '(?![\\p{L}\\p{N}_])';
+
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export function parseKeyValueQuery(term) {
+  const colonIdx = term.indexOf(': ');
+  if (colonIdx === -1) return null;
+  const keyPart = term.slice(0, colonIdx).trim();
+  if (!keyPart) return null;
+  let valPart = term.slice(colonIdx + 2).trim();
+  if ((valPart.startsWith('"') && valPart.endsWith('"')) ||
+      (valPart.startsWith("'") && valPart.endsWith("'"))) {
+    valPart = valPart.slice(1, -1);
+  }
+  return { key: keyPart, value: valPart };
+}
+
+/** Key name without case, separators and punctuation: userId, user_id and "User ID" all give "userid". */
+export function normalizeKeyName(key) {
+  return String(key ?? '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/**
+ * Edit distance between two names (insertions, deletions, substitutions and
+ * swapped neighbours), or max + 1 as soon as it is known to exceed `max`.
+ */
+export function keyNameDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let before = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (before && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, before[j - 2] + 1);
+      row.push(d);
+      rowMin = Math.min(rowMin, d);
+    }
+    if (rowMin > max) return max + 1;
+    before = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Typos allowed in a fuzzy key name: none for short names
+function fuzzyAllowance(length) {
+  return length >= 8 ? 2 : length >= 4 ? 1 : 0;
+}
+
+// Names of the capture groups of a valid pattern, by group number (unnamed: null)
+function captureGroupNames(source) {
+  const names = [null];
+  let inClass = false;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (ch === '\\') { i++; continue; }
+    if (inClass) { if (ch === ']') inClass = false; continue; }
+    if (ch === '[') { inClass = true; continue; }
+    if (ch !== '(') continue;
+    if (source[i + 1] !== '?') { names.push(null); continue; }
+    const named = /^\?<([^>=!][^>]*)>/.exec(source.slice(i + 1));
+    if (named) names.push(named[1]);
+  }
+  return names;
+}
+
+function compileRegex(source, caseSensitive) {
+  try {
+    return new RegExp(source, caseSensitive ? 'u' : 'iu');
+  } catch (e) {
+    // engines repeat the pattern in their message; keep only the reason
+    throw new Error(`Invalid regular expression: ${String(e.message).replace(/^Invalid regular expression: (\/[\s\S]*\/[a-z]*: )?/, '')}`);
+  }
+}
+
+/** Why `query` cannot be searched for in `mode`, or null when it can. */
+export function textPatternError(query, mode) {
+  const term = String(query ?? '');
+  if (mode === 'regex') {
+    try {
+      compileRegex(term, true);
+    } catch (e) {
+      return e.message;
+    }
+  }
+  if (mode === 'fuzzy' && term && !normalizeKeyName(term)) return 'A fuzzy key name needs letters or digits.';
+  return null;
+}
+
+/**
+ * A function telling whether a text matches `query`. `mode` is one of
+ * TEXT_MATCH_MODES ('text' by default); `useWildcard` turns % into "any one
+ * character" in the 'text' and 'word' modes. 'fuzzy' ignores the case and
+ * separators of key names and allows a typo or two in longer ones; its
+ * matcher has `keysOnly` set. A 'regex' matcher has `captures(text)`,
+ * returning [{ index, name, value }] for the first match, or null when the
+ * pattern has no groups. Throws an Error for an invalid pattern.
+ */
+export function buildTextMatcher(query, caseSensitive, useWildcard, mode = 'text') {
+  const needle = String(query ?? '');
+  if (mode === 'fuzzy') {
+    const target = normalizeKeyName(needle);
+    const max = fuzzyAllowance(target.length);
+    const matcher = (haystack) => {
+      const name = normalizeKeyName(haystack);
+      return name === target || (max > 0 && keyNameDistance(name, target, max) <= max);
+    };
+    matcher.keysOnly = true;
+    return matcher;
+  }
+  if (mode === 'regex') {
+    const message = textPatternError(needle, 'regex');
+    if (message) throw new Error(message);
+    const regex = compileRegex(needle, caseSensitive);
+    const matcher = (haystack) => regex.test(String(haystack ?? ''));
+    const names = captureGroupNames(needle);
+    if (names.length > 1) {
+      matcher.captures = (haystack) => {
+        const m = regex.exec(String(haystack ?? ''));
+        return m ? m.slice(1).map((value, i) => ({ index: i + 1, name: names[i + 1] ?? null, value: value ?? null })) : null;
+      };
+    }
+    return matcher;
+  }
+  if (mode === 'word') {
+    const body = useWildcard ? escapeRegex(needle).replace(/%/g, '.') : escapeRegex(needle);
+    const regex = new RegExp(`${WORD_BEFORE}${body}${WORD_AFTER}`, caseSensitive ? 'u' : 'iu');
+    return (haystack) => regex.test(String(haystack ?? ''));
+  }
+  if (!useWildcard) {
+    const fixedNeedle = caseSensitive ? needle : needle.toLowerCase();
+    return (haystack) => {
+      const source = caseSensitive ? String(haystack ?? '') : String(haystack ?? '').toLowerCase();
+      return source.includes(fixedNeedle);
+    };
+  }
+  const regexSource = escapeRegex(needle).replace(/%/g, '.');
+  const regex = new RegExp(regexSource, caseSensitive ? '' : 'i');
+  return (haystack) => regex.test(String(haystack ?? ''));
+}
+
+/** Capture groups ([{ index, name, value }]) as lines for the Selected path panel. */
+export function formatCaptureGroups(groups, maxLen = 120) {
+  return (groups ?? []).map(({ index, name, value }) => {
+    const label = name ? `$${index} ${name}` : `$${index}`;
+    if (value === null) return `${label}: (did not take part)`;
+    const text = value.length > maxLen ? `${value.slice(0, maxLen - 1)}…` : value;
+    return `${label}: "${text}"`;
+  });
+}
+
+export default { TEXT_MATCH_MODES, buildTextMatcher, textPatternError, parseKeyValueQuery, normalizeKeyName, keyNameDistance, formatCaptureGroups };
@@ -0,0 +1,248 @@
+// Value hint helpers (ES module; shared by the JSON and XML Viewers and by
+// jsonSearch.js — only appendValueHint touches the DOM)
+// - valueHint: what a scalar probably stands for — a date (epoch seconds or
+//   milliseconds, ISO 8601), a colour, a URL, a byte size or a duration —
+//   as { kind, label, title, color?, href? }, or null
+// - appendValueHint: show a hint next to a tree value (swatch, link, inline
+//   label) with the full text on hover
+// - dateOfValue: the time (epoch ms) a value stands for, or null
+// - parseDateBound: a date typed into a search form as epoch ms
+// - formatBytes / formatDuration / formatLocalDateTime: human units
+// A bare number is only read as epoch seconds, a size or a duration when its
+// key says so (createdAt, sizeBytes, timeoutMs…); 13-digit epoch
+// milliseconds are recognised under any key. Dates without a time zone are
+// local time.
+
+const SECONDS_MIN = 1e9;  // 2001-09-09
+const SECONDS_MAX = 1e10; // 2286-11-20
+const MILLIS_MIN = 1e12;
+const MILLIS_MAX = 1e13;
+
+const NUMBER_TEXT = /^[+-]?\d+(?:\.\d+)?$/;
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:[.,](\d{1,9}))?)?(Z|[+-]\d{2}:?\d{2})?)?$/i;
+const YEAR_MONTH = /^(\d{4})(?:-(\d{2}))?$/;
+const ISO_DURATION = /^P(?!$)(?:(\d+(?:[.,]\d+)?)Y)?(?:(\d+(?:[.,]\d+)?)M)?(?:(\d+(?:[.,]\d+)?)W)?(?:(\d+(?:[.,]\d+)?)D)?(?:T(?=\d)(?:(\d+(?:[.,]\d+)?)H)?(?:(\d+(?:[.,]\d+)?)M)?(?:(\d+(?:[.,]\d+)?)S)?)?$/;
+const HEX_COLOR = /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const FUNC_COLOR = /^(?:rgb|hsl)a?\(\s*[-+\d.%\s,/deg]+\)$/i;
+const URL_TEXT = /^(?:https?:\/\/|mailto:)[^\s<>"]+$/i;
+
+// Keys are matched case-sensitively where camelCase matters ("items" is not "…Ms")
+const DATE_WORD = /time|date|stamp|created|updated|modified|deleted|expir|since|until/i;
+const DATE_EXACT = /^(?:exp|iat|nbf|ts|at|when)$/i;
+const DATE_SUFFIX = /[a-z0-9](?:At|On)$|_(?:at|on)$/;
+const BYTES_KEY = /bytes|filesize|file_size|content-?length|^size$/i;
+const MS_KEY = /(?:^ms|_ms|-ms|[a-z0-9]Ms|[Mm]illis|[Mm]illiseconds)$/;
+const SEC_KEY = /(?:^|_|-)(?:s|sec|secs|seconds)$|[a-z0-9](?:Sec|Secs|Seconds)$|^ttl$/i;
+const DURATION_WORD = /duration|elapsed|latency|timeout|uptime|took/i;
+
+function pad(n, width = 2) {
+  return String(n).padStart(width, '0');
+}
+
+function isDateKey(key) {
+  return DATE_WORD.test(key) || DATE_EXACT.test(key) || DATE_SUFFIX.test(key);
+}
+
+// Milliseconds per unit of a duration key (0: not a duration)
+function durationUnit(key) {
+  if (MS_KEY.test(key)) return 1;
+  if (SEC_KEY.test(key)) return 1000;
+  return DURATION_WORD.test(key) ? 1 : 0;
+}
+
+/** "2024-05-01 14:03:00" in local time (milliseconds only when there are any). */
+export function formatLocalDateTime(ms) {
+  const d = new Date(ms);
+  const frac = d.getMilliseconds() ? `.${pad(d.getMilliseconds(), 3)}` : '';
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}${frac}`;
+}
+
+function toNumber(text) {
+  return Number(String(text).replace(',', '.'));
+}
+
+// ISO 8601 date or date-time → { ms, dateOnly, zoned, span } (span: the
+// length of the period it names, for inclusive end bounds); null otherwise
+function parseIsoDate(text) {
+  const m = ISO_DATE.exec(text);
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s, frac, zone] = m;
+  const parts = [Number(y), Number(mo) - 1, Number(d), Number(h ?? 0), Number(mi ?? 0), Number(s ?? 0), frac ? Math.floor(toNumber(`0.${frac}`) * 1000) : 0];
+  const local = new Date(parts[0], parts[1], parts[2], parts[3], parts[4], parts[5], parts[6]);
+  // reject 2024-02-30, 25:00…
+  if (local.getFullYear() !== parts[0] || local.getMonth() !== parts[1] || local.getDate() !== parts[2]
+      || local.getHours() !== parts[3] || local.getMinutes() !== parts[4]) return null;
+  let ms = local.getTime();
+  if (zone) {
+    const offset = zone.toUpperCase() === 'Z' ? 0 : (zone[0] === '-' ? -1 : 1) * (Number(zone.slice(1, 3)) * 60 + Number(zone.slice(-2)));
+    ms = Date.UTC(parts[0], parts[1], parts[2], parts[3], parts[4], parts[5], parts[6]) - offset * 60000;
+  }
+  const dateOnly = h === undefined;
+  const span = dateOnly ? new Date(parts[0], parts[1], parts[2] + 1).getTime() - local.getTime()
+    : s === undefined ? 60000 : frac ? 1 : 1000;
+  return { ms, dateOnly, zoned: !!zone, span };
+}
+
+// ISO 8601 duration (P1DT2H30M) in milliseconds; months and years count as 30 and 365 days
+function parseIsoDuration(text) {
+  const m = ISO_DURATION.exec(text);
+  if (!m) return null;
+  const sizes = [365 * 86400000, 30 * 86400000, 7 * 86400000, 86400000, 3600000, 60000, 1000];
+  return m.slice(1).reduce((sum, part, i) => sum + (part ? toNumber(part) * sizes[i] : 0), 0);
+}
+
+function epochMillis(value, key, dateKey = false) {
+  if (Number.isInteger(value) && value >= MILLIS_MIN && value < MILLIS_MAX) return value;
+  if ((dateKey || isDateKey(key)) && value >= SECONDS_MIN && value < SECONDS_MAX) return Math.round(value * 1000);
+  return null;
+}
+
+/** 1536 → "1.5 KiB"; base 1000 gives kB / MB / GB. */
+export function formatBytes(bytes, base = 1024) {
+  const units = base === 1024 ? ['B', 'KiB', 'MiB', 'GiB', 'TiB', 'PiB'] : ['B', 'kB', 'MB', 'GB', 'TB', 'PB'];
+  let v = Math.abs(bytes);
+  let i = 0;
+  while (v >= base && i < units.length - 1) { v /= base; i++; }
+  const digits = i === 0 || v >= 100 ? 0 : v >= 10 ? 1 : 2;
+  return `${bytes < 0 ? '-' : ''}${parseFloat(v.toFixed(digits))} ${units[i]}`;
+}
+
+/** 5400000 → "1 h 30 min"; under a minute in seconds, under a second in ms. */
+export function formatDuration(ms) {
+  const sign = ms < 0 ? '-' : '';
+  let rest = Math.abs(ms);
+  if (rest < 1000) return `${sign}${parseFloat(rest.toFixed(3))} ms`;
+  if (rest < 60000) return `${sign}${parseFloat((rest / 1000).toFixed(3))} s`;
+  const parts = [];
+  for (const [unit, size] of [['d', 86400000], ['h', 3600000], ['min', 60000], ['s', 1000]]) {
+    const n = Math.floor(rest / size);
+    if (n) parts.push(`${n} ${unit}`);
+    rest -= n * size;
+  }
+  return sign + parts.join(' ');
+}
+
+function dateHint(ms, what, iso = null) {
+  const d = new Date(ms);
+  if (Number.isNaN(d.getTime())) return null;
+  const weekday = d.toLocaleDateString(undefined, { weekday: 'long' });
+  if (iso?.dateOnly) return { kind: 'date', label: weekday, title: `${what} · ${weekday}` };
+  const zone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const title = `${what}\nLocal: ${formatLocalDateTime(ms)} (${weekday}${zone ? `, ${zone}` : ''})\nUTC: ${d.toISOString()}`;
+  return { kind: 'date', label: formatLocalDateTime(ms), title };
+}
+
+function durationHint(ms, what) {
+  return { kind: 'duration', label: formatDuration(ms), title: `${what}: ${formatDuration(ms)}` };
+}
+
+/**
+ * The hint for a scalar `value` found under `key` (the property, element or
+ * attribute name; null for none). Numeric strings count as numbers.
+ */
+export function valueHint(value, key = null) {
+  const name = key == null ? '' : String(key);
+  let num = value;
+  if (typeof value === 'string') {
+    const text = value.trim();
+    if (URL_TEXT.test(text)) {
+      try {
+        new URL(text);
+        return { kind: 'url', label: '↗', title: `Open ${text} in a new tab`, href: text };
+      } catch (_) { return null; }
+    }
+    if (HEX_COLOR.test(text) || FUNC_COLOR.test(text)) return { kind: 'color', label: '', title: `Colour ${text}`, color: text };
+    const iso = parseIsoDate(text);
+    if (iso) return dateHint(iso.ms, iso.dateOnly ? 'ISO date' : 'ISO date-time', iso);
+    const duration = parseIsoDuration(text);
+    if (duration !== null) return durationHint(duration, 'ISO 8601 duration');
+    if (!NUMBER_TEXT.test(text)) return null;
+    num = Number(text);
+  }
+  if (typeof num !== 'number' || !Number.isFinite(num)) return null;
+  const unit = durationUnit(name);
+  if (unit) return Math.abs(num * unit) >= 1000 ? durationHint(num * unit, unit === 1 ? 'Milliseconds' : 'Seconds') : null;
+  if (BYTES_KEY.test(name)) {
+    if (Math.abs(num) < 1024) return null;
+    return { kind: 'bytes', label: formatBytes(num), title: `${num.toLocaleString()} bytes\n${formatBytes(num)} · ${formatBytes(num, 1000)}` };
+  }
+  const ms = epochMillis(num, name);
+  return ms === null ? null : dateHint(ms, ms === num ? 'Epoch milliseconds' : 'Epoch seconds');
+}
+
+/**
+ * Put `hint` on a tree value span: the full text as its tooltip, plus a colour
+ * swatch or a link after it; mode 'inline' also writes dates, sizes and
+ * durations out after the value.
+ */
+export function appendValueHint(valueSpan, hint, mode) {
+  valueSpan.title = hint.title;
+  valueSpan.classList.add('has-hint');
+  let el = null;
+  if (hint.kind === 'color') {
+    el = document.createElement('span');
+    el.className = 'value-hint value-hint-swatch';
+    el.style.background = hint.color;
+    el.title = hint.title;
+  } else if (hint.kind === 'url') {
+    el = document.createElement('a');
+    el.className = 'value-hint value-hint-link';
+    el.href = hint.href;
+    el.target = '_blank';
+    el.rel = 'noopener noreferrer';
+    el.textContent = hint.label;
+    el.title = hint.title;
+  } else if (mode === 'inline' && hint.label) {
+    el = document.createElement('span');
+    el.className = 'value-hint';
+    el.textContent = hint.label;
+  }
+  if (el) valueSpan.after(el);
+}
+
+/**
+ * Epoch ms of a value read as a date (ISO strings, epoch numbers as in
+ * valueHint), or null. dateKey: the key is known to hold dates, so epoch
+ * seconds count whatever it is called.
+ */
+export function dateOfValue(value, key = null, dateKey = false) {
+  const name = key == null ? '' : String(key);
+  if (typeof value === 'string') {
+    const text = value.trim();
+    const iso = parseIsoDate(text);
+    if (iso) return iso.ms;
+    if (!NUMBER_TEXT.test(text)) return null;
+    value = Number(text);
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+  return epochMillis(value, name, dateKey);
+}
+
+/**
+ * A search bound: 2024, 2024-05, 2024-05-01, 2024-05-01T10:30(:00)(Z|+02:00)
+ * or epoch seconds / milliseconds. With `end`, the bound covers the whole
+ * period it names (2024-05 ends on May 31, 23:59:59.999). null for empty
+ * text, NaN when it cannot be read.
+ */
+export function parseDateBound(text, end = false) {
+  const t = String(text ?? '').trim();
+  if (!t) return null;
+  const ym = YEAR_MONTH.exec(t);
+  if (ym && (ym[2] || t.length === 4)) {
+    const year = Number(ym[1]);
+    const month = ym[2] ? Number(ym[2]) - 1 : 0;
+    if (month > 11) return NaN;
+    const start = new Date(year, month, 1).getTime();
+    if (!end) return start;
+    return (ym[2] ? new Date(year, month + 1, 1) : new Date(year + 1, 0, 1)).getTime() - 1;
+  }
+  if (NUMBER_TEXT.test(t)) {
+    const n = Number(t);
+    return Math.abs(n) >= MILLIS_MIN ? n : n * 1000;
+  }
+  const iso = parseIsoDate(t);
+  if (!iso) return NaN;
+  return end ? iso.ms + iso.span - 1 : iso.ms;
+}
+
+export default { valueHint, appendValueHint, dateOfValue, parseDateBound, formatBytes, formatDuration, formatLocalDateTime };
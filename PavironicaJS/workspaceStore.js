@@ -0,0 +1,193 @@
+// Workspace store helpers (ES module, IndexedDB; shared by the JSON and XML Viewers)
+// - listWorkspaces / loadWorkspace / saveWorkspace / deleteWorkspace: named
+//   workspaces per viewer ('json' | 'xml'): the editor text plus any number of
+//   memory slots, each with a label, a note, the time it was saved and its
+//   bookmarks (bookmarks.js)
+// - listRecentDocuments / loadRecentDocument / addRecentDocument /
+//   clearRecentDocuments: the last documents opened, dropped or pasted
+// - workspaceToFile / parseWorkspaceFile: a workspace as one JSON file, to
+//   hand to a colleague or keep outside the browser
+// - normalizeSlot: a slot record with every field present
+// Everything stays in the browser; the stores are only shared between pages
+// of the same origin.
+
+import { normalizeBookmarks } from './bookmarks.js';
+
+const DB_NAME = 'pavironica';
+const DB_VERSION = 1;
+const WORKSPACES = 'workspaces';
+const RECENT = 'recent';
+const RECENT_MAX = 15;
+const RECENT_MAX_CHARS = 10 * 1024 * 1024;
+const FILE_FORMAT = 'pavironica-workspace';
+const FILE_VERSION = 1;
+const APP_LABELS = { json: 'JSON Viewer', xml: 'XML Viewer' };
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('This browser has no IndexedDB (private windows may turn it off), so workspaces cannot be saved.'));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(WORKSPACES)) db.createObjectStore(WORKSPACES, { keyPath: 'id', autoIncrement: true }).createIndex('app', 'app');
+      if (!db.objectStoreNames.contains(RECENT)) db.createObjectStore(RECENT, { keyPath: 'id', autoIncrement: true }).createIndex('app', 'app');
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(new Error(`Cannot open the workspace store: ${req.error?.message ?? req.error}`));
+    req.onblocked = () => reject(new Error('The workspace store is busy in another tab; close it and try again.'));
+  });
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+// Run fn(store) in a transaction; resolves with the value of the request fn returns
+async function withStore(name, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode);
+    const req = fn(tx.objectStore(name));
+    let result;
+    if (req) req.onsuccess = () => { result = req.result; };
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(new Error(tx.error?.name === 'QuotaExceededError'
+      ? 'The browser refused to store more data (storage quota reached).'
+      : `Workspace store error: ${tx.error?.message ?? tx.error}`));
+    tx.onabort = tx.onerror;
+  });
+}
+
+function byApp(app) {
+  return (store) => store.index('app').getAll(IDBKeyRange.only(app));
+}
+
+/** A memory slot record: { label, note, value, updated, bookmarks } (value null when empty). */
+export function normalizeSlot(slot) {
+  const s = slot && typeof slot === 'object' ? slot : {};
+  return {
+    label: typeof s.label === 'string' ? s.label : '',
+    note: typeof s.note === 'string' ? s.note : '',
+    value: typeof s.value === 'string' ? s.value : null,
+    updated: Number.isFinite(s.updated) ? s.updated : null,
+    bookmarks: normalizeBookmarks(s.bookmarks)
+  };
+}
+
+function normalizeWorkspace(ws, app) {
+  const visible = Array.isArray(ws.visible) ? ws.visible.filter((v) => typeof v === 'string') : ['input'];
+  return {
+    app,
+    name: String(ws.name ?? '').trim() || 'Untitled workspace',
+    note: typeof ws.note === 'string' ? ws.note : '',
+    created: Number.isFinite(ws.created) ? ws.created : Date.now(),
+    updated: Number.isFinite(ws.updated) ? ws.updated : Date.now(),
+    input: typeof ws.input === 'string' ? ws.input : '',
+    inputBookmarks: normalizeBookmarks(ws.inputBookmarks),
+    slots: Array.isArray(ws.slots) ? ws.slots.map(normalizeSlot) : [],
+    visible: visible.length ? visible : ['input'],
+    settings: ws.settings && typeof ws.settings === 'object' && !Array.isArray(ws.settings) ? ws.settings : {}
+  };
+}
+
+/** Saved workspaces of a viewer, most recently saved first (without documents). */
+export async function listWorkspaces(app) {
+  const all = await withStore(WORKSPACES, 'readonly', byApp(app));
+  return (all ?? [])
+    .map(({ id, name, note, created, updated, slots }) => ({ id, name, note, created, updated, slotCount: slots.filter((s) => s.value !== null).length }))
+    .sort((a, b) => b.updated - a.updated || b.id - a.id);
+}
+
+/** The full workspace record with `id`, or null. */
+export async function loadWorkspace(id) {
+  return (await withStore(WORKSPACES, 'readonly', (store) => store.get(id))) ?? null;
+}
+
+/**
+ * Save `ws` ({ name, note, input, inputBookmarks, slots, visible, settings }) for `app`;
+ * ws.id overwrites that workspace, otherwise a new one is created.
+ * Resolves with the id.
+ */
+export async function saveWorkspace(app, ws) {
+  const record = normalizeWorkspace({ ...ws, updated: Date.now() }, app);
+  if (ws.id != null) record.id = ws.id;
+  return withStore(WORKSPACES, 'readwrite', (store) => store.put(record));
+}
+
+export async function deleteWorkspace(id) {
+  await withStore(WORKSPACES, 'readwrite', (store) => store.delete(id));
+}
+
+/** Recent documents of a viewer, newest first: [{ id, name, size, opened }]. */
+export async function listRecentDocuments(app) {
+  const all = await withStore(RECENT, 'readonly', byApp(app));
+  return (all ?? []).map(({ id, name, size, opened }) => ({ id, name, size, opened })).sort((a, b) => b.opened - a.opened || b.id - a.id);
+}
+
+/** { name, text, opened } of a recent document, or null. */
+export async function loadRecentDocument(id) {
+  return (await withStore(RECENT, 'readonly', (store) => store.get(id))) ?? null;
+}
+
+/**
+ * Remember a document opened in a viewer. The same text opened again moves
+ * to the top; only the newest RECENT_MAX are kept, and documents over 10 MB
+ * are skipped.
+ */
+export async function addRecentDocument(app, name, text) {
+  const body = String(text ?? '');
+  if (!body.trim() || body.length > RECENT_MAX_CHARS) return;
+  const db = await openDb();
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(RECENT, 'readwrite');
+    const store = tx.objectStore(RECENT);
+    const req = store.index('app').getAll(IDBKeyRange.only(app));
+    req.onsuccess = () => {
+      const older = req.result.filter((r) => r.text === body);
+      const rest = req.result.filter((r) => r.text !== body).sort((a, b) => b.opened - a.opened || b.id - a.id);
+      older.concat(rest.slice(RECENT_MAX - 1)).forEach((r) => store.delete(r.id));
+      store.add({ app, name: String(name || 'Untitled'), size: body.length, text: body, opened: Date.now() });
+    };
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(new Error(`Workspace store error: ${tx.error?.message ?? tx.error}`));
+    tx.onabort = tx.onerror;
+  });
+}
+
+export async function clearRecentDocuments(app) {
+  const all = await withStore(RECENT, 'readonly', byApp(app));
+  if (!all?.length) return;
+  await withStore(RECENT, 'readwrite', (store) => { all.forEach((r) => store.delete(r.id)); return null; });
+}
+
+/** JSON text of a workspace for export (see parseWorkspaceFile). */
+export function workspaceToFile(app, ws) {
+  return `${JSON.stringify({ format: FILE_FORMAT, version: FILE_VERSION, ...normalizeWorkspace(ws, app) }, null, 2)}\n`;
+}
+
+/**
+ * Workspace record read from an exported file (without an id). Throws an
+ * Error saying what is wrong when the text is not a workspace file for `app`.
+ */
+export function parseWorkspaceFile(text, app) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Not a workspace file: ${e.message}`);
+  }
+  if (!data || data.format !== FILE_FORMAT) throw new Error('Not a workspace file (it was not exported from a Pavironica viewer).');
+  if (!(data.version <= FILE_VERSION)) throw new Error(`This workspace file is version ${data.version}; this page reads up to version ${FILE_VERSION}.`);
+  if (data.app !== app) throw new Error(`This workspace belongs to the ${APP_LABELS[data.app] ?? data.app}; open it there.`);
+  return normalizeWorkspace(data, app);
+}
+
+export default {
+  listWorkspaces, loadWorkspace, saveWorkspace, deleteWorkspace,
+  listRecentDocuments, loadRecentDocument, addRecentDocument, clearRecentDocuments,
+  workspaceToFile, parseWorkspaceFile, normalizeSlot
+};
@@ -1,5 +1,8 @@
 // XML Comparator (ES module)
 // - orderSensitive: when false, compares children after sorting by (tagName, attributes)
+// - namespaces: when true, names compare as {namespace URI}local name, so
+//   soap:Body and a default-namespaced Body are the same element; prefixes
+//   and xmlns declarations are ignored
 
 function parseXml(text, label = 'XML') {
   const parser = new DOMParser();
@@ -12,10 +15,21 @@ function parseXml(text, label = 'XML') {
   return doc.documentElement; // root element
 }
 
-function attrsMap(node) {
+const XMLNS_NS = 'http://www.w3.org/2000/xmlns/';
+
+// Name of an element or attribute; {uri}local when comparing by namespace
+function nameOf(node, namespaces) {
+  if (!namespaces) return node.nodeName;
+  return node.namespaceURI ? `{${node.namespaceURI}}${node.localName}` : node.localName;
+}
+
+function attrsMap(node, namespaces) {
   const out = {};
   if (!node.attributes) return out;
-  for (const a of node.attributes) out[a.name] = a.value;
+  for (const a of node.attributes) {
+    if (namespaces && a.namespaceURI === XMLNS_NS) continue;
+    out[nameOf(a, namespaces)] = a.value;
+  }
   return out;
 }
 
@@ -23,17 +37,19 @@ function attrsKey(attrs) {
   return Object.keys(attrs).sort().map(k => `${k}=${JSON.stringify(attrs[k])}`).join('|');
 }
 
-function normalize(node, orderSensitive) {
+// `name` is what paths show: the tag, or the local name when comparing by namespace
+function normalize(node, orderSensitive, namespaces) {
   if (node.nodeType === Node.TEXT_NODE) {
     const t = (node.nodeValue || '').trim();
     return t.length ? t : '';
   }
   if (node.nodeType !== Node.ELEMENT_NODE) return '';
-  const tag = node.tagName;
-  const attrib = attrsMap(node);
+  const tag = nameOf(node, namespaces);
+  const name = namespaces ? node.localName : node.tagName;
+  const attrib = attrsMap(node, namespaces);
   const children = [];
   for (const ch of node.childNodes) {
-    const n = normalize(ch, orderSensitive);
+    const n = normalize(ch, orderSensitive, namespaces);
     if (n === '' || n === undefined) continue;
     children.push(n);
   }
@@ -46,7 +62,7 @@ function normalize(node, orderSensitive) {
       return ka < kb ? -1 : ka > kb ? 1 : 0;
     });
   }
-  return { tag, attrib, children };
+  return { tag, name, attrib, children };
 }
 
 function* diff(n1, n2, path = '') {
@@ -72,18 +88,18 @@ function* diff(n1, n2, path = '') {
   const min = Math.min(c1.length, c2.length);
   for (let i = 0; i < min; i++) {
     const child = c1[i];
-    const tag = typeof child === 'string' ? '#text' : child.tag;
+    const tag = typeof child === 'string' ? '#text' : child.name;
     const nextPath = `${path}/${tag}`;
     yield* diff(c1[i], c2[i], nextPath);
   }
   if (c1.length > c2.length) {
     for (let i = c2.length; i < c1.length; i++) {
-      const tag = typeof c1[i] === 'string' ? '#text' : c1[i].tag;
+      const tag = typeof c1[i] === 'string' ? '#text' : c1[i].name;
       yield `Extra element ${path || '/'}${path ? '/' : ''}${tag} in first.`;
     }
   } else if (c2.length > c1.length) {
     for (let i = c1.length; i < c2.length; i++) {
-      const tag = typeof c2[i] === 'string' ? '#text' : c2[i].tag;
+      const tag = typeof c2[i] === 'string' ? '#text' : c2[i].name;
       yield `Extra element ${path || '/'}${path ? '/' : ''}${tag} in second.`;
     }
   }
@@ -91,11 +107,12 @@ function* diff(n1, n2, path = '') {
 
 export function compare(xmlText1, xmlText2, opts = {}) {
   const orderSensitive = !!opts.orderSensitive;
+  const namespaces = !!opts.namespaces;
   const root1 = parseXml(xmlText1, 'XML A');
   const root2 = parseXml(xmlText2, 'XML B');
-  const n1 = normalize(root1, orderSensitive);
-  const n2 = normalize(root2, orderSensitive);
-  return Array.from(diff(n1, n2, `/${root1.tagName}`));
+  const n1 = normalize(root1, orderSensitive, namespaces);
+  const n2 = normalize(root2, orderSensitive, namespaces);
+  return Array.from(diff(n1, n2, `/${n1.name}`));
 }
 
 export default { compare };
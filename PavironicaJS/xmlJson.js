@@ -0,0 +1,235 @@
+// XML <-> JSON conversion helpers (ES module; reads parsed DOM elements and
+// JSON values, writes JSON values and XML text)
+// - XML_JSON_CONVENTIONS: the mapping conventions, with the labels the pages show
+// - normalizeMapping / mappingError: conversion options with their defaults,
+//   and why a mapping cannot be used
+// - xmlToJson: an element as a JSON value (BadgerFish, Parker or custom)
+// - jsonToXml: a JSON value as indented XML text, read with the same convention
+// Comments and processing instructions are not carried over; CDATA is read as
+// text, and the text of mixed content is joined and written before the children.
+
+import { isLosslessNumber, losslessNumber, numberText } from './jsonText.js';
+
+export const XML_JSON_CONVENTIONS = [
+  { id: 'badgerfish', label: 'BadgerFish', title: 'Attributes as "@name", text as "$", namespace declarations under "@xmlns"; every value is a string' },
+  { id: 'parker', label: 'Parker', title: 'Elements only: attributes, namespaces and the root element are left out; numbers and booleans become JSON numbers and booleans' },
+  { id: 'custom', label: 'Custom prefix', title: 'Attributes as the prefix plus their name, text under the text key; an element with text only becomes a string' }
+];
+
+const XMLNS_NS = 'http://www.w3.org/2000/xmlns/';
+const NAME_RE = /^[\p{L}_][\p{L}\p{N}._\-·]*(?::[\p{L}_][\p{L}\p{N}._\-·]*)?$/u;
+const JSON_NUMBER_RE = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+
+/**
+ * Conversion options with their defaults: { convention, attrPrefix, textKey,
+ * alwaysArrays, rootName }. rootName names the root element when the JSON
+ * does not (Parker, or several top-level keys).
+ */
+export function normalizeMapping(raw) {
+  const m = raw && typeof raw === 'object' ? raw : {};
+  return {
+    convention: XML_JSON_CONVENTIONS.some((c) => c.id === m.convention) ? m.convention : 'badgerfish',
+    attrPrefix: typeof m.attrPrefix === 'string' ? m.attrPrefix : '@',
+    textKey: typeof m.textKey === 'string' ? m.textKey : '#text',
+    alwaysArrays: !!m.alwaysArrays,
+    rootName: typeof m.rootName === 'string' && m.rootName.trim() ? m.rootName.trim() : 'root'
+  };
+}
+
+/** Why a mapping from normalizeMapping cannot be used, or null. */
+export function mappingError(mapping) {
+  if (!NAME_RE.test(mapping.rootName)) return `"${mapping.rootName}" is not a valid root element name.`;
+  if (mapping.convention !== 'custom') return null;
+  if (!mapping.attrPrefix) return 'The attribute prefix cannot be empty: every key would read as an attribute.';
+  if (!mapping.textKey) return 'The text key cannot be empty.';
+  if (mapping.textKey.startsWith(mapping.attrPrefix)) return `The text key "${mapping.textKey}" starts with the attribute prefix "${mapping.attrPrefix}".`;
+  if (NAME_RE.test(mapping.textKey)) return `The text key "${mapping.textKey}" could be an element name; use one like #text.`;
+  return null;
+}
+
+// Own property even for names like __proto__
+function setKey(obj, key, value) {
+  Object.defineProperty(obj, key, { value, writable: true, enumerable: true, configurable: true });
+}
+
+// ---- XML to JSON ----
+
+function childElements(el) {
+  return Array.from(el.childNodes).filter((n) => n.nodeType === 1);
+}
+
+// Text and CDATA of the element itself, joined; indentation is not text
+function ownText(el) {
+  let text = '';
+  for (const n of el.childNodes) if (n.nodeType === 3 || n.nodeType === 4) text += n.nodeValue;
+  return text.trim();
+}
+
+// Parker's typed text; a number JavaScript cannot hold exactly keeps its text (1.50, 64-bit ids)
+function typedValue(text) {
+  if (text === '') return null;
+  if (text === 'true' || text === 'false') return text === 'true';
+  if (!JSON_NUMBER_RE.test(text)) return text;
+  return String(Number(text)) === text ? Number(text) : losslessNumber(text);
+}
+
+// Child elements under their names; repeated names (or all, with alwaysArrays)
+// as arrays. Parker has no namespaces, so its names are local names.
+function addChildren(el, out, convert, alwaysArrays, localNames = false) {
+  const kids = childElements(el);
+  const nameOf = (k) => (localNames ? k.localName : k.tagName);
+  const totals = new Map();
+  kids.forEach((k) => totals.set(nameOf(k), (totals.get(nameOf(k)) || 0) + 1));
+  for (const k of kids) {
+    const name = nameOf(k);
+    const value = convert(k);
+    if (!alwaysArrays && totals.get(name) === 1) { setKey(out, name, value); continue; }
+    if (!Object.hasOwn(out, name)) setKey(out, name, []);
+    out[name].push(value);
+  }
+  return out;
+}
+
+function toBadgerFish(el, alwaysArrays) {
+  const out = {};
+  const namespaces = {};
+  const attrs = [];
+  for (const a of el.attributes) {
+    if (a.namespaceURI === XMLNS_NS) namespaces[a.prefix ? a.localName : '$'] = a.value;
+    else attrs.push(a);
+  }
+  if (Object.keys(namespaces).length) out['@xmlns'] = namespaces;
+  attrs.forEach((a) => setKey(out, `@${a.name}`, a.value));
+  const text = ownText(el);
+  if (text) out.$ = text;
+  return addChildren(el, out, (k) => toBadgerFish(k, alwaysArrays), alwaysArrays);
+}
+
+function toParker(el, alwaysArrays) {
+  if (!childElements(el).length) return typedValue(ownText(el));
+  return addChildren(el, {}, (k) => toParker(k, alwaysArrays), alwaysArrays, true);
+}
+
+function toCustom(el, mapping) {
+  const text = ownText(el);
+  if (!el.attributes.length && !childElements(el).length) return text === '' ? null : text;
+  const out = {};
+  for (const a of el.attributes) setKey(out, mapping.attrPrefix + a.name, a.value);
+  if (text) setKey(out, mapping.textKey, text);
+  return addChildren(el, out, (k) => toCustom(k, mapping), mapping.alwaysArrays);
+}
+
+/**
+ * The JSON value of an element (or a document's root element) under a
+ * mapping. BadgerFish and custom keep the root as the single top-level key;
+ * Parker leaves it out. Numbers Parker cannot hold exactly are
+ * losslessNumber()s, for stringifyLossless. Throws an Error for a mapping
+ * that cannot be used.
+ */
+export function xmlToJson(node, mapping) {
+  const m = normalizeMapping(mapping);
+  const err = mappingError(m);
+  if (err) throw new Error(err);
+  const root = node.nodeType === 9 ? node.documentElement : node;
+  if (m.convention === 'parker') return toParker(root, m.alwaysArrays);
+  const out = {};
+  setKey(out, root.tagName, m.convention === 'badgerfish' ? toBadgerFish(root, m.alwaysArrays) : toCustom(root, m));
+  return out;
+}
+
+// ---- JSON to XML ----
+
+function escapeText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttr(text) {
+  return escapeText(text).replace(/"/g, '&quot;').replace(/\n/g, '&#10;').replace(/\r/g, '&#13;').replace(/\t/g, '&#9;');
+}
+
+function isScalar(value) {
+  return value === null || typeof value !== 'object' || isLosslessNumber(value);
+}
+
+function scalarText(value) {
+  if (value === null) return '';
+  return numberText(value) ?? String(value);
+}
+
+// An element's value split into attributes, text and children as the convention reads it
+function splitValue(value, m) {
+  if (isScalar(value)) return { attrs: [], text: scalarText(value), children: [] };
+  const parts = { attrs: [], text: '', children: [] };
+  for (const [key, v] of Object.entries(value)) {
+    if (m.convention === 'badgerfish' && key === '@xmlns' && !isScalar(v) && !Array.isArray(v)) {
+      Object.entries(v).forEach(([prefix, uri]) => parts.attrs.push([prefix === '$' ? 'xmlns' : `xmlns:${prefix}`, uri]));
+    } else if (m.convention !== 'parker' && key.startsWith(m.convention === 'badgerfish' ? '@' : m.attrPrefix)) {
+      parts.attrs.push([key.slice(m.convention === 'badgerfish' ? 1 : m.attrPrefix.length), v]);
+    } else if (m.convention !== 'parker' && key === (m.convention === 'badgerfish' ? '$' : m.textKey)) {
+      parts.text += isScalar(v) ? scalarText(v) : '';
+    } else {
+      parts.children.push([key, v]);
+    }
+  }
+  return parts;
+}
+
+/**
+ * XML text for a JSON value, read with the convention that xmlToJson wrote it
+ * with. Arrays repeat their element; an array directly inside an array
+ * becomes an element holding <item> elements. Throws an Error for keys that
+ * cannot be element or attribute names, for prefixes no xmlns declaration
+ * binds, and for attributes without a scalar value.
+ */
+export function jsonToXml(value, mapping, indent = 2) {
+  const m = normalizeMapping(mapping);
+  const err = mappingError(m);
+  if (err) throw new Error(err);
+  const lines = [];
+  const pad = (depth) => ' '.repeat(indent * depth);
+
+  function checkName(name, what, prefixes) {
+    if (!NAME_RE.test(name)) throw new Error(`"${name}" cannot be an XML ${what} name.`);
+    const prefix = name.includes(':') ? name.slice(0, name.indexOf(':')) : null;
+    if (prefix && prefix !== 'xml' && prefix !== 'xmlns' && !prefixes.has(prefix)) {
+      throw new Error(`The prefix of "${name}" is not declared: add an xmlns:${prefix} attribute${m.convention === 'parker' ? ', or use another convention: Parker has no attributes' : ''}.`);
+    }
+  }
+
+  // `prefixes`: the namespace prefixes declared by the enclosing elements
+  function write(name, v, depth, inArray, prefixes) {
+    if (Array.isArray(v) && !inArray) {
+      v.forEach((item) => write(name, item, depth, true, prefixes));
+      return;
+    }
+    const parts = Array.isArray(v)
+      ? { attrs: [], text: '', children: v.map((item) => ['item', item, true]) }
+      : splitValue(v, m);
+    const declared = parts.attrs.filter(([attr]) => attr.startsWith('xmlns:')).map(([attr]) => attr.slice(6));
+    const scope = declared.length ? new Set([...prefixes, ...declared]) : prefixes;
+    checkName(name, 'element', scope);
+    const attrs = parts.attrs.map(([attr, attrValue]) => {
+      checkName(attr, 'attribute', scope);
+      if (!isScalar(attrValue)) throw new Error(`Attribute "${attr}" of <${name}> needs a text, number or boolean value.`);
+      return ` ${attr}="${escapeAttr(scalarText(attrValue))}"`;
+    }).join('');
+    if (!parts.children.length) {
+      lines.push(parts.text ? `${pad(depth)}<${name}${attrs}>${escapeText(parts.text)}</${name}>` : `${pad(depth)}<${name}${attrs}/>`);
+      return;
+    }
+    lines.push(`${pad(depth)}<${name}${attrs}>`);
+    if (parts.text) lines.push(pad(depth + 1) + escapeText(parts.text));
+    parts.children.forEach(([child, childValue, nested]) => write(child, childValue, depth + 1, !!nested, scope));
+    lines.push(`${pad(depth)}</${name}>`);
+  }
+
+  // BadgerFish and custom JSON name the root as their single top-level key
+  const keys = isScalar(value) || Array.isArray(value) ? [] : Object.keys(value);
+  const single = m.convention !== 'parker' && keys.length === 1 && !Array.isArray(value[keys[0]])
+    && splitValue(value, m).children.length === 1;
+  if (single) write(keys[0], value[keys[0]], 0, false, new Set());
+  else write(m.rootName, value, 0, true, new Set());
+  return lines.join('\n');
+}
+
+export default { XML_JSON_CONVENTIONS, normalizeMapping, mappingError, xmlToJson, jsonToXml };
@@ -0,0 +1,943 @@
+// XML Schema helpers for the XML Viewer (ES module; works on parsed DOM
+// documents, schema and instance alike)
+// - compileXsd: read an XSD 1.0 schema document into declarations
+// - validateXsd: validate a document against a compiled schema: element
+//   structure, occurrence limits, simple types with facets and attributes;
+//   errors carry the tree path (catalog/book[2]/@id) of the offending node
+// - locateStartTags: the editor line of each start tag and its attributes
+// One self-contained schema: xs:include, xs:import and xs:redefine are reported
+// as a schema error. Identity constraints (key, keyref, unique) and xsi:type
+// are not checked.
+
+import { createNodePathMapper } from './xmlXPath.js';
+
+export const XSD_MAX_ERRORS = 5000;
+
+const XS = 'http://www.w3.org/2001/XMLSchema';
+const XSI = 'http://www.w3.org/2001/XMLSchema-instance';
+const XMLNS = 'http://www.w3.org/2000/xmlns/';
+const STOP = Symbol('stop');
+const NONE = new Set();
+
+// ---- Built-in simple types ----
+
+const NCNAME = '[\\p{L}_][\\p{L}\\p{N}\\p{M}._\\-\\u00B7]*';
+const TZ = '(Z|[+-]\\d{2}:\\d{2})?';
+const lexical = (source) => {
+  const re = new RegExp(`^(?:${source})$`, 'u');
+  return (v) => re.test(v);
+};
+
+function validYmd(y, m, d) {
+  if (m < 1 || m > 12) return false;
+  const days = [31, (y % 4 === 0 && y % 100 !== 0) || y % 400 === 0 ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][m - 1];
+  return d >= 1 && d <= days;
+}
+
+function validTime(h, mi, s) {
+  return (h < 24 && mi < 60 && s < 60) || (h === 24 && mi === 0 && s === 0);
+}
+
+function checkDate(v) {
+  const m = /^(-?\d{4,})-(\d{2})-(\d{2})(Z|[+-]\d{2}:\d{2})?$/.exec(v);
+  return !!m && validYmd(+m[1], +m[2], +m[3]);
+}
+
+function checkDateTime(v) {
+  const m = /^(-?\d{4,})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2}(?:\.\d+)?)(Z|[+-]\d{2}:\d{2})?$/.exec(v);
+  return !!m && validYmd(+m[1], +m[2], +m[3]) && validTime(+m[4], +m[5], +m[6]);
+}
+
+function checkTime(v) {
+  const m = /^(\d{2}):(\d{2}):(\d{2}(?:\.\d+)?)(Z|[+-]\d{2}:\d{2})?$/.exec(v);
+  return !!m && validTime(+m[1], +m[2], +m[3]);
+}
+
+function checkBase64(v) {
+  const s = v.replace(/\s+/g, '');
+  return s.length % 4 === 0 && /^[A-Za-z0-9+/]*={0,2}$/.test(s);
+}
+
+// Lexical checks of the primitive and derived built-ins; integer ranges follow
+const BUILTIN_CHECKS = {
+  anySimpleType: () => true,
+  string: () => true,
+  normalizedString: () => true,
+  token: () => true,
+  language: lexical('[a-zA-Z]{1,8}(-[a-zA-Z0-9]{1,8})*'),
+  Name: lexical('[\\p{L}_:][\\p{L}\\p{N}\\p{M}._:\\-\\u00B7]*'),
+  NCName: lexical(NCNAME),
+  ID: lexical(NCNAME),
+  IDREF: lexical(NCNAME),
+  ENTITY: lexical(NCNAME),
+  NMTOKEN: lexical('[\\p{L}\\p{N}\\p{M}._:\\-\\u00B7]+'),
+  QName: lexical(`(${NCNAME}:)?${NCNAME}`),
+  NOTATION: lexical(`(${NCNAME}:)?${NCNAME}`),
+  anyURI: () => true,
+  boolean: lexical('true|false|1|0'),
+  decimal: lexical('[+-]?(\\d+(\\.\\d*)?|\\.\\d+)'),
+  integer: lexical('[+-]?\\d+'),
+  float: lexical('[+-]?(\\d+(\\.\\d*)?|\\.\\d+)([eE][+-]?\\d+)?|[+-]?INF|NaN'),
+  double: lexical('[+-]?(\\d+(\\.\\d*)?|\\.\\d+)([eE][+-]?\\d+)?|[+-]?INF|NaN'),
+  duration: lexical('-?P(?=\\d|T\\d)(\\d+Y)?(\\d+M)?(\\d+D)?(T(?=\\d)(\\d+H)?(\\d+M)?(\\d+(\\.\\d+)?S)?)?'),
+  date: checkDate,
+  dateTime: checkDateTime,
+  time: checkTime,
+  gYear: lexical(`-?\\d{4,}${TZ}`),
+  gYearMonth: (v) => { const m = new RegExp(`^-?\\d{4,}-(\\d{2})${TZ}$`).exec(v); return !!m && +m[1] >= 1 && +m[1] <= 12; },
+  gMonth: (v) => { const m = new RegExp(`^--(\\d{2})${TZ}$`).exec(v); return !!m && +m[1] >= 1 && +m[1] <= 12; },
+  gMonthDay: (v) => { const m = new RegExp(`^--(\\d{2})-(\\d{2})${TZ}$`).exec(v); return !!m && validYmd(2000, +m[1], +m[2]); },
+  gDay: (v) => { const m = new RegExp(`^---(\\d{2})${TZ}$`).exec(v); return !!m && +m[1] >= 1 && +m[1] <= 31; },
+  hexBinary: lexical('([0-9a-fA-F]{2})*'),
+  base64Binary: checkBase64
+};
+
+const INTEGER_RANGES = {
+  long: [-(2n ** 63n), 2n ** 63n - 1n],
+  int: [-2147483648n, 2147483647n],
+  short: [-32768n, 32767n],
+  byte: [-128n, 127n],
+  unsignedLong: [0n, 2n ** 64n - 1n],
+  unsignedInt: [0n, 4294967295n],
+  unsignedShort: [0n, 65535n],
+  unsignedByte: [0n, 255n],
+  nonNegativeInteger: [0n, null],
+  positiveInteger: [1n, null],
+  nonPositiveInteger: [null, 0n],
+  negativeInteger: [null, -1n]
+};
+
+const LIST_BUILTINS = { IDREFS: 'IDREF', ENTITIES: 'ENTITY', NMTOKENS: 'NMTOKEN' };
+
+// The primitive a built-in derives from (what its facets compare)
+function primitiveOf(name) {
+  if (name in INTEGER_RANGES || name === 'integer' || name === 'decimal') return 'decimal';
+  if (name === 'double') return 'float';
+  if (BUILTIN_CHECKS[name] && /^(float|boolean|duration|date|dateTime|time|g\w+|hexBinary|base64Binary|anyURI|QName|NOTATION)$/.test(name)) return name;
+  return 'string';
+}
+
+function builtinWhiteSpace(name) {
+  if (name === 'string' || name === 'anySimpleType') return 'preserve';
+  if (name === 'normalizedString') return 'replace';
+  return 'collapse';
+}
+
+function builtinType(name) {
+  if (name in LIST_BUILTINS) return { kind: 'simple', name: `xs:${name}`, variety: 'list', itemType: builtinType(LIST_BUILTINS[name]), facets: {}, whiteSpace: 'collapse' };
+  if (!(name in BUILTIN_CHECKS) && !(name in INTEGER_RANGES)) return null;
+  return { kind: 'simple', name: `xs:${name}`, variety: 'atomic', builtin: name, primitive: primitiveOf(name), facets: {}, whiteSpace: builtinWhiteSpace(name) };
+}
+
+function checkBuiltin(name, value) {
+  if (name in INTEGER_RANGES) {
+    if (!BUILTIN_CHECKS.integer(value)) return false;
+    const n = BigInt(value.replace(/^\+/, ''));
+    const [min, max] = INTEGER_RANGES[name];
+    return (min === null || n >= min) && (max === null || n <= max);
+  }
+  return BUILTIN_CHECKS[name](value);
+}
+
+// ---- Patterns (XSD regular expressions are anchored and have a few extra escapes) ----
+
+const BLOCKS = { IsBasicLatin: '\\u0000-\\u007F', 'IsLatin-1Supplement': '\\u0080-\\u00FF', IsLatinExtended: '\\u0100-\\u024F' };
+
+function xsdPatternSource(src) {
+  let out = '';
+  let inClass = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (ch === '\\') {
+      const next = src[i + 1] ?? '';
+      i++;
+      if (next === 'i' || next === 'I') out += inClass ? '\\p{L}_:' : next === 'i' ? '[\\p{L}_:]' : '[^\\p{L}_:]';
+      else if (next === 'c' || next === 'C') out += inClass ? '\\p{L}\\p{N}\\p{M}._:\\-' : next === 'c' ? '[\\p{L}\\p{N}\\p{M}._:\\-]' : '[^\\p{L}\\p{N}\\p{M}._:\\-]';
+      else if (next === 'd') out += '\\p{Nd}';
+      else if (next === 'D') out += '\\P{Nd}';
+      else if (next === 'w') out += inClass ? '\\p{L}\\p{M}\\p{N}\\p{S}' : '[\\p{L}\\p{M}\\p{N}\\p{S}]';
+      else if (next === 'W') out += inClass ? '\\p{P}\\p{Z}\\p{C}' : '[\\p{P}\\p{Z}\\p{C}]';
+      else if ((next === 'p' || next === 'P') && src[i + 1] === '{') {
+        const end = src.indexOf('}', i);
+        const name = src.slice(i + 2, end);
+        i = end;
+        if (name.startsWith('Is')) {
+          if (!BLOCKS[name]) throw new Error(`the Unicode block \\p{${name}} is not supported`);
+          out += next === 'p' ? (inClass ? BLOCKS[name] : `[${BLOCKS[name]}]`) : `[^${BLOCKS[name]}]`;
+        } else out += `\\${next}{${name}}`;
+      } else if (next === '-' && !inClass) out += '-';
+      else out += `\\${next}`;
+      continue;
+    }
+    if (inClass) {
+      if (ch === '-' && src[i + 1] === '[') throw new Error('character class subtraction is not supported');
+      if (ch === ']') inClass = false;
+      out += ch;
+      continue;
+    }
+    if (ch === '[') { inClass = true; out += ch; if (src[i + 1] === '^') { out += '^'; i++; } continue; }
+    out += ch === '^' || ch === '$' ? `\\${ch}` : ch;
+  }
+  return out;
+}
+
+function compilePattern(source) {
+  try {
+    return new RegExp(`^(?:${xsdPatternSource(source)})$`, 'u');
+  } catch (e) {
+    throw new Error(`The pattern "${source}" cannot be used: ${String(e.message).replace(/^Invalid regular expression: (\/[\s\S]*\/[a-z]*: )?/, '')}`);
+  }
+}
+
+// ---- Facets ----
+
+function normalizeSpace(value, whiteSpace) {
+  if (whiteSpace === 'replace') return value.replace(/[\t\n\r]/g, ' ');
+  if (whiteSpace === 'collapse') return value.replace(/[\t\n\r ]+/g, ' ').trim();
+  return value;
+}
+
+// A value facets can compare, or null when the primitive has no order here
+function orderKey(primitive, value) {
+  if (primitive === 'decimal' || primitive === 'float') {
+    if (value === 'INF' || value === '+INF') return Infinity;
+    if (value === '-INF') return -Infinity;
+    return Number(value);
+  }
+  const tz = (v) => (/(Z|[+-]\d{2}:\d{2})$/.test(v) ? v : `${v}Z`);
+  if (primitive === 'dateTime') return Date.parse(tz(value));
+  if (primitive === 'date') return Date.parse(tz(value).replace(/^(-?\d{4,}-\d{2}-\d{2})/, '$1T00:00:00'));
+  if (primitive === 'time') return Date.parse(`1970-01-01T${tz(value)}`);
+  if (primitive === 'gYear') return Number(value.slice(0, value.search(/\d(Z|[+-]\d{2}:|$)/) + 1));
+  return null;
+}
+
+function lengthOf(primitive, value) {
+  if (primitive === 'hexBinary') return value.length / 2;
+  if (primitive === 'base64Binary') {
+    const s = value.replace(/\s+/g, '');
+    return (s.length / 4) * 3 - (s.endsWith('==') ? 2 : s.endsWith('=') ? 1 : 0);
+  }
+  return [...value].length;
+}
+
+function decimalDigits(value) {
+  const [int, frac = ''] = value.replace(/^[+-]/, '').split('.');
+  const intDigits = int.replace(/^0+/, '');
+  const fracDigits = frac.replace(/0+$/, '');
+  return { total: Math.max(1, intDigits.length + fracDigits.length), fraction: fracDigits.length };
+}
+
+function quoted(value, max = 60) {
+  const text = value.length > max ? `${value.slice(0, max - 1)}…` : value;
+  return `"${text}"`;
+}
+
+// The first facet `value` breaks, as { keyword, message }, or null
+function checkFacets(type, value, primitive, length) {
+  const f = type.facets;
+  if (f.enumeration && !f.enumeration.includes(value)) {
+    const shown = f.enumeration.slice(0, 8).map((v) => `"${v}"`).join(', ');
+    return { keyword: 'enumeration', message: `${quoted(value)} is not one of ${shown}${f.enumeration.length > 8 ? ', …' : ''}.` };
+  }
+  if (f.patterns) {
+    for (const group of f.patterns) {
+      if (!group.some((p) => p.regex.test(value))) return { keyword: 'pattern', message: `${quoted(value)} does not match the pattern ${group.map((p) => p.source).join(' | ')}.` };
+    }
+  }
+  // lists count items, binary types bytes, everything else characters
+  const unit = primitive === 'list' ? 'item' : primitive === 'hexBinary' || primitive === 'base64Binary' ? 'byte' : 'character';
+  const amount = (n) => `${n} ${unit}${n === 1 ? '' : 's'}`;
+  if (f.length != null && length !== f.length) return { keyword: 'length', message: `${quoted(value)} has ${amount(length)}; exactly ${f.length} required.` };
+  if (f.minLength != null && length < f.minLength) return { keyword: 'minLength', message: `${quoted(value)} has ${amount(length)}; at least ${f.minLength} required.` };
+  if (f.maxLength != null && length > f.maxLength) return { keyword: 'maxLength', message: `${quoted(value)} has ${amount(length)}; at most ${f.maxLength} allowed.` };
+  const bounds = [
+    ['minInclusive', (a, b) => a >= b, 'less than'],
+    ['maxInclusive', (a, b) => a <= b, 'greater than'],
+    ['minExclusive', (a, b) => a > b, 'not greater than'],
+    ['maxExclusive', (a, b) => a < b, 'not less than']
+  ];
+  for (const [name, ok, word] of bounds) {
+    if (f[name] == null) continue;
+    const a = orderKey(primitive, value);
+    const b = orderKey(primitive, f[name]);
+    if (a === null || b === null || Number.isNaN(a) || Number.isNaN(b)) continue;
+    if (!ok(a, b)) return { keyword: name, message: `${value} is ${word} ${f[name]}.` };
+  }
+  if ((f.totalDigits != null || f.fractionDigits != null) && primitive === 'decimal') {
+    const digits = decimalDigits(value);
+    if (f.totalDigits != null && digits.total > f.totalDigits) return { keyword: 'totalDigits', message: `${value} has ${digits.total} digits; at most ${f.totalDigits} are allowed.` };
+    if (f.fractionDigits != null && digits.fraction > f.fractionDigits) return { keyword: 'fractionDigits', message: `${value} has ${digits.fraction} decimals; at most ${f.fractionDigits} are allowed.` };
+  }
+  return null;
+}
+
+function whiteSpaceOf(type) {
+  for (let t = type; t; t = t.base) if (t.whiteSpace) return t.whiteSpace;
+  return 'collapse';
+}
+
+function primitiveOfType(type) {
+  for (let t = type; t; t = t.base) if (t.primitive) return t.primitive;
+  return 'string';
+}
+
+/** Check a text value against a compiled simple type: null, or { keyword, message }. */
+function checkSimpleValue(type, raw) {
+  const value = normalizeSpace(raw, whiteSpaceOf(type));
+  if (type.variety === 'union') {
+    if (type.memberTypes.some((m) => !checkSimpleValue(m, raw))) return checkFacets(type, value, 'string', [...value].length);
+    return { keyword: 'type', message: `${quoted(value)} matches none of ${type.memberTypes.map((m) => m.name).join(', ')}.` };
+  }
+  if (type.variety === 'list') {
+    const items = value ? value.split(' ') : [];
+    for (const item of items) {
+      const err = type.itemType ? checkSimpleValue(type.itemType, item) : null;
+      if (err) return { keyword: err.keyword, message: `List item ${err.message}` };
+    }
+    const own = type.base ? checkSimpleValue(type.base, raw) : null;
+    return own ?? checkFacets(type, value, 'list', items.length);
+  }
+  if (type.builtin) {
+    return checkBuiltin(type.builtin, value) ? null : { keyword: 'type', message: `${quoted(value)} is not a valid ${type.name}.` };
+  }
+  const fromBase = checkSimpleValue(type.base, raw);
+  if (fromBase) return fromBase;
+  const primitive = primitiveOfType(type);
+  return checkFacets(type, value, primitive, lengthOf(primitive, value));
+}
+
+// ---- Schema compilation ----
+
+function xsChildren(el, ...names) {
+  return Array.from(el.childNodes).filter((n) => n.nodeType === 1 && n.namespaceURI === XS && (!names.length || names.includes(n.localName)));
+}
+
+function keyOf(ns, local) {
+  return `${ns ?? ''}|${local}`;
+}
+
+function occurs(el) {
+  const min = el.hasAttribute('minOccurs') ? Number(el.getAttribute('minOccurs')) : 1;
+  const rawMax = el.getAttribute('maxOccurs');
+  const max = rawMax === 'unbounded' ? Infinity : rawMax !== null ? Number(rawMax) : 1;
+  if (!Number.isInteger(min) || min < 0 || !(max === Infinity || (Number.isInteger(max) && max >= min))) {
+    throw new Error(`Invalid minOccurs/maxOccurs on <xs:${el.localName}${el.getAttribute('name') ? ` name="${el.getAttribute('name')}"` : ''}>.`);
+  }
+  return { min, max };
+}
+
+// Which namespaces a wildcard (xs:any, xs:anyAttribute) accepts
+function namespaceTest(el, tns) {
+  const spec = (el.getAttribute('namespace') || '##any').trim();
+  if (spec === '##any') return () => true;
+  if (spec === '##other') return (ns) => ns !== null && ns !== tns;
+  const allowed = new Set(spec.split(/\s+/).map((t) => (t === '##local' ? null : t === '##targetNamespace' ? tns : t)));
+  return (ns) => allowed.has(ns);
+}
+
+function anyTypeDefinition() {
+  const wildcard = { kind: 'any', min: 0, max: Infinity, test: () => true, process: 'lax' };
+  return { kind: 'complex', name: 'xs:anyType', content: 'mixed', particle: wildcard, attributes: new Map(), anyAttribute: { test: () => true, process: 'lax' } };
+}
+
+/**
+ * Read an XSD document (or its xs:schema element) into a compiled schema.
+ * Throws an Error describing the first problem for a schema it cannot use.
+ */
+export function compileXsd(schemaDoc) {
+  const root = schemaDoc.nodeType === 9 ? schemaDoc.documentElement : schemaDoc;
+  if (!root || root.namespaceURI !== XS || root.localName !== 'schema') {
+    throw new Error(`The schema's root element must be xs:schema in the namespace ${XS}.`);
+  }
+  const outside = xsChildren(root, 'include', 'import', 'redefine')[0];
+  if (outside) {
+    throw new Error(`<xs:${outside.localName}> is not supported: paste one self-contained schema (${outside.getAttribute('schemaLocation') || outside.getAttribute('namespace') || 'no location'}).`);
+  }
+  const tns = root.getAttribute('targetNamespace') || null;
+  const qualifiedElements = root.getAttribute('elementFormDefault') === 'qualified';
+  const qualifiedAttributes = root.getAttribute('attributeFormDefault') === 'qualified';
+
+  const tops = { element: new Map(), type: new Map(), group: new Map(), attributeGroup: new Map(), attribute: new Map() };
+  for (const el of xsChildren(root)) {
+    const name = el.getAttribute('name');
+    const bucket = el.localName === 'complexType' || el.localName === 'simpleType' ? 'type' : el.localName;
+    if (name && tops[bucket]) tops[bucket].set(keyOf(tns, name), el);
+  }
+  const compiled = { element: new Map(), type: new Map(), group: new Map(), attributeGroup: new Map(), attribute: new Map() };
+
+  // Global elements naming a substitution group head, by the head's key
+  const substitutes = new Map();
+  for (const [key, el] of tops.element) {
+    const head = el.getAttribute('substitutionGroup');
+    if (!head) continue;
+    const headKey = resolveKey(el, head);
+    if (!substitutes.has(headKey)) substitutes.set(headKey, []);
+    substitutes.get(headKey).push(key);
+  }
+
+  function resolveKey(el, qname) {
+    const i = qname.indexOf(':');
+    const prefix = i < 0 ? null : qname.slice(0, i);
+    const ns = el.lookupNamespaceURI(prefix);
+    if (prefix && ns === null) throw new Error(`Unknown namespace prefix "${prefix}" in "${qname}".`);
+    return keyOf(ns || null, i < 0 ? qname : qname.slice(i + 1));
+  }
+
+  function lookupTop(bucket, el, qname, what) {
+    const key = resolveKey(el, qname);
+    const found = tops[bucket].get(key);
+    if (!found) throw new Error(`Unknown ${what} "${qname}".`);
+    return [key, found];
+  }
+
+  function typeByName(el, qname) {
+    const key = resolveKey(el, qname);
+    if (key.startsWith(`${XS}|`)) {
+      const local = key.slice(XS.length + 1);
+      if (local === 'anyType') return anyTypeDefinition();
+      const builtin = builtinType(local);
+      if (!builtin) throw new Error(`Unknown built-in type "${qname}".`);
+      return builtin;
+    }
+    if (compiled.type.has(key)) return compiled.type.get(key);
+    const def = tops.type.get(key);
+    if (!def) throw new Error(`Unknown type "${qname}".`);
+    return def.localName === 'simpleType' ? compileSimpleType(def, key) : compileComplexType(def, key);
+  }
+
+  function simpleTypeByName(el, qname) {
+    const type = typeByName(el, qname);
+    if (type.kind !== 'simple') throw new Error(`"${qname}" is a complex type where a simple type is needed.`);
+    return type;
+  }
+
+  function compileFacets(restriction, type) {
+    const facets = {};
+    for (const f of xsChildren(restriction)) {
+      const value = f.getAttribute('value') ?? '';
+      switch (f.localName) {
+        case 'enumeration': (facets.enumeration ??= []).push(value); break;
+        case 'pattern': (facets.ownPatterns ??= []).push({ source: value, regex: compilePattern(value) }); break;
+        case 'whiteSpace': type.whiteSpace = value; break;
+        case 'length': case 'minLength': case 'maxLength': case 'totalDigits': case 'fractionDigits':
+          facets[f.localName] = Number(value); break;
+        case 'minInclusive': case 'maxInclusive': case 'minExclusive': case 'maxExclusive':
+          facets[f.localName] = value.trim(); break;
+        default: break;
+      }
+    }
+    // patterns of one step are alternatives; the base type checks its own
+    if (facets.ownPatterns) facets.patterns = [facets.ownPatterns];
+    delete facets.ownPatterns;
+    type.facets = facets;
+  }
+
+  function compileSimpleType(el, key = null) {
+    const type = { kind: 'simple', name: el.getAttribute('name') || 'anonymous simple type', facets: {} };
+    if (key) compiled.type.set(key, type);
+    const restriction = xsChildren(el, 'restriction')[0];
+    const list = xsChildren(el, 'list')[0];
+    const union = xsChildren(el, 'union')[0];
+    if (restriction) {
+      const inline = xsChildren(restriction, 'simpleType')[0];
+      type.base = inline ? compileSimpleType(inline) : simpleTypeByName(restriction, restriction.getAttribute('base') || 'xs:anySimpleType');
+      // a restricted list still counts items; a restricted union is checked by its base
+      type.variety = type.base.variety === 'list' ? 'list' : 'atomic';
+      compileFacets(restriction, type);
+    } else if (list) {
+      type.variety = 'list';
+      type.whiteSpace = 'collapse';
+      const inline = xsChildren(list, 'simpleType')[0];
+      type.itemType = inline ? compileSimpleType(inline) : simpleTypeByName(list, list.getAttribute('itemType') || 'xs:string');
+    } else if (union) {
+      type.variety = 'union';
+      type.memberTypes = [
+        ...(union.getAttribute('memberTypes') || '').trim().split(/\s+/).filter(Boolean).map((q) => simpleTypeByName(union, q)),
+        ...xsChildren(union, 'simpleType').map((s) => compileSimpleType(s))
+      ];
+    } else {
+      throw new Error(`Simple type "${type.name}" needs xs:restriction, xs:list or xs:union.`);
+    }
+    return type;
+  }
+
+  function compileParticle(el) {
+    const { min, max } = occurs(el);
+    switch (el.localName) {
+      case 'element': return { kind: 'element', decl: el.hasAttribute('ref') ? globalElement(el, el.getAttribute('ref')) : compileElement(el, false), min, max };
+      case 'any': return { kind: 'any', test: namespaceTest(el, tns), process: el.getAttribute('processContents') || 'strict', min, max };
+      case 'group': {
+        const [key, def] = lookupTop('group', el, el.getAttribute('ref') || '', 'group');
+        if (!compiled.group.has(key)) {
+          const model = xsChildren(def, 'sequence', 'choice', 'all')[0];
+          compiled.group.set(key, model ? compileParticle(model) : null);
+        }
+        const group = compiled.group.get(key);
+        return group && { ...group, min, max };
+      }
+      case 'sequence': case 'choice': case 'all':
+        return { kind: el.localName, items: xsChildren(el, 'element', 'any', 'group', 'sequence', 'choice').map(compileParticle).filter(Boolean), min, max };
+      default: return null;
+    }
+  }
+
+  function compileAttribute(el, global) {
+    if (el.hasAttribute('ref')) {
+      const [key, def] = lookupTop('attribute', el, el.getAttribute('ref'), 'attribute');
+      if (!compiled.attribute.has(key)) compiled.attribute.set(key, compileAttribute(def, true));
+      const base = compiled.attribute.get(key);
+      return { ...base, use: el.getAttribute('use') || 'optional', fixed: el.getAttribute('fixed') ?? base.fixed };
+    }
+    const name = el.getAttribute('name');
+    const form = el.getAttribute('form');
+    const ns = global || form === 'qualified' || (form !== 'unqualified' && qualifiedAttributes) ? tns : null;
+    const inline = xsChildren(el, 'simpleType')[0];
+    const type = inline ? compileSimpleType(inline) : el.hasAttribute('type') ? simpleTypeByName(el, el.getAttribute('type')) : builtinType('anySimpleType');
+    return { name, ns, use: el.getAttribute('use') || 'optional', type, fixed: el.getAttribute('fixed') };
+  }
+
+  // Attribute uses of a type (or attribute group) into `type.attributes`
+  function compileAttributes(el, type) {
+    for (const child of xsChildren(el, 'attribute', 'attributeGroup', 'anyAttribute')) {
+      if (child.localName === 'attribute') {
+        const use = compileAttribute(child, false);
+        type.attributes.set(keyOf(use.ns, use.name), use);
+      } else if (child.localName === 'attributeGroup') {
+        const [key, def] = lookupTop('attributeGroup', child, child.getAttribute('ref') || '', 'attribute group');
+        if (!compiled.attributeGroup.has(key)) {
+          const group = { attributes: new Map(), anyAttribute: null };
+          compiled.attributeGroup.set(key, group);
+          compileAttributes(def, group);
+        }
+        const group = compiled.attributeGroup.get(key);
+        group.attributes.forEach((use, k) => type.attributes.set(k, use));
+        if (group.anyAttribute) type.anyAttribute = group.anyAttribute;
+      } else {
+        type.anyAttribute = { test: namespaceTest(child, tns), process: child.getAttribute('processContents') || 'strict' };
+      }
+    }
+  }
+
+  function compileComplexType(el, key = null) {
+    const type = { kind: 'complex', name: el.getAttribute('name') || 'anonymous complex type', content: 'empty', particle: null, attributes: new Map(), anyAttribute: null };
+    if (key) compiled.type.set(key, type);
+    let mixed = el.getAttribute('mixed') === 'true';
+    const simpleContent = xsChildren(el, 'simpleContent')[0];
+    const complexContent = xsChildren(el, 'complexContent')[0];
+    if (simpleContent) {
+      const derivation = xsChildren(simpleContent, 'extension', 'restriction')[0];
+      if (!derivation) throw new Error(`Simple content of "${type.name}" needs xs:extension or xs:restriction.`);
+      const base = typeByName(derivation, derivation.getAttribute('base') || 'xs:anySimpleType');
+      if (base.kind === 'complex') {
+        if (base.content !== 'simple') throw new Error(`"${type.name}" has simple content but its base "${base.name}" does not.`);
+        base.attributes.forEach((use, k) => type.attributes.set(k, use));
+        type.anyAttribute = base.anyAttribute;
+      }
+      const valueType = base.kind === 'complex' ? base.simpleType : base;
+      if (derivation.localName === 'restriction') {
+        const inline = xsChildren(derivation, 'simpleType')[0];
+        type.simpleType = { kind: 'simple', name: type.name, variety: 'atomic', base: inline ? compileSimpleType(inline) : valueType, facets: {} };
+        if (type.simpleType.base.variety !== 'atomic') type.simpleType.variety = type.simpleType.base.variety;
+        compileFacets(derivation, type.simpleType);
+      } else {
+        type.simpleType = valueType;
+      }
+      type.content = 'simple';
+      compileAttributes(derivation, type);
+      for (const [k, use] of type.attributes) if (use.use === 'prohibited') type.attributes.delete(k);
+      return type;
+    }
+    let particle = null;
+    let body = el;
+    if (complexContent) {
+      if (complexContent.getAttribute('mixed') === 'true') mixed = true;
+      const derivation = xsChildren(complexContent, 'extension', 'restriction')[0];
+      if (!derivation) throw new Error(`Complex content of "${type.name}" needs xs:extension or xs:restriction.`);
+      const base = typeByName(derivation, derivation.getAttribute('base') || 'xs:anyType');
+      if (base.kind !== 'complex') throw new Error(`"${type.name}" extends the simple type "${base.name}" with complex content.`);
+      body = derivation;
+      base.attributes.forEach((use, k) => type.attributes.set(k, use));
+      type.anyAttribute = base.anyAttribute;
+      if (derivation.localName === 'extension') {
+        particle = base.particle;
+        if (base.content === 'mixed') mixed = true;
+      }
+    }
+    const own = xsChildren(body, 'sequence', 'choice', 'all', 'group')[0];
+    const ownParticle = own ? compileParticle(own) : null;
+    if (particle && ownParticle) particle = { kind: 'sequence', items: [particle, ownParticle], min: 1, max: 1 };
+    else particle = particle ?? ownParticle;
+    type.particle = particle;
+    type.content = mixed ? 'mixed' : particle ? 'elementOnly' : 'empty';
+    compileAttributes(body, type);
+    for (const [k, use] of type.attributes) if (use.use === 'prohibited') type.attributes.delete(k);
+    return type;
+  }
+
+  function compileElement(el, global) {
+    const name = el.getAttribute('name');
+    const form = el.getAttribute('form');
+    const decl = {
+      name,
+      ns: global || form === 'qualified' || (form !== 'unqualified' && qualifiedElements) ? tns : null,
+      nillable: el.getAttribute('nillable') === 'true',
+      abstract: el.getAttribute('abstract') === 'true',
+      fixed: el.getAttribute('fixed'),
+      substitutes: null,
+      type: null
+    };
+    const key = keyOf(decl.ns, name);
+    if (global) compiled.element.set(key, decl);
+    const inline = xsChildren(el, 'complexType', 'simpleType')[0];
+    if (inline) decl.type = inline.localName === 'simpleType' ? compileSimpleType(inline) : compileComplexType(inline);
+    else if (el.hasAttribute('type')) decl.type = typeByName(el, el.getAttribute('type'));
+    else if (global && el.getAttribute('substitutionGroup')) decl.type = globalElement(el, el.getAttribute('substitutionGroup')).type;
+    else decl.type = anyTypeDefinition();
+    if (global) decl.substitutes = (substitutes.get(key) ?? []).map((k) => globalElementByKey(k));
+    return decl;
+  }
+
+  function globalElementByKey(key) {
+    if (compiled.element.has(key)) return compiled.element.get(key);
+    const def = tops.element.get(key);
+    return def ? compileElement(def, true) : null;
+  }
+
+  function globalElement(el, qname) {
+    const decl = globalElementByKey(resolveKey(el, qname));
+    if (!decl) throw new Error(`Unknown element "${qname}".`);
+    return decl;
+  }
+
+  // Compile every global component up front so schema mistakes show at once
+  for (const key of tops.element.keys()) globalElementByKey(key);
+  for (const [key, def] of tops.type) if (!compiled.type.has(key)) def.localName === 'simpleType' ? compileSimpleType(def, key) : compileComplexType(def, key);
+
+  return { targetNamespace: tns, elements: compiled.element, globalElement: (ns, local) => compiled.element.get(keyOf(ns, local)) ?? null };
+}
+
+// ---- Validation ----
+
+function nsOf(node) {
+  return node.namespaceURI || null;
+}
+
+function hasOwnText(el) {
+  return Array.from(el.childNodes).some((n) => (n.nodeType === 3 || n.nodeType === 4) && n.nodeValue.trim());
+}
+
+function childElements(el) {
+  return Array.from(el.childNodes).filter((n) => n.nodeType === 1);
+}
+
+function declMatches(decl, el) {
+  if (decl.name === el.localName && decl.ns === nsOf(el)) return decl;
+  for (const sub of decl.substitutes ?? []) {
+    const found = declMatches(sub, el);
+    if (found) return found;
+  }
+  return null;
+}
+
+function label(decl) {
+  return `<${decl.name}>`;
+}
+
+// Match the children of an element against a content model. The matcher keeps
+// every position a particle can end at, so choices and optional parts need no
+// backtracking; `furthest`, `expected` and `maxed` describe where it got stuck.
+function matchChildren(particle, kids) {
+  const bindings = new Array(kids.length).fill(null);
+  const expected = new Map(); // position -> Set of what could come there
+  const maxed = new Map();    // position -> element particle that reached maxOccurs just before
+  let furthest = 0;
+
+  function expect(pos, what) {
+    furthest = Math.max(furthest, pos);
+    if (!expected.has(pos)) expected.set(pos, new Set());
+    expected.get(pos).add(what);
+  }
+
+  function consumed(pos, binding) {
+    if (!bindings[pos]) bindings[pos] = binding;
+    furthest = Math.max(furthest, pos + 1);
+    return new Set([pos + 1]);
+  }
+
+  function once(p, pos) {
+    if (p.kind === 'element') {
+      const decl = pos < kids.length ? declMatches(p.decl, kids[pos]) : null;
+      if (decl) return consumed(pos, { decl });
+      expect(pos, label(p.decl));
+      return NONE;
+    }
+    if (p.kind === 'any') {
+      if (pos < kids.length && p.test(nsOf(kids[pos]))) return consumed(pos, { wildcard: p });
+      expect(pos, 'any element');
+      return NONE;
+    }
+    if (p.kind === 'sequence') {
+      let current = new Set([pos]);
+      for (const item of p.items) {
+        const next = new Set();
+        for (const s of current) for (const e of repeat(item, s)) next.add(e);
+        current = next;
+        if (!current.size) break;
+      }
+      return current;
+    }
+    if (p.kind === 'choice') {
+      const ends = new Set();
+      for (const item of p.items) for (const e of repeat(item, pos)) ends.add(e);
+      return ends;
+    }
+    // xs:all: each element at most once, in any order
+    const used = new Set();
+    let s = pos;
+    while (s < kids.length) {
+      const item = p.items.find((it) => !used.has(it) && declMatches(it.decl, kids[s]));
+      if (!item) break;
+      used.add(item);
+      consumed(s, { decl: declMatches(item.decl, kids[s]) });
+      s++;
+    }
+    p.items.filter((it) => !used.has(it)).forEach((it) => expect(s, label(it.decl)));
+    return p.items.some((it) => it.min > 0 && !used.has(it)) ? NONE : new Set([s]);
+  }
+
+  // Schemas must attribute each child to one particle (XSD's Unique Particle
+  // Attribution rule), so an element or wildcard can take all the matching
+  // children it is allowed
+  function repeat(p, pos) {
+    if (p.kind === 'element' || p.kind === 'any') {
+      let count = 0;
+      let s = pos;
+      while (count < p.max && once(p, s).size) { count++; s++; }
+      if (count === p.max && p.kind === 'element' && !maxed.has(s)) maxed.set(s, p);
+      return count >= p.min ? new Set([s]) : NONE;
+    }
+    const ends = new Set();
+    if (p.min === 0) ends.add(pos);
+    const seen = new Set(ends);
+    let frontier = new Set([pos]);
+    for (let k = 1; frontier.size && k <= p.max; k++) {
+      const next = new Set();
+      for (const s of frontier) {
+        for (const e of once(p, s)) {
+          if (k < p.min) next.add(e);
+          else if (!seen.has(e)) { seen.add(e); ends.add(e); next.add(e); }
+        }
+      }
+      frontier = next;
+    }
+    return ends;
+  }
+
+  const ends = particle ? repeat(particle, 0) : new Set([0]);
+  return { ok: ends.has(kids.length), bindings, furthest, expected, maxed };
+}
+
+// Element declarations anywhere in a content model, for children the model rejected
+function declsInParticle(particle, out = []) {
+  if (!particle) return out;
+  if (particle.kind === 'element') out.push(particle.decl);
+  else if (particle.items) particle.items.forEach((it) => declsInParticle(it, out));
+  return out;
+}
+
+function listExpected(set) {
+  const items = [...set];
+  return items.length === 1 ? items[0] : `one of ${items.slice(0, 8).join(', ')}${items.length > 8 ? ', …' : ''}`;
+}
+
+function isInstanceAttribute(attr) {
+  return attr.namespaceURI === XMLNS || attr.namespaceURI === XSI || attr.name === 'xmlns' || attr.name.startsWith('xmlns:');
+}
+
+/**
+ * Validate `doc` (a parsed XML document) against a schema from compileXsd.
+ * Returns { errors, truncated }: each error is { path, keyword, message, node },
+ * path being the tree path of `node` (the offending element or attribute),
+ * built without prefixes when `prefixes` is false.
+ */
+export function validateXsd(doc, schema, { maxErrors = XSD_MAX_ERRORS, prefixes = true } = {}) {
+  const errors = [];
+  const pathOf = createNodePathMapper({ prefixes });
+  let truncated = false;
+
+  function fail(node, keyword, message) {
+    if (errors.length >= maxErrors) { truncated = true; throw STOP; }
+    errors.push({ path: pathOf(node).path, keyword, message, node });
+  }
+
+  function checkValue(node, type, raw, fixed) {
+    const err = checkSimpleValue(type, raw);
+    if (err) { fail(node, err.keyword, err.message); return; }
+    if (fixed != null && normalizeSpace(raw, whiteSpaceOf(type)) !== normalizeSpace(fixed, whiteSpaceOf(type))) {
+      fail(node, 'fixed', `${quoted(raw.trim())} must be "${fixed}".`);
+    }
+  }
+
+  function checkAttributes(el, type) {
+    const uses = type.kind === 'complex' ? type.attributes : new Map();
+    const wildcard = type.kind === 'complex' ? type.anyAttribute : null;
+    for (const attr of Array.from(el.attributes)) {
+      if (isInstanceAttribute(attr)) continue;
+      const use = uses.get(keyOf(nsOf(attr), attr.localName));
+      if (use) checkValue(attr, use.type, attr.value, use.fixed);
+      else if (!wildcard?.test(nsOf(attr))) fail(attr, 'attribute', `Attribute @${attr.name} is not allowed on <${el.tagName}>.`);
+    }
+    for (const use of uses.values()) {
+      if (use.use !== 'required') continue;
+      const present = use.ns ? el.hasAttributeNS(use.ns, use.name) : el.hasAttribute(use.name);
+      if (!present) fail(el, 'required', `Required attribute @${use.name} is missing on <${el.tagName}>.`);
+    }
+  }
+
+  function checkElement(el, decl) {
+    if (decl.abstract) fail(el, 'abstract', `<${el.tagName}> is abstract; use an element of its substitution group.`);
+    const type = decl.type;
+    checkAttributes(el, type);
+    const nil = el.getAttributeNS(XSI, 'nil');
+    if (nil === 'true' || nil === '1') {
+      if (!decl.nillable) fail(el, 'nillable', `<${el.tagName}> is not nillable.`);
+      else if (childElements(el).length || hasOwnText(el)) fail(el, 'nillable', `<${el.tagName}> has xsi:nil="true" but is not empty.`);
+      return;
+    }
+    const kids = childElements(el);
+    if (type.kind === 'simple' || type.content === 'simple') {
+      if (kids.length) { fail(kids[0], 'content', `<${el.tagName}> holds a simple value; child elements are not allowed.`); return; }
+      checkValue(el, type.kind === 'simple' ? type : type.simpleType, el.textContent, decl.fixed);
+      return;
+    }
+    if (type.content === 'empty') {
+      if (kids.length) fail(kids[0], 'content', `<${el.tagName}> must be empty.`);
+      else if (hasOwnText(el)) fail(el, 'content', `<${el.tagName}> must be empty; it has text.`);
+      return;
+    }
+    if (type.content === 'elementOnly' && hasOwnText(el)) fail(el, 'mixed', `Text is not allowed directly inside <${el.tagName}>.`);
+    checkChildren(el, type.particle, kids);
+  }
+
+  function checkChildren(el, particle, kids) {
+    const match = matchChildren(particle, kids);
+    if (!match.ok) {
+      const at = match.furthest;
+      const wanted = match.expected.get(at);
+      const kid = kids[at];
+      const full = match.maxed.get(at);
+      if (kid && full && declMatches(full.decl, kid)) {
+        fail(kid, 'maxOccurs', `<${kid.tagName}> occurs more than ${full.max} time${full.max === 1 ? '' : 's'} here (maxOccurs ${full.max}).`);
+      } else if (kid) {
+        fail(kid, 'element', `Unexpected <${kid.tagName}>${wanted ? `; expected ${listExpected(wanted)}` : `: nothing more is allowed in <${el.tagName}>`}.`);
+      } else {
+        fail(el, 'minOccurs', `<${el.tagName}> is missing ${wanted ? listExpected(wanted) : 'required content'}${kids.length ? ` after <${kids[kids.length - 1].tagName}>` : ''}.`);
+      }
+    }
+    // keep checking children the model did not place, by name
+    const fallback = match.ok ? null : declsInParticle(particle);
+    kids.forEach((kid, i) => {
+      const binding = match.bindings[i];
+      if (binding?.decl) { checkElement(kid, binding.decl); return; }
+      const byName = fallback?.map((d) => declMatches(d, kid)).find(Boolean);
+      if (byName) { checkElement(kid, byName); return; }
+      const wildcard = binding?.wildcard;
+      if (!wildcard || wildcard.process === 'skip') return;
+      const global = schema.globalElement(nsOf(kid), kid.localName);
+      if (global) checkElement(kid, global);
+      else if (wildcard.process === 'strict') fail(kid, 'any', `No global declaration for <${kid.tagName}>, which xs:any requires.`);
+      else checkLax(kid);
+    });
+  }
+
+  // Undeclared elements under a lax wildcard: only their declared descendants are checked
+  function checkLax(el) {
+    for (const kid of childElements(el)) {
+      const global = schema.globalElement(nsOf(kid), kid.localName);
+      if (global) checkElement(kid, global);
+      else checkLax(kid);
+    }
+  }
+
+  const root = doc.documentElement;
+  try {
+    const decl = schema.globalElement(nsOf(root), root.localName);
+    if (!decl) {
+      const names = [...schema.elements.values()].map(label);
+      fail(root, 'element', `No global element declaration for <${root.tagName}>${nsOf(root) ? ` in ${nsOf(root)}` : ''}${names.length ? `; the schema declares ${names.slice(0, 8).join(', ')}` : ''}.`);
+    } else {
+      checkElement(root, decl);
+    }
+  } catch (e) {
+    if (e !== STOP) throw e;
+  }
+  return { errors, truncated };
+}
+
+// ---- Source lines ----
+
+/**
+ * The start tags of an XML text in document order (the order of
+ * getElementsByTagName('*')), as [{ line, attributes: Map(name -> line) }].
+ * Comments, CDATA, processing instructions and the DOCTYPE are skipped.
+ */
+export function locateStartTags(text) {
+  const tags = [];
+  const n = text.length;
+  let i = 0;
+  let line = 1;
+  const advance = (to) => {
+    for (; i < to; i++) if (text.charCodeAt(i) === 10) line++;
+  };
+  const skipPast = (marker, from) => {
+    const end = text.indexOf(marker, from);
+    advance(end < 0 ? n : end + marker.length);
+  };
+  const isSpace = (ch) => ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r';
+  while (i < n) {
+    const lt = text.indexOf('<', i);
+    if (lt < 0) break;
+    advance(lt);
+    if (text.startsWith('<!--', i)) { skipPast('-->', i + 4); continue; }
+    if (text.startsWith('<![CDATA[', i)) { skipPast(']]>', i + 9); continue; }
+    if (text.startsWith('<?', i)) { skipPast('?>', i + 2); continue; }
+    if (text.startsWith('<!', i)) {
+      let j = i + 2;
+      let depth = 0;
+      let quote = null;
+      for (; j < n; j++) {
+        const ch = text[j];
+        if (quote) { if (ch === quote) quote = null; } else if (ch === '"' || ch === "'") quote = ch;
+        else if (ch === '[') depth++;
+        else if (ch === ']') depth--;
+        else if (ch === '>' && depth <= 0) break;
+      }
+      advance(Math.min(n, j + 1));
+      continue;
+    }
+    if (text[i + 1] === '/') { skipPast('>', i); continue; }
+    const tag = { line, attributes: new Map() };
+    tags.push(tag);
+    i++;
+    while (i < n && !isSpace(text[i]) && text[i] !== '/' && text[i] !== '>') i++;
+    for (;;) {
+      while (i < n && isSpace(text[i])) advance(i + 1);
+      if (i >= n || text[i] === '>' || text[i] === '/') break;
+      const start = i;
+      while (i < n && !isSpace(text[i]) && text[i] !== '=' && text[i] !== '/' && text[i] !== '>') i++;
+      if (i === start) { i++; continue; }
+      tag.attributes.set(text.slice(start, i), line);
+      while (i < n && isSpace(text[i])) advance(i + 1);
+      if (text[i] !== '=') continue;
+      i++;
+      while (i < n && isSpace(text[i])) advance(i + 1);
+      const quote = text[i];
+      if (quote === '"' || quote === "'") skipPast(quote, i + 1);
+    }
+    skipPast('>', i);
+  }
+  return tags;
+}
+
+export default { compileXsd, validateXsd, locateStartTags, XSD_MAX_ERRORS };
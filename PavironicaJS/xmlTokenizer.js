@@ -0,0 +1,254 @@
+// XML tokenizer (ES module, DOM-free so it runs inside xmlWorker.js)
+// - tokenizeXml: reads a document and reports its nodes as flat batches of
+//   operations (namespaces resolved, entities decoded); errors name the line
+//   and column like the browser's parser ("error on line 3 at column 10: …")
+// - XML_OPS: the operation codes
+
+export const XML_OPS = { open: 1, close: 2, text: 3, cdata: 4, comment: 5, pi: 6 };
+
+const XML_NS   = 'http://www.w3.org/XML/1998/namespace';
+const XMLNS_NS = 'http://www.w3.org/2000/xmlns/';
+const NAME     = /[:A-Z_a-z\u00C0-\uFFFF][:A-Z_a-z\u00C0-\uFFFF.0-9\u00B7-]*/y;
+const NAME_ONLY = /^[:A-Z_a-z\u00C0-\uFFFF][:A-Z_a-z\u00C0-\uFFFF.0-9\u00B7-]*$/;
+const PREDEFINED = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+const isSpace = (c) => c === ' ' || c === '\n' || c === '\t' || c === '\r';
+
+function isXmlChar(code) {
+  return code === 0x9 || code === 0xA || code === 0xD || (code >= 0x20 && code <= 0xD7FF) ||
+    (code >= 0xE000 && code <= 0xFFFD) || (code >= 0x10000 && code <= 0x10FFFF);
+}
+
+// Text with its character and entity references replaced; `at` is its offset
+// in the document, for error positions
+function decodeRefs(s, at, fail) {
+  if (!s.includes('&')) return s;
+  let out = '';
+  let last = 0;
+  for (let i = s.indexOf('&'); i >= 0; i = s.indexOf('&', last)) {
+    const semi = s.indexOf(';', i);
+    const ref = semi < 0 ? '' : s.slice(i + 1, semi);
+    let ch;
+    if (ref[0] === '#') {
+      const code = /^#x[0-9a-fA-F]+$/.test(ref) ? parseInt(ref.slice(2), 16) : /^#\d+$/.test(ref) ? parseInt(ref.slice(1), 10) : NaN;
+      if (!isXmlChar(code)) fail(`xmlParseCharRef: invalid xmlChar value ${Number.isNaN(code) ? ref.slice(1) : code}`, at + i);
+      ch = String.fromCodePoint(code);
+    } else if (Object.prototype.hasOwnProperty.call(PREDEFINED, ref)) {
+      ch = PREDEFINED[ref];
+    } else {
+      fail(NAME_ONLY.test(ref) ? `Entity '${ref}' not defined` : "EntityRef: expecting ';'", at + i);
+    }
+    out += s.slice(last, i) + ch;
+    last = semi + 1;
+  }
+  return out + s.slice(last);
+}
+
+/**
+ * Read the XML document `text`. onBatch(ops, done) receives its nodes in
+ * document order, about batchSize at a time (done: characters read so far),
+ * as flat arrays of operations:
+ *   XML_OPS.open, qualified name, namespace URI or null, attribute count,
+ *     then the name, namespace URI and value of each attribute
+ *   XML_OPS.close
+ *   XML_OPS.text / cdata / comment, content
+ *   XML_OPS.pi, target, data
+ * Whitespace outside the root element and the XML declaration give no
+ * operations, as in a DOMParser document. Returns { doctype: true } as soon
+ * as it meets a DOCTYPE (its entities and default attributes need the
+ * browser's parser), else { doctype: false }. Throws an Error naming the
+ * line and column when the text is not well-formed XML.
+ */
+export function tokenizeXml(text, onBatch, batchSize = 5000) {
+  const src = String(text ?? '');
+  const len = src.length;
+  let pos = 0;
+  let ops = [];
+  let count = 0;
+  const fail = (message, at = pos) => {
+    const before = src.slice(0, Math.min(at, len));
+    const line = before.split('\n').length;
+    const col = at - before.lastIndexOf('\n');
+    throw new Error(`error on line ${line} at column ${col}: ${message}`);
+  };
+  const flush = () => {
+    if (ops.length) onBatch(ops, pos);
+    ops = [];
+    count = 0;
+  };
+  const emit = (...items) => {
+    for (const item of items) ops.push(item);
+    if (++count >= batchSize) flush();
+  };
+  const readName = (what) => {
+    NAME.lastIndex = pos;
+    const m = NAME.exec(src);
+    if (!m) fail(what);
+    pos += m[0].length;
+    return m[0];
+  };
+  const skipSpace = () => {
+    const start = pos;
+    while (pos < len && isSpace(src[pos])) pos++;
+    return pos > start;
+  };
+  const newlines = (s) => (s.includes('\r') ? s.replace(/\r\n?/g, '\n') : s);
+  const checkQName = (name, at) => {
+    const parts = name.split(':');
+    if (parts.length > 2 || parts.some((p) => !p)) fail(`Failed to parse QName '${name}'`, at);
+    return parts.length === 2 ? parts[0] : '';
+  };
+
+  const stack = []; // { name, scope } of the open elements; scope is the parent's prefix map
+  let scope = { xml: XML_NS, '': null };
+  let rootSeen = false;
+  skipSpace();
+  const start = pos;
+
+  while (pos < len) {
+    const lt = src.indexOf('<', pos);
+    const end = lt < 0 ? len : lt;
+    if (end > pos) {
+      const raw = src.slice(pos, end);
+      if (!stack.length) {
+        if (/\S/.test(raw)) fail(rootSeen ? 'Extra content at the end of the document' : "Start tag expected, '<' not found");
+      } else {
+        const bad = raw.indexOf(']]>');
+        if (bad >= 0) fail("Sequence ']]>' not allowed in content", pos + bad);
+        emit(XML_OPS.text, decodeRefs(newlines(raw), pos, fail));
+      }
+      pos = end;
+      continue;
+    }
+
+    if (src.startsWith('<!--', pos)) {
+      const close = src.indexOf('-->', pos + 4);
+      if (close < 0) fail('Comment not terminated');
+      const body = src.slice(pos + 4, close);
+      if (body.includes('--') || body.endsWith('-')) fail('Double hyphen within comment', pos + 4 + Math.max(0, body.indexOf('--')));
+      emit(XML_OPS.comment, newlines(body));
+      pos = close + 3;
+      continue;
+    }
+    if (src.startsWith('<![CDATA[', pos)) {
+      if (!stack.length) fail(rootSeen ? 'Extra content at the end of the document' : "Start tag expected, '<' not found");
+      const close = src.indexOf(']]>', pos + 9);
+      if (close < 0) fail('CData section not finished');
+      emit(XML_OPS.cdata, newlines(src.slice(pos + 9, close)));
+      pos = close + 3;
+      continue;
+    }
+    if (src.startsWith('<!DOCTYPE', pos)) {
+      if (rootSeen) fail('Extra content at the end of the document');
+      return { doctype: true };
+    }
+    if (src[pos + 1] === '!') fail('StartTag: invalid element name', pos + 1);
+
+    if (src[pos + 1] === '?') {
+      const at = pos;
+      pos += 2;
+      const target = readName('xmlParsePI : no target name');
+      const close = src.indexOf('?>', pos);
+      if (close < 0) fail('PI not terminated', at);
+      if (target.toLowerCase() === 'xml') {
+        if (at !== start) fail('XML declaration allowed only at the start of the document', at);
+      } else {
+        if (pos < close && !isSpace(src[pos])) fail('ParsePI: PI target space expected');
+        skipSpace();
+        emit(XML_OPS.pi, target, newlines(src.slice(Math.min(pos, close), close)));
+      }
+      pos = close + 2;
+      continue;
+    }
+
+    if (src[pos + 1] === '/') {
+      const at = pos;
+      pos += 2;
+      const name = readName('xmlParseEndTag: \'</\' not found');
+      skipSpace();
+      if (src[pos] !== '>') fail(`expected '>'`);
+      pos++;
+      const open = stack.pop();
+      if (!open) fail('Extra content at the end of the document', at);
+      if (open.name !== name) fail(`Opening and ending tag mismatch: ${open.name} and ${name}`, at);
+      scope = open.scope;
+      emit(XML_OPS.close);
+      continue;
+    }
+
+    // start tag
+    if (rootSeen && !stack.length) fail('Extra content at the end of the document');
+    const tagAt = pos;
+    pos++;
+    const name = readName('StartTag: invalid element name');
+    const attrs = []; // name, value, offset
+    let selfClosing = false;
+    for (;;) {
+      const spaced = skipSpace();
+      if (pos >= len) fail(`Couldn't find end of Start Tag ${name}`, tagAt);
+      if (src[pos] === '>') { pos++; break; }
+      if (src.startsWith('/>', pos)) { pos += 2; selfClosing = true; break; }
+      if (!spaced) fail('attributes construct error');
+      const attrAt = pos;
+      const attr = readName('attributes construct error');
+      skipSpace();
+      if (src[pos] !== '=') fail(`Specification mandates value for attribute ${attr}`);
+      pos++;
+      skipSpace();
+      const quote = src[pos];
+      if (quote !== '"' && quote !== "'") fail('AttValue: " or \' expected');
+      const close = src.indexOf(quote, pos + 1);
+      if (close < 0) fail('AttValue: \' expected');
+      const raw = src.slice(pos + 1, close);
+      const lt2 = raw.indexOf('<');
+      if (lt2 >= 0) fail("Unescaped '<' not allowed in attributes values", pos + 1 + lt2);
+      for (let i = 0; i < attrs.length; i += 3) if (attrs[i] === attr) fail(`Attribute ${attr} redefined`, attrAt);
+      // literal whitespace becomes a space; references to it are kept
+      attrs.push(attr, decodeRefs(newlines(raw).replace(/[\t\n]/g, ' '), pos + 1, fail), attrAt);
+      pos = close + 1;
+    }
+
+    // namespaces declared on this element apply to it and its attributes
+    const parentScope = scope;
+    for (let i = 0; i < attrs.length; i += 3) {
+      const attr = attrs[i];
+      if (attr !== 'xmlns' && !attr.startsWith('xmlns:')) continue;
+      if (scope === parentScope) scope = Object.create(parentScope);
+      const prefix = attr === 'xmlns' ? '' : attr.slice(6);
+      if (prefix && !attrs[i + 1]) fail(`xmlns:${prefix}: Empty XML namespace is not allowed`, attrs[i + 2]);
+      scope[prefix] = attrs[i + 1] || null;
+    }
+    const resolve = (prefix, at, what) => {
+      const uri = scope[prefix];
+      if (uri === undefined) fail(`Namespace prefix ${prefix} ${what} is not defined`, at);
+      return uri;
+    };
+    const prefix = checkQName(name, tagAt + 1);
+    const ops0 = [XML_OPS.open, name, resolve(prefix, tagAt, `on ${name}`), attrs.length / 3];
+    for (let i = 0; i < attrs.length; i += 3) {
+      const attr = attrs[i];
+      let uri = null;
+      if (attr === 'xmlns' || attr.startsWith('xmlns:')) uri = XMLNS_NS;
+      else {
+        const p = checkQName(attr, attrs[i + 2]);
+        if (p) uri = resolve(p, attrs[i + 2], `for ${attr.slice(p.length + 1)} on ${name}`);
+      }
+      ops0.push(attr, uri, attrs[i + 1]);
+    }
+    emit(...ops0);
+    rootSeen = true;
+    if (selfClosing) {
+      scope = parentScope;
+      emit(XML_OPS.close);
+    } else {
+      stack.push({ name, scope: parentScope });
+    }
+  }
+
+  if (stack.length) fail(`Premature end of data in tag ${stack[stack.length - 1].name}`, len);
+  if (!rootSeen) fail("Start tag expected, '<' not found", len);
+  flush();
+  return { doctype: false };
+}
+
+export default { XML_OPS, tokenizeXml };
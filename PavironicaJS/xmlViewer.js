@@ -1,9 +1,41 @@
 // XML Viewer helpers (ES module)
-// - formatXml: pretty-print XML
+// - formatXml: pretty-print XML; lossless mode keeps comments, CDATA,
+//   processing instructions, attribute order, the XML declaration and the
+//   DOCTYPE (and, optionally, xml:space="preserve" text)
 // - renderXmlTree: render interactive collapsible XML tree
 //   (lines carry data-path like catalog/book[2]/@id; Alt+click a toggle
-//    expands/collapses the whole subtree)
+//    expands/collapses the whole subtree; names show their namespace URI on
+//    hover and can be shown without prefixes; comments and CDATA sections
+//    get lines of their own)
+// - xmlName / namespaceTitle: a node's name with or without its prefix, and
+//   its namespace for tooltips
+// - keyboard navigation (ARIA tree): arrows move and expand/collapse, *
+//   expands a subtree, Home/End jump, Enter toggles
+// - setValueHints: dates, colours, links, sizes and durations shown on
+//   hover or inline next to text and attribute values (valueHints.js)
 // - renderXmlTable / setTableViewOpen / toggleTablePath: grouped table view
+// - createXmlWorker / createXmlBuilder: parse large documents in xmlWorker.js
+//   and build their DOM here from the batches it sends
+
+import { valueHint, appendValueHint } from './valueHints.js';
+import { XML_OPS } from './xmlTokenizer.js';
+
+const XMLNS_NS = 'http://www.w3.org/2000/xmlns/';
+
+/**
+ * Name of an element or attribute as the tree shows it: the qualified name,
+ * or the local name when `prefixes` is false. Namespace declarations
+ * (xmlns, xmlns:p) keep their full name.
+ */
+export function xmlName(node, prefixes = true) {
+  if (prefixes || node.namespaceURI === XMLNS_NS || !node.localName) return node.nodeName;
+  return node.localName;
+}
+
+/** Tooltip naming a node's namespace, or '' when it has none. */
+export function namespaceTitle(node) {
+  return node.namespaceURI ? `Namespace: ${node.namespaceURI}` : '';
+}
 
 function parseXml(text, label = 'XML') {
   const t = (text ?? '').trim();
@@ -74,12 +106,102 @@ function serializeNode(node, indent, depth) {
   return pad + open + nl + body + nl + pad + `</${tag}>`;
 }
 
-export function formatXml(text, indent = 2) {
+// ---- Lossless formatting ----
+
+// Attribute values keep line breaks and tabs, which a parser would otherwise
+// turn into spaces
+function escapeAttrExact(s) {
+  return escapeAttr(s)
+    .replace(/\n/g, '&#10;')
+    .replace(/\r/g, '&#13;')
+    .replace(/\t/g, '&#9;');
+}
+
+// Attributes in the order they were written
+function attrText(node) {
+  return Array.from(node.attributes).map(a => ` ${a.name}="${escapeAttrExact(a.value)}"`).join('');
+}
+
+// A node exactly as parsed, with no indentation added
+function serializeVerbatim(node) {
+  switch (node.nodeType) {
+    case Node.TEXT_NODE: return escapeText(node.nodeValue);
+    case Node.CDATA_SECTION_NODE: return `<![CDATA[${node.nodeValue}]]>`;
+    case Node.COMMENT_NODE: return `<!--${node.nodeValue}-->`;
+    case Node.PROCESSING_INSTRUCTION_NODE: return `<?${node.target}${node.data ? ' ' + node.data : ''}?>`;
+    case Node.ELEMENT_NODE: {
+      const open = `<${node.tagName}${attrText(node)}`;
+      if (!node.childNodes.length) return `${open}/>`;
+      return `${open}>${Array.from(node.childNodes).map(serializeVerbatim).join('')}</${node.tagName}>`;
+    }
+    default: return '';
+  }
+}
+
+const isBlank = (n) => n.nodeType === Node.TEXT_NODE && !n.nodeValue.trim();
+
+// Whitespace between elements is replaced by indentation; elements with text
+// of their own (mixed content, CDATA) are written as they are, and so are
+// xml:space="preserve" subtrees when `keepSpace` is on
+function serializeLossless(node, indent, depth, keepSpace) {
+  const pad = indent > 0 ? ' '.repeat(indent * depth) : '';
+  if (node.nodeType !== Node.ELEMENT_NODE) return pad + serializeVerbatim(node);
+
+  const keep = keepSpace && node.getAttribute('xml:space') === 'preserve';
+  const children = Array.from(node.childNodes);
+  const hasText = children.some(ch => (ch.nodeType === Node.TEXT_NODE && ch.nodeValue.trim()) || ch.nodeType === Node.CDATA_SECTION_NODE);
+  if (keep || hasText || children.every(isBlank)) return pad + serializeVerbatim(node);
+
+  const tag = node.tagName;
+  const parts = children.filter(ch => !isBlank(ch)).map(ch => serializeLossless(ch, indent, depth + 1, keepSpace));
+  if (indent === 0) return `<${tag}${attrText(node)}>${parts.join('')}</${tag}>`;
+  return `${pad}<${tag}${attrText(node)}>\n${parts.join('\n')}\n${pad}</${tag}>`;
+}
+
+// The XML declaration and the DOCTYPE as written: the DOM keeps neither
+// (the declaration is gone, the DOCTYPE loses its internal subset)
+function prologText(text) {
+  const decl = /^\uFEFF?\s*(<\?xml\s[\s\S]*?\?>)/.exec(text)?.[1] ?? null;
+  const start = text.search(/<!DOCTYPE\b/);
+  if (start < 0) return { decl, doctype: null };
+  let quote = null;
+  let depth = 0;
+  for (let i = start + 9; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) { if (ch === quote) quote = null; continue; }
+    if (ch === '"' || ch === "'") quote = ch;
+    else if (ch === '[') depth++;
+    else if (ch === ']') depth--;
+    else if (ch === '>' && depth <= 0) return { decl, doctype: text.slice(start, i + 1) };
+  }
+  return { decl, doctype: null };
+}
+
+function doctypeFromNode(dt) {
+  const id = dt.publicId ? ` PUBLIC "${dt.publicId}" "${dt.systemId}"` : dt.systemId ? ` SYSTEM "${dt.systemId}"` : '';
+  return `<!DOCTYPE ${dt.name}${id}>`;
+}
+
+/**
+ * Pretty-print XML with `indent` spaces (0: on one line). By default only
+ * elements, attributes (sorted by name) and trimmed text are written.
+ * `lossless` keeps every node, the attribute order, the XML declaration and
+ * the DOCTYPE, and only changes whitespace between elements; `keepSpace`
+ * also leaves xml:space="preserve" subtrees exactly as they are.
+ */
+export function formatXml(text, indent = 2, { lossless = false, keepSpace = false } = {}) {
   const n = Number.isFinite(indent) ? Math.max(0, Math.min(10, Math.floor(indent))) : 2;
   const root = parseXml(text, 'XML');
   if (!root) return '';
-  const out = serializeNode(root, n, 0);
-  return out + (n > 0 ? '\n' : '');
+  if (!lossless) return serializeNode(root, n, 0) + (n > 0 ? '\n' : '');
+
+  const { decl, doctype } = prologText(String(text));
+  const parts = decl ? [decl] : [];
+  for (const ch of root.ownerDocument.childNodes) {
+    if (ch.nodeType === Node.DOCUMENT_TYPE_NODE) parts.push(doctype ?? doctypeFromNode(ch));
+    else parts.push(serializeLossless(ch, n, 0, keepSpace));
+  }
+  return parts.join(n > 0 ? '\n' : '') + (n > 0 ? '\n' : '');
 }
 
 // -------- Interactive tree --------
@@ -90,26 +212,60 @@ function setNodeCollapsed(node, collapsed) {
   const s = node.querySelector(':scope > .line .summary');
   if (t) t.textContent = collapsed ? '+' : '-';
   if (s) s.style.display = collapsed ? '' : 'none';
+  node.querySelector(':scope > .line')?.setAttribute('aria-expanded', String(!collapsed));
 }
 
-function createTextLine(value, path) {
+// Text and attribute lines keep their value and the name it is read under
+// (element or attribute) for the value hints
+function createTextLine(value, path, hintKey) {
   const line = document.createElement('div');
   line.className = 'line';
   line.dataset.path = path;
+  line.setAttribute('role', 'treeitem');
   const v = document.createElement('span');
   v.className = 'string';
   v.textContent = JSON.stringify(value);
   line.appendChild(v);
+  line._value = value;
+  line._hintKey = hintKey;
+  return line;
+}
+
+// CDATA sections read like text, marked so they can be told apart
+function createCdataLine(value, path, hintKey) {
+  const line = createTextLine(value, path, hintKey);
+  line.dataset.kind = 'cdata';
+  const mark = document.createElement('span');
+  mark.className = 'cdata-mark';
+  mark.textContent = 'CDATA';
+  mark.title = 'CDATA section';
+  line.prepend(mark);
+  return line;
+}
+
+// Comments are shown on one line; they have no value
+function createCommentLine(text, path) {
+  const line = document.createElement('div');
+  line.className = 'line';
+  line.dataset.path = path;
+  line.dataset.kind = 'comment';
+  line.setAttribute('role', 'treeitem');
+  const c = document.createElement('span');
+  c.className = 'comment';
+  c.textContent = `<!-- ${text.replace(/\s+/g, ' ').trim()} -->`;
+  line.appendChild(c);
   return line;
 }
 
-function createElemNode(elem, path) {
+function createElemNode(elem, path, prefixes) {
   const node = document.createElement('div');
   node.className = 'node';
 
   const line = document.createElement('div');
   line.className = 'line';
   line.dataset.path = path;
+  line.setAttribute('role', 'treeitem');
+  line.setAttribute('aria-expanded', 'true');
   const toggle = document.createElement('span');
   toggle.className = 'toggle';
   toggle.textContent = '-';
@@ -118,7 +274,8 @@ function createElemNode(elem, path) {
 
   const name = document.createElement('span');
   name.className = 'key';
-  name.textContent = `<${elem.tagName}>`;
+  name.textContent = `<${xmlName(elem, prefixes)}>`;
+  if (elem.namespaceURI) name.title = namespaceTitle(elem);
   line.appendChild(name);
 
   const summary = document.createElement('span');
@@ -133,16 +290,19 @@ function createElemNode(elem, path) {
 
   const children = document.createElement('div');
   children.className = 'children';
+  children.setAttribute('role', 'group');
 
   // attributes
   if (elem.attributes && elem.attributes.length) {
     Array.from(elem.attributes).forEach(a => {
       const l = document.createElement('div');
       l.className = 'line';
-      l.dataset.path = `${path}/@${a.name}`;
+      l.dataset.path = `${path}/@${xmlName(a, prefixes)}`;
+      l.setAttribute('role', 'treeitem');
       const k = document.createElement('span');
       k.className = 'key';
-      k.textContent = '@' + a.name;
+      k.textContent = '@' + xmlName(a, prefixes);
+      if (a.namespaceURI) k.title = namespaceTitle(a);
       l.appendChild(k);
       const colon = document.createElement('span');
       colon.className = 'punct';
@@ -152,27 +312,33 @@ function createElemNode(elem, path) {
       v.className = 'string';
       v.textContent = JSON.stringify(a.value);
       l.appendChild(v);
+      l._value = a.value;
+      l._hintKey = a.localName || a.name;
       children.appendChild(l);
     });
   }
 
-  // child nodes; repeated sibling tags get a 1-based [n] disambiguator
+  // child nodes; repeated sibling names (as shown) get a 1-based [n] disambiguator
   const tagTotals = new Map();
   for (const ch of elem.childNodes) {
-    if (ch.nodeType === Node.ELEMENT_NODE) tagTotals.set(ch.tagName, (tagTotals.get(ch.tagName) || 0) + 1);
+    if (ch.nodeType === Node.ELEMENT_NODE) tagTotals.set(xmlName(ch, prefixes), (tagTotals.get(xmlName(ch, prefixes)) || 0) + 1);
   }
   const tagSeen = new Map();
   for (const ch of elem.childNodes) {
     if (ch.nodeType === Node.TEXT_NODE) {
       const t = (ch.nodeValue || '').trim();
       if (!t) continue;
-      children.appendChild(createTextLine(t, path));
+      children.appendChild(createTextLine(t, path, elem.localName || elem.tagName));
+    } else if (ch.nodeType === Node.CDATA_SECTION_NODE) {
+      children.appendChild(createCdataLine(ch.nodeValue, path, elem.localName || elem.tagName));
+    } else if (ch.nodeType === Node.COMMENT_NODE) {
+      children.appendChild(createCommentLine(ch.nodeValue, path));
     } else if (ch.nodeType === Node.ELEMENT_NODE) {
-      const tag = ch.tagName;
+      const tag = xmlName(ch, prefixes);
       const idx = (tagSeen.get(tag) || 0) + 1;
       tagSeen.set(tag, idx);
       const seg = (tagTotals.get(tag) || 0) > 1 ? `${tag}[${idx}]` : tag;
-      children.appendChild(createElemNode(ch, `${path}/${seg}`));
+      children.appendChild(createElemNode(ch, `${path}/${seg}`, prefixes));
     }
   }
 
@@ -193,11 +359,18 @@ function createElemNode(elem, path) {
   return node;
 }
 
-export function renderXmlTree(container, rootElem) {
+/** `prefixes: false` shows local names, in the lines and their data-path alike. */
+export function renderXmlTree(container, rootElem, { prefixes = true } = {}) {
   if (!container) return;
+  setCursor(container, null);
+  if (!container._keyHandlers) {
+    attachKeyHandlers(container);
+    container._keyHandlers = true;
+  }
   container.innerHTML = '';
   if (!rootElem) return;
-  container.appendChild(createElemNode(rootElem, rootElem.tagName));
+  container.appendChild(createElemNode(rootElem, xmlName(rootElem, prefixes), prefixes));
+  if (container._valueHints) setValueHints(container, container._valueHints);
 }
 
 export function expandAll(container) {
@@ -210,16 +383,111 @@ export function collapseAll(container) {
   container.querySelectorAll('.node').forEach(n => setNodeCollapsed(n, true));
 }
 
+/**
+ * Value hints on text and attribute values: null (off), 'hover' (a tooltip,
+ * colour swatches and link icons) or 'inline' (dates, sizes and durations
+ * also written after the value). Survives renderXmlTree().
+ */
+export function setValueHints(container, mode) {
+  if (!container) return;
+  container._valueHints = mode || null;
+  container.querySelectorAll('.line').forEach((line) => {
+    if (line._value === undefined) return;
+    const v = line.querySelector(':scope > .string');
+    line.querySelectorAll(':scope > .value-hint').forEach((el) => el.remove());
+    v.classList.remove('has-hint');
+    v.removeAttribute('title');
+    const hint = mode ? valueHint(line._value, line._hintKey) : null;
+    if (hint) appendValueHint(v, hint, mode);
+  });
+}
+
+// -------- Keyboard navigation --------
+// The tree container takes the focus (role="tree"); the cursor is the selected
+// line, announced through aria-activedescendant. A step clicks the new line,
+// so the page selects it as it would for the mouse.
+
+const TREE_KEYS = {
+  ArrowDown: 'next', ArrowUp: 'prev', ArrowRight: 'expand', ArrowLeft: 'collapse',
+  Home: 'first', End: 'last', '*': 'expandSubtree', Enter: 'toggle'
+};
+let lineIds = 0;
+
+function setCursor(container, line) {
+  if (container._cursor && container._cursor !== line) container._cursor.removeAttribute('aria-selected');
+  container._cursor = line;
+  if (!line) { container.removeAttribute('aria-activedescendant'); return; }
+  if (!line.id) line.id = `xml-line-${++lineIds}`;
+  line.setAttribute('aria-selected', 'true');
+  container.setAttribute('aria-activedescendant', line.id);
+}
+
+// Element lines open their node; attribute and text lines sit in the
+// children of their element
+function lineNode(line) {
+  return line.parentElement.classList.contains('node') ? line.parentElement : null;
+}
+
+function parentLine(line) {
+  const owner = lineNode(line) ? line.parentElement.parentElement : line.parentElement;
+  return owner?.closest('.node')?.querySelector(':scope > .line') ?? null;
+}
+
+function keyStep(container, action) {
+  const visible = () => Array.from(container.querySelectorAll('.line')).filter((l) => !l.closest('.collapsed > .children'));
+  const lines = visible();
+  // the page may have selected a line itself (a search hit, a bookmark…)
+  const index = lines.indexOf(lines.find((l) => l.classList.contains('path-selected')) ?? container._cursor);
+  if (index < 0) return (action === 'last' ? lines[lines.length - 1] : lines[0]) ?? null;
+  const line = lines[index];
+  const node = lineNode(line);
+  if (action === 'next') return lines[Math.min(index + 1, lines.length - 1)];
+  if (action === 'prev') return lines[Math.max(index - 1, 0)];
+  if (action === 'first') return lines[0];
+  if (action === 'last') return lines[lines.length - 1];
+  if (!node) return action === 'collapse' ? parentLine(line) ?? line : line;
+  const isOpen = !node.classList.contains('collapsed');
+  if (action === 'expand' && isOpen) return visible()[index + 1] ?? line;
+  if (action === 'collapse' && !isOpen) return parentLine(line) ?? line;
+  if (action === 'expandSubtree') {
+    setNodeCollapsed(node, false);
+    node.querySelectorAll('.node').forEach((n) => setNodeCollapsed(n, false));
+  } else {
+    setNodeCollapsed(node, isOpen);
+  }
+  return line;
+}
+
+function attachKeyHandlers(container) {
+  container.tabIndex = 0;
+  container.setAttribute('role', 'tree');
+  container.addEventListener('keydown', (e) => {
+    if (e.target !== container || e.ctrlKey || e.metaKey || e.altKey) return;
+    const action = TREE_KEYS[e.key];
+    if (!action) return;
+    e.preventDefault();
+    const line = keyStep(container, action);
+    if (!line) return;
+    line.scrollIntoView?.({ block: 'nearest' });
+    line.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+  });
+  container.addEventListener('click', (e) => {
+    const line = e.target.closest('.line');
+    if (line && container.contains(line)) setCursor(container, line);
+  });
+}
+
 // -------- Table view --------
 
 function collectText(node) {
   return Array.from(node.childNodes || [])
-    .filter((n) => n.nodeType === Node.TEXT_NODE)
+    .filter((n) => n.nodeType === Node.TEXT_NODE || n.nodeType === Node.CDATA_SECTION_NODE)
     .map((n) => n.nodeValue || '')
     .join('')
     .trim();
 }
 
+// Table paths go by local name, so soap:Body, s:Body and Body open the same group
 function buildPathId(parts) {
   return parts.map((p) => String(p).trim().toLowerCase()).filter(Boolean).join('/');
 }
@@ -229,7 +497,7 @@ function normalizePathParts(value) {
     ? value.map((p) => String(p))
     : String(value || '').split(/[>/]+/);
   return parts
-    .map((p) => p.trim().toLowerCase().replace(/\[\d+\]$/, '')) // tolerate tree paths like book[2]
+    .map((p) => p.trim().toLowerCase().replace(/\[\d+\]$/, '').replace(/^[^:@#]*:/, '')) // tolerate tree paths like soap:book[2]
     .filter((p) => p.length > 0 && !p.startsWith('@') && !p.startsWith('#'));
 }
 
@@ -245,42 +513,45 @@ function getChildElements(node) {
   return Array.from(node.childNodes || []).filter((n) => n.nodeType === Node.ELEMENT_NODE);
 }
 
-function formatAttrList(elem) {
+function formatAttrList(elem, prefixes) {
   const attrs = Array.from(elem.attributes || []);
   if (!attrs.length) return '';
   return attrs
     .sort((a, b) => a.name.localeCompare(b.name))
-    .map((a) => `@${a.name}=${a.value}`)
+    .map((a) => `@${xmlName(a, prefixes)}=${a.value}`)
     .join('\n');
 }
 
+// Children are grouped by namespace and local name, whatever prefix they use
 function groupChildrenByTag(elem) {
   const groups = new Map();
   getChildElements(elem).forEach((child) => {
-    const tag = child.tagName;
-    if (!groups.has(tag)) groups.set(tag, []);
-    groups.get(tag).push(child);
+    const key = `${child.namespaceURI ?? ''}|${child.localName}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(child);
   });
-  return Array.from(groups.entries());
+  return Array.from(groups.values());
 }
 
-function buildChildGroups(elem, path = []) {
+function buildChildGroups(elem, path = [], prefixes = true) {
   const grouped = groupChildrenByTag(elem);
   if (!grouped.length) return null;
 
   const wrap = document.createElement('div');
   wrap.className = 'table-children';
 
-  grouped.forEach(([tag, nodes]) => {
+  grouped.forEach((nodes) => {
+    const tag = xmlName(nodes[0], prefixes);
     const section = document.createElement('details');
     section.className = 'table-group';
     section.open = false;
-    const groupPath = [...path, tag];
+    const groupPath = [...path, nodes[0].localName];
     section.dataset.path = buildPathId(groupPath);
 
     const heading = document.createElement('summary');
     heading.className = 'table-group-title';
     heading.textContent = `<${tag}> (${nodes.length})`;
+    if (nodes[0].namespaceURI) heading.title = namespaceTitle(nodes[0]);
     section.appendChild(heading);
 
     const table = document.createElement('table');
@@ -307,7 +578,7 @@ function buildChildGroups(elem, path = []) {
 
       const attrCell = document.createElement('td');
       attrCell.className = 'table-val';
-      attrCell.textContent = formatAttrList(node) || '-';
+      attrCell.textContent = formatAttrList(node, prefixes) || '-';
       row.appendChild(attrCell);
 
       const textCell = document.createElement('td');
@@ -317,7 +588,7 @@ function buildChildGroups(elem, path = []) {
 
       const nestedCell = document.createElement('td');
       nestedCell.className = 'table-nested';
-      const nestedGroups = buildChildGroups(node, groupPath);
+      const nestedGroups = buildChildGroups(node, groupPath, prefixes);
       if (nestedGroups) {
         nestedCell.appendChild(nestedGroups);
       } else {
@@ -336,8 +607,8 @@ function buildChildGroups(elem, path = []) {
   return wrap;
 }
 
-function buildTableNode(elem, path = null) {
-  const currentPath = path && path.length ? path : [elem.tagName];
+function buildTableNode(elem, path = null, prefixes = true) {
+  const currentPath = path && path.length ? path : [elem.localName];
   const details = document.createElement('details');
   details.className = 'table-node';
   details.open = false;
@@ -348,14 +619,15 @@ function buildTableNode(elem, path = null) {
 
   const tag = document.createElement('span');
   tag.className = 'table-tag';
-  tag.textContent = elem.tagName;
+  tag.textContent = xmlName(elem, prefixes);
+  if (elem.namespaceURI) tag.title = namespaceTitle(elem);
   summary.appendChild(tag);
 
   const attrs = Array.from(elem.attributes || []).sort((a, b) => a.name.localeCompare(b.name));
   attrs.forEach((a) => {
     const badge = document.createElement('span');
     badge.className = 'table-attr';
-    badge.textContent = `@${a.name}=${a.value}`;
+    badge.textContent = `@${xmlName(a, prefixes)}=${a.value}`;
     summary.appendChild(badge);
   });
 
@@ -371,7 +643,8 @@ function buildTableNode(elem, path = null) {
       const row = document.createElement('tr');
       const key = document.createElement('td');
       key.className = 'table-key';
-      key.textContent = `@${a.name}`;
+      key.textContent = `@${xmlName(a, prefixes)}`;
+      if (a.namespaceURI) key.title = namespaceTitle(a);
       const val = document.createElement('td');
       val.className = 'table-val';
       val.textContent = a.value;
@@ -390,21 +663,21 @@ function buildTableNode(elem, path = null) {
     body.appendChild(textRow);
   }
 
-  const childGroups = buildChildGroups(elem, currentPath);
+  const childGroups = buildChildGroups(elem, currentPath, prefixes);
   if (childGroups) body.appendChild(childGroups);
 
   details.appendChild(body);
   return details;
 }
 
-export function renderXmlTable(target, rootElem) {
+export function renderXmlTable(target, rootElem, { prefixes = true } = {}) {
   if (!target) return;
   target.innerHTML = '';
   if (!rootElem) {
     target.textContent = 'No XML to render.';
     return;
   }
-  target.appendChild(buildTableNode(rootElem, [rootElem.tagName]));
+  target.appendChild(buildTableNode(rootElem, [rootElem.localName], prefixes));
 }
 
 export function setTableViewOpen(target, open) {
@@ -430,4 +703,131 @@ export function toggleTablePath(target, pathInput, open) {
   return nodes;
 }
 
-export default { formatXml, renderXmlTree, expandAll, collapseAll, renderXmlTable, setTableViewOpen, toggleTablePath };
+// -------- Worker client --------
+
+/**
+ * Start a lazily-spawned xmlWorker.js and return
+ * { run(type, payload, onProgress, key) -> Promise, cancel(), busy }.
+ * cancel() terminates the worker: pending requests reject with an error whose
+ * `cancelled` flag is set. A request run with a `key` supersedes a pending
+ * one with the same key, which rejects as cancelled; its batches and reply
+ * are ignored.
+ */
+export function createXmlWorker() {
+  if (typeof Worker === 'undefined') return null;
+  let worker = null;
+  let seq = 0;
+  const pending = new Map(); // id -> { resolve, reject, onProgress, key }
+
+  function cancelledError() {
+    const err = new Error('Cancelled');
+    err.cancelled = true;
+    return err;
+  }
+
+  function failAll(err) {
+    pending.forEach((p) => p.reject(err));
+    pending.clear();
+  }
+
+  function spawn() {
+    worker = new Worker(new URL('./xmlWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (ev) => {
+      const { id, ok, result, error, progress } = ev.data || {};
+      const p = pending.get(id);
+      if (!p) return;
+      if (progress) { p.onProgress?.(progress); return; }
+      pending.delete(id);
+      if (ok) p.resolve(result); else p.reject(new Error(error));
+    };
+    worker.onerror = (ev) => {
+      ev.preventDefault?.();
+      worker.terminate();
+      worker = null;
+      failAll(new Error(ev.message || 'XML worker failed.'));
+    };
+  }
+
+  return {
+    run(type, payload, onProgress, key) {
+      return new Promise((resolve, reject) => {
+        try {
+          if (!worker) spawn();
+        } catch (e) {
+          reject(e);
+          return;
+        }
+        if (key !== undefined) {
+          pending.forEach((p, prev) => {
+            if (p.key !== key) return;
+            pending.delete(prev);
+            p.reject(cancelledError());
+          });
+        }
+        const id = ++seq;
+        pending.set(id, { resolve, reject, onProgress, key });
+        worker.postMessage({ id, type, payload });
+      });
+    },
+    cancel() {
+      if (worker) worker.terminate();
+      worker = null;
+      failAll(cancelledError());
+    },
+    get busy() { return pending.size > 0; }
+  };
+}
+
+/**
+ * Document built from tokenizeXml operations: add(ops) appends a batch,
+ * root() returns the root element (as parseXml does) once all are added.
+ */
+export function createXmlBuilder() {
+  const doc = document.implementation.createDocument(null, null, null);
+  let parent = doc;
+  return {
+    add(ops) {
+      let i = 0;
+      while (i < ops.length) {
+        switch (ops[i]) {
+          case XML_OPS.open: {
+            const el = doc.createElementNS(ops[i + 2], ops[i + 1]);
+            const count = ops[i + 3];
+            i += 4;
+            for (let a = 0; a < count; a++, i += 3) el.setAttributeNS(ops[i + 1], ops[i], ops[i + 2]);
+            parent.appendChild(el);
+            parent = el;
+            break;
+          }
+          case XML_OPS.close:
+            parent = parent.parentNode;
+            i += 1;
+            break;
+          case XML_OPS.text:
+            parent.appendChild(doc.createTextNode(ops[i + 1]));
+            i += 2;
+            break;
+          case XML_OPS.cdata:
+            parent.appendChild(doc.createCDATASection(ops[i + 1]));
+            i += 2;
+            break;
+          case XML_OPS.comment:
+            parent.appendChild(doc.createComment(ops[i + 1]));
+            i += 2;
+            break;
+          case XML_OPS.pi:
+            parent.appendChild(doc.createProcessingInstruction(ops[i + 1], ops[i + 2]));
+            i += 3;
+            break;
+          default:
+            throw new Error(`Unknown XML operation ${ops[i]}.`);
+        }
+      }
+    },
+    root() {
+      return doc.documentElement;
+    }
+  };
+}
+
+export default { formatXml, xmlName, namespaceTitle, renderXmlTree, expandAll, collapseAll, setValueHints, renderXmlTable, setTableViewOpen, toggleTablePath, createXmlWorker, createXmlBuilder };
@@ -0,0 +1,29 @@
+// XML Viewer worker (module worker, started by createXmlWorker in xmlViewer.js)
+// Reads large documents off the main thread; the page builds the DOM from the
+// node operations it sends back (see tokenizeXml), since DOMParser is not
+// available in workers.
+// Requests:  { id, type, payload }
+// Replies:   { id, ok: true, result } | { id, ok: false, error }
+// Progress:  { id, progress: { stage, done, total, ops } } for each batch of nodes
+
+import { tokenizeXml } from './xmlTokenizer.js';
+
+const handlers = {
+  // result: { doctype } — true when the page has to parse the text itself
+  parse({ text }, report) {
+    const total = text.length;
+    return tokenizeXml(text, (ops, done) => report('parse', done, total, ops));
+  }
+};
+
+self.onmessage = (ev) => {
+  const { id, type, payload } = ev.data || {};
+  const report = (stage, done, total, ops) => self.postMessage({ id, progress: { stage, done, total, ops } });
+  try {
+    const handler = handlers[type];
+    if (!handler) throw new Error(`Unknown request type: ${type}`);
+    self.postMessage({ id, ok: true, result: handler(payload || {}, report) });
+  } catch (e) {
+    self.postMessage({ id, ok: false, error: e && e.message ? e.message : String(e) });
+  }
+};
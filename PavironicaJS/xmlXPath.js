@@ -0,0 +1,129 @@
+// XPath helpers for the XML Viewer (ES module; runs the browser's own XPath
+// 1.0 engine, document.evaluate, on a parsed document)
+// - evaluateXPath: an expression's result: ordered nodes, or a number,
+//   string or boolean for expressions like count(…) or sum(…)
+// - createNodePathMapper: the tree path of a result node, as xmlViewer.js
+//   puts it in the lines' data-path (root/a/b[2]/@id), with or without
+//   namespace prefixes
+// - xpathStringValue: the string-value of a node (what the extractor and the
+//   statistics read)
+
+import { xmlName } from './xmlViewer.js';
+
+export const XPATH_MAX_RESULTS = 50000;
+
+// XPathResult types (the constants are not reachable from XML documents)
+const ANY_TYPE = 0;
+const NUMBER_TYPE = 1;
+const STRING_TYPE = 2;
+const BOOLEAN_TYPE = 3;
+const ORDERED_NODE_SNAPSHOT_TYPE = 7;
+
+// Prefixes declared anywhere in the document (SOAP messages often declare
+// theirs below the root); the first declaration of a prefix wins
+function namespaceResolver(doc) {
+  const bound = new Map([['xml', 'http://www.w3.org/XML/1998/namespace']]);
+  const walker = doc.createTreeWalker(doc, 1);
+  for (let el = walker.nextNode(); el; el = walker.nextNode()) {
+    for (const a of el.attributes) {
+      if (a.prefix === 'xmlns' && !bound.has(a.localName)) bound.set(a.localName, a.value);
+    }
+  }
+  return (prefix) => bound.get(prefix) ?? null;
+}
+
+// Engines prefix the reason with the DOM call that failed; some give no reason
+function xpathMessage(e) {
+  const message = String(e?.message ?? e ?? '').replace(/^Failed to execute '\w+' on '\w+': /, '');
+  return `XPath error: ${message || 'the expression is not valid XPath 1.0.'}`;
+}
+
+/**
+ * Evaluate `expr` with `contextNode` (an element or the document) as the
+ * context; prefixes resolve to the namespaces the document declares for them
+ * (elements in a default namespace need a prefix declared for it elsewhere,
+ * or a test like *[local-name()='Body']).
+ * Returns { type: 'nodes', nodes, total, truncated } (document order, at most
+ * maxResults nodes) or { type: 'number' | 'string' | 'boolean', value }.
+ * Throws an Error starting with "XPath error:" for an invalid expression.
+ */
+export function evaluateXPath(contextNode, expr, maxResults = XPATH_MAX_RESULTS) {
+  const doc = contextNode.nodeType === 9 ? contextNode : contextNode.ownerDocument;
+  const resolver = namespaceResolver(doc);
+  let expression;
+  let result;
+  try {
+    expression = doc.createExpression(expr, resolver);
+    result = expression.evaluate(contextNode, ANY_TYPE, null);
+  } catch (e) {
+    throw new Error(xpathMessage(e));
+  }
+  if (result.resultType === NUMBER_TYPE) return { type: 'number', value: result.numberValue };
+  if (result.resultType === STRING_TYPE) return { type: 'string', value: result.stringValue };
+  if (result.resultType === BOOLEAN_TYPE) return { type: 'boolean', value: result.booleanValue };
+  const snapshot = expression.evaluate(contextNode, ORDERED_NODE_SNAPSHOT_TYPE, null);
+  const total = snapshot.snapshotLength;
+  const nodes = [];
+  for (let i = 0; i < Math.min(total, maxResults); i++) nodes.push(snapshot.snapshotItem(i));
+  return { type: 'nodes', nodes, total, truncated: total > nodes.length };
+}
+
+/** String-value of a node: attribute and text values, or all the text inside an element. */
+export function xpathStringValue(node) {
+  if (node.nodeType === 2) return node.value;
+  if (node.nodeType === 1 || node.nodeType === 9) return node.textContent ?? '';
+  return node.nodeValue ?? '';
+}
+
+/**
+ * A function mapping a node to { path, element, kind }: the data-path of its
+ * line in the tree, the element that line belongs to, and 'element',
+ * 'attribute', 'text' or 'other' (comments and processing instructions, shown
+ * at their element). Paths are cached, so map all the nodes of one result
+ * with the same function. `prefixes: false` builds paths from local names,
+ * as the tree does with prefixes hidden.
+ */
+export function createNodePathMapper({ prefixes = true } = {}) {
+  const paths = new Map();
+  const segments = new Map();
+
+  // Repeated sibling names get a 1-based [n], as in the tree
+  function segmentOf(el) {
+    const parent = el.parentNode;
+    let bySibling = segments.get(parent);
+    if (!bySibling) {
+      const kids = Array.from(parent.childNodes).filter((n) => n.nodeType === 1);
+      const totals = new Map();
+      kids.forEach((k) => totals.set(xmlName(k, prefixes), (totals.get(xmlName(k, prefixes)) || 0) + 1));
+      const seen = new Map();
+      bySibling = new Map(kids.map((k) => {
+        const name = xmlName(k, prefixes);
+        const idx = (seen.get(name) || 0) + 1;
+        seen.set(name, idx);
+        return [k, totals.get(name) > 1 ? `${name}[${idx}]` : name];
+      }));
+      segments.set(parent, bySibling);
+    }
+    return bySibling.get(el);
+  }
+
+  function elementPath(el) {
+    let path = paths.get(el);
+    if (path) return path;
+    path = el.parentNode?.nodeType === 1 ? `${elementPath(el.parentNode)}/${segmentOf(el)}` : xmlName(el, prefixes);
+    paths.set(el, path);
+    return path;
+  }
+
+  return (node) => {
+    if (node.nodeType === 1) return { path: elementPath(node), element: node, kind: 'element' };
+    if (node.nodeType === 2) return { path: `${elementPath(node.ownerElement)}/@${xmlName(node, prefixes)}`, element: node.ownerElement, kind: 'attribute' };
+    const element = node.nodeType === 9 ? node.documentElement
+      : node.parentNode?.nodeType === 1 ? node.parentNode
+      : node.ownerDocument.documentElement;
+    const kind = node.nodeType === 3 || node.nodeType === 4 ? 'text' : node.nodeType === 9 ? 'element' : 'other';
+    return { path: elementPath(element), element, kind };
+  };
+}
+
+export default { evaluateXPath, xpathStringValue, createNodePathMapper, XPATH_MAX_RESULTS };